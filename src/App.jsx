@@ -1,10 +1,42 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import AnnotationRow from './components/AnnotationRow';
 import AnnotationDialog from './components/AnnotationDialog';
 import DocumentNavigation from './components/DocumentNavigation';
-import { parsePubtator, generateExportContent } from './utils/pubtatorUtils';
-import { getCombinedText, renderHighlightedText, getTextSelectionInfo } from './components/textHighlight';
+import RelationPanel from './components/RelationPanel';
+import RelationArcs from './components/RelationArcs';
+import RelationTypeDialog from './components/RelationTypeDialog';
+import ConllExportDialog from './components/ConllExportDialog';
+import ParseWarnings from './components/ParseWarnings';
+import ValidationReportDialog from './components/ValidationReportDialog';
+import ConsistencyReportDialog from './components/ConsistencyReportDialog';
+import StatisticsDialog from './components/StatisticsDialog';
+import ReviewStatusBar from './components/ReviewStatusBar';
+import DictionaryDialog from './components/DictionaryDialog';
+import VocabularyDialog from './components/VocabularyDialog';
+import IdRulesDialog from './components/IdRulesDialog';
+import AgreementDialog from './components/AgreementDialog';
+import AdjudicationDialog from './components/AdjudicationDialog';
+import HistoryPanel from './components/HistoryPanel';
+import AnnotationPicker from './components/AnnotationPicker';
+import FragmentLinks from './components/FragmentLinks';
+import SuggestionReview from './components/SuggestionReview';
+import PropagateDialog from './components/PropagateDialog';
+import SnapshotDialog from './components/SnapshotDialog';
+import RestoreSessionBanner from './components/RestoreSessionBanner';
+import CorpusSearchPanel from './components/CorpusSearchPanel';
+import AnnotationBrowser from './components/AnnotationBrowser';
+import { FILE_FORMATS, parseFiles, generateFiles } from './utils/pubtatorUtils';
+import { getCombinedText, renderHighlightedText, getTextSelectionInfo, findPotentialMatches, revealTextRange } from './components/textHighlight';
 import { useAnnotationManager } from './hooks/useAnnotationManager';
+import { validateDocuments } from './utils/validationUtils';
+import { findInconsistencies } from './utils/consistencyUtils';
+import { DEFAULT_ID_RULES } from './utils/idFormatUtils';
+import { REVIEW_SIDECAR_SUFFIX } from './utils/reviewUtils';
+import { createFragmentSpan } from './utils/documentUtils';
+import { isStorageAvailable, saveSession, loadSession, clearSession } from './utils/storageUtils';
+
+// Delay between the last change and the autosave, in milliseconds
+const AUTOSAVE_DELAY = 1000;
 
 const PubTatorEditor = () => {
   // Use our custom hook for annotation management
@@ -18,54 +50,237 @@ const PubTatorEditor = () => {
     addAnnotation,
     editAnnotation,
     deleteAnnotation,
+    applyAnnotationChanges,
+    rejectPotentialMatch,
+    updateReview,
     findAnnotationIndex,
     addNewEntityType,
-    setAllDocuments
-  } = useAnnotationManager([], ['Chemical', 'Gene', 'Disease', 'Species', 'Mutation', 'CellLine']);
+    knownRelationTypes,
+    setKnownRelationTypes,
+    addRelation,
+    editRelation,
+    deleteRelation,
+    addNewRelationType,
+    setAllDocuments,
+    commitDocuments,
+    undo,
+    redo,
+    undoHistory,
+    redoHistory
+  } = useAnnotationManager([], ['Chemical', 'Gene', 'Disease', 'Species', 'Mutation', 'CellLine'], ['Association', 'Positive_Correlation', 'Negative_Correlation', 'Bind', 'CID']);
 
   const [originalFilename, setOriginalFilename] = useState('pubtator_annotations.txt');
+  const [exportFormat, setExportFormat] = useState('pubtator');
+  const [collectionInfo, setCollectionInfo] = useState(null);
   const [regexPattern, setRegexPattern] = useState('');
   const fullTextRef = useRef(null);
   const [isEditMode, setIsEditMode] = useState(false);
   const [currentAnnotation, setCurrentAnnotation] = useState(null);
   const [selectedText, setSelectedText] = useState(null);
+  const [isRelationMode, setIsRelationMode] = useState(false);
+  const [relationSource, setRelationSource] = useState(null);
+  const [relationTarget, setRelationTarget] = useState(null);
+  const [isConllDialogOpen, setIsConllDialogOpen] = useState(false);
+  const [parseWarnings, setParseWarnings] = useState([]);
+  const [isValidationOpen, setIsValidationOpen] = useState(false);
+  const [isConsistencyOpen, setIsConsistencyOpen] = useState(false);
+  const [isStatisticsOpen, setIsStatisticsOpen] = useState(false);
+  const [isDictionaryOpen, setIsDictionaryOpen] = useState(false);
+  // Dictionary matches per document index, shown as suggestions
+  const [dictionarySuggestions, setDictionarySuggestions] = useState(new Map());
+  const [isVocabularyOpen, setIsVocabularyOpen] = useState(false);
+  // Vocabularies of normalized IDs by entity type; they stay loaded across files
+  const [vocabularies, setVocabularies] = useState({});
+  const [isIdRulesOpen, setIsIdRulesOpen] = useState(false);
+  // Normalized ID format rules by entity type
+  const [idRules, setIdRules] = useState(DEFAULT_ID_RULES);
+  const [isAgreementOpen, setIsAgreementOpen] = useState(false);
+  // A second version of the loaded documents { name, documents }, e.g. another annotator's file or a model's output
+  const [comparison, setComparison] = useState(null);
+  const [isAdjudicationOpen, setIsAdjudicationOpen] = useState(false);
+  const [isSnapshotDialogOpen, setIsSnapshotDialogOpen] = useState(false);
+  const [savedSession, setSavedSession] = useState(null);
+  const [lastAutosave, setLastAutosave] = useState(null);
+  const [annotationChoices, setAnnotationChoices] = useState(null);
+  const [pendingFragments, setPendingFragments] = useState([]);
+  const [reviewPosition, setReviewPosition] = useState(null);
+  const [propagationTerm, setPropagationTerm] = useState(null);
+  const [isCorpusSearch, setIsCorpusSearch] = useState(false);
+  const [pendingReveal, setPendingReveal] = useState(null);
+  const [isBrowsingCorpus, setIsBrowsingCorpus] = useState(false);
+
+  // Unannotated occurrences of strings annotated elsewhere in the document, and dictionary matches
+  const currentDictionaryMatches = dictionarySuggestions.get(currentDocIndex);
+  const potentialMatches = useMemo(
+    () => findPotentialMatches(currentDoc, currentDictionaryMatches),
+    [currentDoc, currentDictionaryMatches]
+  );
+  const reviewMatch = reviewPosition !== null && potentialMatches.length > 0
+    ? potentialMatches[Math.min(reviewPosition, potentialMatches.length - 1)]
+    : null;
+
+  // Everything needed to pick up the work again, as stored by the autosave and snapshots
+  const sessionState = useMemo(() => ({
+    documents,
+    knownEntityTypes,
+    knownRelationTypes,
+    currentDocIndex,
+    originalFilename,
+    exportFormat,
+    collectionInfo,
+    idRules
+  }), [documents, knownEntityTypes, knownRelationTypes, currentDocIndex, originalFilename, exportFormat, collectionInfo, idRules]);
 
-  // Add useEffect to clear selectedText when document changes
+  // Add useEffect to clear selectedText and any half-drawn relation when document changes
   useEffect(() => {
     setSelectedText(null);
+    setRelationSource(null);
+    setRelationTarget(null);
+    setAnnotationChoices(null);
+    setPendingFragments([]);
+    setReviewPosition(prev => (prev === null ? null : 0));
   }, [currentDocIndex]);
 
-  // Handle file upload
-  const handleFileUpload = (event) => {
-    const file = event.target.files[0];
-    if (file) {
-      // Store the original filename
-      setOriginalFilename(file.name);
-
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const content = e.target.result;
-        const { docs, entityTypes } = parsePubtator(content);
-        setAllDocuments(docs);
-        setKnownEntityTypes([...entityTypes]);
-      };
-      reader.readAsText(file);
+  // Keep the suggestion under review in view
+  useEffect(() => {
+    if (reviewMatch && fullTextRef.current) {
+      fullTextRef.current
+        .querySelector(`[data-potential-start="${reviewMatch.start}"]`)
+        ?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [reviewMatch]);
+
+  // Scroll to a corpus search hit once its document is rendered
+  useEffect(() => {
+    if (!pendingReveal || pendingReveal.docIndex !== currentDocIndex || !fullTextRef.current) return;
+    revealTextRange(fullTextRef.current, pendingReveal.start, pendingReveal.end);
+    setPendingReveal(null);
+  }, [pendingReveal, currentDocIndex]);
+
+  // Look for an autosaved session to offer on startup
+  useEffect(() => {
+    if (!isStorageAvailable()) return;
+    loadSession()
+      .then(session => {
+        if (session?.documents?.length > 0) {
+          setSavedSession(session);
+        }
+      })
+      .catch(err => console.error('Error reading autosaved session:', err));
+  }, []);
+
+  // Autosave shortly after every change
+  useEffect(() => {
+    if (!isStorageAvailable() || sessionState.documents.length === 0) return;
+
+    const timer = setTimeout(() => {
+      saveSession(sessionState)
+        .then(() => setLastAutosave(new Date()))
+        .catch(err => console.error('Error autosaving session:', err));
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [sessionState]);
+
+  // Undo with Ctrl+Z and redo with Ctrl+Shift+Z or Ctrl+Y, unless a text field or dialog has the keyboard
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (e.target.closest?.('input, textarea, select') || document.querySelector('dialog[open]')) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // Handle file upload (a single file, or a set of BRAT .txt/.ann files)
+  const handleFileUpload = async (event) => {
+    const files = [...event.target.files];
+    if (files.length === 0) return;
+
+    // Store the original filename, which a review sidecar loaded along with it doesn't count as
+    const dataFile = files.find(file => !file.name.toLowerCase().endsWith(REVIEW_SIDECAR_SUFFIX)) || files[0];
+    setOriginalFilename(dataFile.name);
+
+    let parsed;
+    try {
+      const contents = await Promise.all(files.map(file => file.text()));
+      parsed = parseFiles(files.map((file, i) => ({ name: file.name, content: contents[i] })));
+    } catch (err) {
+      console.error('Error parsing file:', err);
+      alert(`Could not load "${files.map(file => file.name).join(', ')}": ${err.message}`);
+      return;
+    }
+
+    const { docs, entityTypes, relationTypes, collection, format, warnings = [], unknownReviewIds = [] } = parsed;
+    setSavedSession(null);
+    setExportFormat(format);
+    setCollectionInfo(collection);
+    setParseWarnings(warnings);
+    setDictionarySuggestions(new Map());
+    setAllDocuments(docs);
+    setKnownEntityTypes([...entityTypes]);
+    setKnownRelationTypes(prev => [...new Set([...prev, ...relationTypes])]);
+
+    if (unknownReviewIds.length > 0) {
+      alert(`The review file lists ${unknownReviewIds.length} document${unknownReviewIds.length === 1 ? '' : 's'} that ${unknownReviewIds.length === 1 ? 'is' : 'are'} not in the loaded file: ${unknownReviewIds.slice(0, 10).join(', ')}${unknownReviewIds.length > 10 ? ', …' : ''}`);
+    }
+
+    // Report offset/text problems right away so they can be repaired before curation starts
+    if (validateDocuments(docs).length > 0) {
+      openValidationReport();
     }
   };
 
   // Save to file
   const saveToFile = async () => {
-    const content = generateExportContent(documents);
+    // Offer to review normalized IDs that break the rules of their types
+    const idIssueCount = validateDocuments(documents, idRules).filter(issue => issue.kind === 'idFormat').length;
+    if (idIssueCount > 0 &&
+      confirm(`Found ${idIssueCount} annotation${idIssueCount === 1 ? '' : 's'} whose normalized ID${idIssueCount === 1 ? ' does' : 's do'} not fit the ID rules of ${idIssueCount === 1 ? 'its type' : 'their types'}.\n\nReview them before saving?`)) {
+      openValidationReport();
+      return;
+    }
+
+    // Offer to review inconsistent annotations before they end up in the file
+    const inconsistencies = findInconsistencies(documents);
+    if (inconsistencies.length > 0 &&
+      confirm(`Found ${inconsistencies.length} inconsistently annotated string${inconsistencies.length === 1 ? '' : 's'} or ID${inconsistencies.length === 1 ? '' : 's'} across documents.\n\nReview them before saving?`)) {
+      openConsistencyReport();
+      return;
+    }
+
+    const { files, warnings } = generateFiles(documents, exportFormat, collectionInfo, originalFilename);
+    const { label, mimeType, accept, multiFile } = FILE_FORMATS[exportFormat];
+
+    if (warnings.length > 0 && !confirm(`Some content can't be saved as ${label}:\n\n${warnings.join('\n')}\n\nSave anyway?`)) {
+      return;
+    }
+
+    if (multiFile) {
+      await saveFilesToDirectory(files, mimeType);
+      return;
+    }
+
+    const [{ name: filename, content }, ...sidecarFiles] = files;
 
     // Try to use the File System Access API first
     if ('showSaveFilePicker' in window) {
       try {
         const fileHandle = await window.showSaveFilePicker({
-          suggestedName: originalFilename,
+          suggestedName: filename,
           types: [
             {
-              description: 'Text Files',
-              accept: { 'text/plain': ['.txt', '.pubtator'] },
+              description: `${label} Files`,
+              accept: { [mimeType]: accept },
             },
           ],
         });
@@ -77,33 +292,345 @@ const PubTatorEditor = () => {
         // User cancelled the save dialog or other error
         console.error('Error saving file:', err);
         // Fall back to the download method
-        downloadFile(content);
+        downloadFile(content, filename, mimeType);
       }
     } else {
       // Fallback for browsers that don't support the File System Access API
-      downloadFile(content);
+      downloadFile(content, filename, mimeType);
+    }
+
+    // Review statuses the format can't hold are downloaded next to the file
+    for (const sidecar of sidecarFiles) {
+      downloadFile(sidecar.content, sidecar.name, 'application/json');
+    }
+  };
+
+  // Save several files (e.g. BRAT .txt/.ann pairs) into a directory picked by the user
+  const saveFilesToDirectory = async (files, mimeType) => {
+    if ('showDirectoryPicker' in window) {
+      try {
+        const directoryHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+        for (const { name, content } of files) {
+          const fileHandle = await directoryHandle.getFileHandle(name, { create: true });
+          const writable = await fileHandle.createWritable();
+          await writable.write(content);
+          await writable.close();
+        }
+        return;
+      } catch (err) {
+        // User cancelled the directory picker or other error
+        console.error('Error saving files:', err);
+      }
+    }
+
+    // Fall back to downloading the files one by one
+    for (const { name, content } of files) {
+      downloadFile(content, name, mimeType);
     }
   };
 
   // Fallback download method
-  const downloadFile = (content) => {
-    const blob = new Blob([content], { type: 'text/plain' });
+  const downloadFile = (content, filename, mimeType) => {
+    const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = originalFilename;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
   };
 
+  // Bring back an autosaved session or snapshot
+  const restoreSessionState = (state) => {
+    setDictionarySuggestions(new Map());
+    setAllDocuments(state.documents);
+    setCurrentDocIndex(Math.min(state.currentDocIndex ?? 0, state.documents.length - 1));
+    setKnownEntityTypes(state.knownEntityTypes ?? []);
+    if (state.knownRelationTypes) {
+      setKnownRelationTypes(state.knownRelationTypes);
+    }
+    setOriginalFilename(state.originalFilename ?? 'pubtator_annotations.txt');
+    setExportFormat(state.exportFormat ?? 'pubtator');
+    setCollectionInfo(state.collectionInfo ?? null);
+    setIdRules(state.idRules ?? DEFAULT_ID_RULES);
+    setParseWarnings([]);
+  };
+
+  // Restore the session offered on startup
+  const restoreSavedSession = () => {
+    restoreSessionState(savedSession);
+    setSavedSession(null);
+  };
+
+  // Throw away the session offered on startup
+  const discardSavedSession = () => {
+    setSavedSession(null);
+    clearSession().catch(err => console.error('Error clearing autosaved session:', err));
+  };
+
+  // Open the snapshot dialog
+  const openSnapshotDialog = () => {
+    setIsSnapshotDialogOpen(true);
+    document.getElementById('snapshot-dialog').showModal();
+  };
+
+  // Close the snapshot dialog
+  const closeSnapshotDialog = () => {
+    setIsSnapshotDialogOpen(false);
+    document.getElementById('snapshot-dialog').close();
+  };
+
+  // Restore a snapshot, replacing the documents being edited
+  const restoreSnapshot = (snapshot) => {
+    if (documents.length > 0 && !confirm(`Replace the current documents with the snapshot "${snapshot.name}"?`)) {
+      return;
+    }
+    restoreSessionState(snapshot);
+    setSavedSession(null);
+    closeSnapshotDialog();
+  };
+
+  // Open the validation report
+  const openValidationReport = () => {
+    setIsValidationOpen(true);
+    document.getElementById('validation-report-dialog').showModal();
+  };
+
+  // Close the validation report
+  const closeValidationReport = () => {
+    setIsValidationOpen(false);
+    document.getElementById('validation-report-dialog').close();
+  };
+
+  // Open the consistency report
+  const openConsistencyReport = () => {
+    setIsConsistencyOpen(true);
+    document.getElementById('consistency-report-dialog').showModal();
+  };
+
+  // Close the consistency report
+  const closeConsistencyReport = () => {
+    setIsConsistencyOpen(false);
+    document.getElementById('consistency-report-dialog').close();
+  };
+
+  // Look for the text of a just-saved annotation in all documents
+  const openPropagateDialog = (annotation) => {
+    setPropagationTerm({ text: annotation.text, type: annotation.type, normalizedId: annotation.normalizedId });
+    document.getElementById('propagate-dialog').showModal();
+  };
+
+  // Close the propagation dialog
+  const closePropagateDialog = () => {
+    setPropagationTerm(null);
+    document.getElementById('propagate-dialog').close();
+  };
+
+  // Open the CoNLL export dialog
+  const openConllDialog = () => {
+    setIsConllDialogOpen(true);
+    document.getElementById('conll-export-dialog').showModal();
+  };
+
+  // Close the CoNLL export dialog
+  const closeConllDialog = () => {
+    setIsConllDialogOpen(false);
+    document.getElementById('conll-export-dialog').close();
+  };
+
+  // Download the CoNLL export next to the original filename
+  const exportConll = (content) => {
+    downloadFile(content, `${getBaseFilename()}.conll`, 'text/plain');
+  };
+
+  // Name of the loaded file without its extension, for derived exports
+  const getBaseFilename = () => {
+    return originalFilename.includes('.')
+      ? originalFilename.substring(0, originalFilename.lastIndexOf('.'))
+      : originalFilename;
+  };
+
+  // Open the dictionary pre-annotation dialog
+  const openDictionaryDialog = () => {
+    setIsDictionaryOpen(true);
+    document.getElementById('dictionary-dialog').showModal();
+  };
+
+  // Close the dictionary pre-annotation dialog
+  const closeDictionaryDialog = () => {
+    setIsDictionaryOpen(false);
+    document.getElementById('dictionary-dialog').close();
+  };
+
+  // Open the ID vocabulary dialog
+  const openVocabularyDialog = () => {
+    setIsVocabularyOpen(true);
+    document.getElementById('vocabulary-dialog').showModal();
+  };
+
+  // Close the ID vocabulary dialog
+  const closeVocabularyDialog = () => {
+    setIsVocabularyOpen(false);
+    document.getElementById('vocabulary-dialog').close();
+  };
+
+  // Open the ID rules dialog
+  const openIdRulesDialog = () => {
+    setIsIdRulesOpen(true);
+    document.getElementById('id-rules-dialog').showModal();
+  };
+
+  // Close the ID rules dialog
+  const closeIdRulesDialog = () => {
+    setIsIdRulesOpen(false);
+    document.getElementById('id-rules-dialog').close();
+  };
+
+  // Change the ID rule of an entity type
+  const changeIdRule = (type, rule) => {
+    setIdRules(prev => ({ ...prev, [type]: rule }));
+  };
+
+  // Load, replace or (with null) remove the vocabulary of an entity type
+  const changeVocabulary = (type, vocabulary) => {
+    setVocabularies(prev => {
+      const { [type]: _previous, ...rest } = prev;
+      return vocabulary ? { ...rest, [type]: vocabulary } : rest;
+    });
+  };
+
+  // Open the statistics dashboard
+  const openStatisticsDialog = () => {
+    setIsStatisticsOpen(true);
+    document.getElementById('statistics-dialog').showModal();
+  };
+
+  // Close the statistics dashboard
+  const closeStatisticsDialog = () => {
+    setIsStatisticsOpen(false);
+    document.getElementById('statistics-dialog').close();
+  };
+
+  // Download the statistics as CSV or JSON
+  const exportStatistics = (content, extension, mimeType) => {
+    downloadFile(content, `${getBaseFilename()}-statistics.${extension}`, mimeType);
+  };
+
+  // Open the inter-annotator agreement report
+  const openAgreementDialog = () => {
+    setIsAgreementOpen(true);
+    document.getElementById('agreement-dialog').showModal();
+  };
+
+  // Close the inter-annotator agreement report
+  const closeAgreementDialog = () => {
+    setIsAgreementOpen(false);
+    document.getElementById('agreement-dialog').close();
+  };
+
+  // Load a second annotator's file, in any format the editor reads
+  const handleComparisonUpload = async (event) => {
+    const files = [...event.target.files];
+    if (files.length === 0) return;
+
+    const dataFile = files.find(file => !file.name.toLowerCase().endsWith(REVIEW_SIDECAR_SUFFIX)) || files[0];
+    try {
+      const contents = await Promise.all(files.map(file => file.text()));
+      const { docs } = parseFiles(files.map((file, i) => ({ name: file.name, content: contents[i] })));
+      const loadedIds = new Set(documents.map(doc => doc.id));
+      if (!docs.some(doc => loadedIds.has(doc.id))) {
+        alert(`"${dataFile.name}" has no document IDs in common with the loaded file`);
+        return;
+      }
+      setComparison({ name: dataFile.name, documents: docs });
+    } catch (err) {
+      console.error('Error parsing file:', err);
+      alert(`Could not load "${files.map(file => file.name).join(', ')}": ${err.message}`);
+    } finally {
+      event.target.value = '';
+    }
+  };
+
+  // Download the agreement report as CSV or JSON
+  const exportAgreement = (content, extension, mimeType) => {
+    downloadFile(content, `${getBaseFilename()}-agreement.${extension}`, mimeType);
+  };
+
+  // Open the side-by-side diff of the loaded file and the second file
+  const openAdjudicationDialog = () => {
+    setIsAdjudicationOpen(true);
+    document.getElementById('adjudication-dialog').showModal();
+  };
+
+  // Close the side-by-side diff
+  const closeAdjudicationDialog = () => {
+    setIsAdjudicationOpen(false);
+    document.getElementById('adjudication-dialog').close();
+  };
+
+  // Save the merged gold documents in the export format, next to the original filename
+  const saveAdjudication = async (mergedDocuments) => {
+    const { extension, label, mimeType, multiFile } = FILE_FORMATS[exportFormat];
+    const { files, warnings } = generateFiles(mergedDocuments, exportFormat, collectionInfo, `${getBaseFilename()}-adjudicated${extension}`);
+
+    if (warnings.length > 0 && !confirm(`Some content can't be saved as ${label}:\n\n${warnings.join('\n')}\n\nSave anyway?`)) {
+      return;
+    }
+
+    if (multiFile) {
+      await saveFilesToDirectory(files, mimeType);
+      return;
+    }
+    for (const { name, content } of files) {
+      downloadFile(content, name, name.endsWith(REVIEW_SIDECAR_SUFFIX) ? 'application/json' : mimeType);
+    }
+  };
+
+  // Replace the loaded documents with the merged ones, as one undo step
+  const applyAdjudication = (mergedDocuments) => {
+    const isChanged = (merged, index) => {
+      const original = documents[index];
+      return merged.relations !== original.relations || merged.review !== original.review ||
+        merged.annotations.length !== original.annotations.length ||
+        merged.annotations.some((annotation, i) => annotation !== original.annotations[i]);
+    };
+    if (!mergedDocuments.some(isChanged)) {
+      alert('The merged annotations are the same as the loaded ones');
+      return;
+    }
+
+    const addedTypes = mergedDocuments.flatMap(doc => doc.annotations.map(annotation => annotation.type));
+    setKnownEntityTypes([...new Set([...knownEntityTypes, ...addedTypes])]);
+    commitDocuments(mergedDocuments, 'Apply adjudication', null);
+    closeAdjudicationDialog();
+  };
+
+  // Jump to a document by its ID, e.g. from a report listing problems per document
+  const navigateToDocumentId = (docId) => {
+    const index = documents.findIndex(doc => doc.id === docId);
+    if (index !== -1) {
+      setCurrentDocIndex(index);
+    }
+  };
+
   // Handle text selection for annotation
-  const handleTextSelection = () => {
+  const handleTextSelection = (e) => {
+    // Text selection creates annotations, which is not what relation mode is for
+    if (isRelationMode) return;
+
     if (window.getSelection && fullTextRef.current) {
       const selection = window.getSelection();
       const selectionInfo = getTextSelectionInfo(selection, fullTextRef.current);
 
+      // Ctrl-selections collect the fragments of a discontinuous annotation
+      if (selectionInfo && (e.ctrlKey || e.metaKey)) {
+        setPendingFragments(prev => [...prev, selectionInfo]);
+        selection.removeAllRanges();
+        return;
+      }
+
       if (selectionInfo) {
         // Store the selection info in state
         setSelectedText(selectionInfo);
@@ -118,17 +645,149 @@ const PubTatorEditor = () => {
     }
   };
 
+  // Turn a potential match into an annotation with the suggested type and normalized ID
+  const acceptPotentialMatch = (match) => {
+    addNewEntityType(match.type);
+    addAnnotation({
+      start: match.start,
+      end: match.end,
+      text: match.text,
+      type: match.type,
+      normalizedId: match.normalizedId
+    });
+  };
+
+  // Accept every potential match in the current document at once
+  const acceptAllPotentialMatches = () => {
+    applyAnnotationChanges(
+      potentialMatches.map(match => ({
+        docIndex: currentDocIndex,
+        annotation: {
+          start: match.start,
+          end: match.end,
+          text: match.text,
+          type: match.type,
+          normalizedId: match.normalizedId
+        }
+      })),
+      `Accept ${potentialMatches.length} suggestion${potentialMatches.length === 1 ? '' : 's'}`
+    );
+  };
+
+  // Move through the review queue, wrapping around at either end
+  const moveReviewPosition = (delta) => {
+    if (potentialMatches.length === 0) return;
+    const current = Math.min(reviewPosition, potentialMatches.length - 1);
+    setReviewPosition((current + delta + potentialMatches.length) % potentialMatches.length);
+  };
+
+  // Index of the next document that still has suggestions, or -1
+  const findNextDocumentWithSuggestions = () => {
+    for (let offset = 1; offset < documents.length; offset++) {
+      const index = (currentDocIndex + offset) % documents.length;
+      if (findPotentialMatches(documents[index], dictionarySuggestions.get(index)).length > 0) return index;
+    }
+    return -1;
+  };
+
+  // Jump to a corpus search hit
+  const openSearchHit = (hit) => {
+    setCurrentDocIndex(hit.docIndex);
+    setPendingReveal({ docIndex: hit.docIndex, start: hit.start, end: hit.end });
+  };
+
+  const reviewNextDocument = () => {
+    const index = findNextDocumentWithSuggestions();
+    if (index === -1) {
+      alert('There are no suggestions left in any document');
+      return;
+    }
+    setCurrentDocIndex(index);
+  };
+
+  // Open the annotation dialog for the collected fragments
+  const annotatePendingFragments = () => {
+    setIsEditMode(false);
+    setCurrentAnnotation(null);
+    setSelectedText(createFragmentSpan(getCombinedText(currentDoc), pendingFragments));
+    setPendingFragments([]);
+    document.getElementById('add-annotation-dialog').showModal();
+  };
+
   // Handle annotation click
   const handleAnnotationClick = (annotation) => {
+    if (isRelationMode) {
+      handleRelationClick(annotation);
+      return;
+    }
+
     setIsEditMode(true);
     setCurrentAnnotation(annotation);
     document.getElementById('add-annotation-dialog').showModal();
   };
 
+  // Clicking text covered by several annotations asks which one was meant
+  const handleOverlapClick = (annotations, event) => {
+    setAnnotationChoices({ annotations, x: event.clientX, y: event.clientY });
+  };
+
+  // Continue with the annotation chosen from the overlap menu
+  const handleAnnotationChoice = (annotation) => {
+    setAnnotationChoices(null);
+    handleAnnotationClick(annotation);
+  };
+
+  // In relation mode, the first click picks the source entity and the second one the target
+  const handleRelationClick = (annotation) => {
+    if (!annotation.normalizedId) {
+      alert('Relations link concepts, so this annotation needs a normalized ID first');
+      return;
+    }
+
+    if (!relationSource) {
+      setRelationSource(annotation);
+    } else if (annotation === relationSource) {
+      // Clicking the source again cancels the pending relation
+      setRelationSource(null);
+    } else {
+      setRelationTarget(annotation);
+      document.getElementById('relation-type-dialog').showModal();
+    }
+  };
+
+  // Store the relation between the two clicked entities
+  const handleRelationTypeSubmit = (type, isNewType) => {
+    if (isNewType) {
+      addNewRelationType(type);
+    }
+
+    addRelation({
+      type,
+      arg1: relationSource.normalizedId,
+      arg2: relationTarget.normalizedId
+    });
+    handleRelationDialogClose();
+  };
+
+  // Close the relation type dialog and start over with a new source
+  const handleRelationDialogClose = () => {
+    setRelationSource(null);
+    setRelationTarget(null);
+    document.getElementById('relation-type-dialog').close();
+  };
+
+  // Switch between annotation and relation mode
+  const toggleRelationMode = () => {
+    setIsRelationMode(!isRelationMode);
+    setRelationSource(null);
+    setRelationTarget(null);
+  };
+
   // Handle annotation deletion through right-click
   const handleRightClickDelete = (annotation) => {
     const index = findAnnotationIndex(annotation);
-    if (index !== -1) {
+    // Ask first, so a stray right-click doesn't remove an annotation
+    if (index !== -1 && confirm(`Delete ${annotation.type} "${annotation.text}"?`)) {
       deleteAnnotation(index);
     }
   };
@@ -159,7 +818,9 @@ const PubTatorEditor = () => {
       const index = findAnnotationIndex(currentAnnotation);
 
       if (index !== -1) {
+        // Keep fields the form doesn't show (e.g. BioC IDs and infons)
         editAnnotation(index, {
+          ...currentAnnotation,
           ...formData,
           id: currentDoc.id
         });
@@ -200,7 +861,8 @@ const PubTatorEditor = () => {
         <div className="flex flex-wrap gap-2">
           <input
             type="file"
-            accept=".txt,.tsv,.pubtator"
+            accept=".txt,.tsv,.pubtator,.xml,.json,.biocjson,.ann"
+            multiple
             onChange={handleFileUpload}
             className="hidden"
             id="file-upload"
@@ -211,6 +873,16 @@ const PubTatorEditor = () => {
           >
             Load File
           </label>
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            className="border rounded px-2 py-2 text-sm"
+            title="Format used when saving"
+          >
+            {Object.entries(FILE_FORMATS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
           <button
             className="bg-purple-600 text-white px-4 py-2 rounded hover:bg-purple-700"
             onClick={saveToFile}
@@ -218,9 +890,100 @@ const PubTatorEditor = () => {
           >
             Save
           </button>
+          <button
+            className="bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700"
+            onClick={openConllDialog}
+            disabled={documents.length === 0}
+          >
+            Export as CoNLL
+          </button>
+          <button
+            className="bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700"
+            onClick={openValidationReport}
+            disabled={documents.length === 0}
+          >
+            Validate
+          </button>
+          <button
+            className="bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700"
+            onClick={openConsistencyReport}
+            disabled={documents.length === 0}
+          >
+            Check Consistency
+          </button>
+          <button
+            className="bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700"
+            onClick={openStatisticsDialog}
+            disabled={documents.length === 0}
+          >
+            Statistics
+          </button>
+          <button
+            className="bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700"
+            onClick={openDictionaryDialog}
+            disabled={documents.length === 0}
+          >
+            Dictionary
+          </button>
+          <button
+            className="bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700"
+            onClick={openVocabularyDialog}
+          >
+            ID Vocabularies
+          </button>
+          <button
+            className="bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700"
+            onClick={openIdRulesDialog}
+          >
+            ID Rules
+          </button>
+          <button
+            className="bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700"
+            onClick={openAgreementDialog}
+            disabled={documents.length === 0}
+          >
+            Agreement
+          </button>
+          <button
+            className="bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700"
+            onClick={openAdjudicationDialog}
+            disabled={documents.length === 0}
+          >
+            Diff &amp; Adjudicate
+          </button>
+          <button
+            className="bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700"
+            onClick={openSnapshotDialog}
+            disabled={!isStorageAvailable()}
+          >
+            Snapshots
+          </button>
+          <div className="ml-auto flex items-center gap-2">
+            {lastAutosave && (
+              <span className="text-xs text-gray-500" title="Your work is saved in this browser while you edit">
+                Autosaved {lastAutosave.toLocaleTimeString()}
+              </span>
+            )}
+            <HistoryPanel
+              undoHistory={undoHistory}
+              redoHistory={redoHistory}
+              onUndo={undo}
+              onRedo={redo}
+            />
+          </div>
         </div>
       </header>
 
+      {/* Offer to pick up the work from the last visit */}
+      <RestoreSessionBanner
+        session={savedSession}
+        onRestore={restoreSavedSession}
+        onDiscard={discardSavedSession}
+      />
+
+      {/* Lines of the loaded file that couldn't be parsed */}
+      <ParseWarnings warnings={parseWarnings} onDismiss={() => setParseWarnings([])} />
+
       {/* Document navigation */}
       {documents.length > 0 && (
         <DocumentNavigation
@@ -231,6 +994,16 @@ const PubTatorEditor = () => {
         />
       )}
 
+      {/* Review status of the current document */}
+      {documents.length > 0 && (
+        <ReviewStatusBar
+          documents={documents}
+          currentDocIndex={currentDocIndex}
+          onUpdateReview={updateReview}
+          onNavigate={setCurrentDocIndex}
+        />
+      )}
+
       {/* Document content */}
       {documents.length > 0 ? (
         <div className="space-y-6">
@@ -263,12 +1036,107 @@ const PubTatorEditor = () => {
                 >
                   Clear
                 </button>
+                <label className="flex items-center gap-1 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={isCorpusSearch}
+                    onChange={(e) => setIsCorpusSearch(e.target.checked)}
+                  />
+                  All documents
+                </label>
               </div>
             </div>
 
+            {isCorpusSearch && (
+              <CorpusSearchPanel
+                documents={documents}
+                pattern={regexPattern}
+                knownEntityTypes={knownEntityTypes}
+                onOpenHit={openSearchHit}
+                onApplyChanges={applyAnnotationChanges}
+              />
+            )}
+
+            {/* Relation mode toggle */}
+            <div className="mb-3 flex gap-2 items-center">
+              <button
+                onClick={toggleRelationMode}
+                className={`px-3 py-1 rounded text-sm ${isRelationMode ? 'bg-blue-600 text-white hover:bg-blue-700' : 'bg-gray-200 hover:bg-gray-300'}`}
+              >
+                {isRelationMode ? 'Relation Mode: On' : 'Relation Mode: Off'}
+              </button>
+              {isRelationMode && (
+                <span className="text-sm text-gray-600">
+                  {relationSource
+                    ? `Click a second entity to link it to "${relationSource.text}"`
+                    : 'Click the first entity of the relation'}
+                </span>
+              )}
+              {!isRelationMode && pendingFragments.length === 0 && (
+                <span className="text-sm text-gray-500">Hold Ctrl while selecting to mark the fragments of a discontinuous annotation</span>
+              )}
+            </div>
+
+            {/* Potential matches that can be accepted */}
+            {potentialMatches.length > 0 && reviewPosition === null && (
+              <div className="mb-3 flex gap-2 items-center text-sm">
+                <span className="text-red-600">
+                  {potentialMatches.length} suggestion{potentialMatches.length === 1 ? '' : 's'} (click one to accept it)
+                </span>
+                <button
+                  onClick={acceptAllPotentialMatches}
+                  className="bg-green-600 text-white px-2 py-1 rounded hover:bg-green-700"
+                >
+                  Accept all
+                </button>
+                <button
+                  onClick={() => setReviewPosition(0)}
+                  className="bg-gray-200 px-2 py-1 rounded hover:bg-gray-300"
+                >
+                  Review one by one
+                </button>
+              </div>
+            )}
+            {reviewPosition !== null && (
+              <SuggestionReview
+                matches={potentialMatches}
+                position={Math.min(reviewPosition, Math.max(potentialMatches.length - 1, 0))}
+                documentText={getCombinedText(currentDoc)}
+                onAccept={acceptPotentialMatch}
+                onReject={rejectPotentialMatch}
+                onMove={moveReviewPosition}
+                onNextDocument={documents.length > 1 ? reviewNextDocument : null}
+                onClose={() => setReviewPosition(null)}
+              />
+            )}
+
+            {/* Fragments collected with Ctrl-selection */}
+            {pendingFragments.length > 0 && (
+              <div className="mb-3 flex flex-wrap gap-2 items-center text-sm border border-blue-200 bg-blue-50 rounded p-2">
+                <span className="font-medium">Fragments:</span>
+                {pendingFragments.map((fragment, index) => (
+                  <span key={index} className="bg-white border border-dashed border-blue-400 rounded px-1">
+                    {fragment.text}
+                  </span>
+                ))}
+                <button
+                  onClick={annotatePendingFragments}
+                  className="ml-auto bg-blue-600 text-white px-2 py-1 rounded hover:bg-blue-700"
+                >
+                  Annotate as one mention
+                </button>
+                <button
+                  onClick={() => setPendingFragments([])}
+                  className="bg-gray-200 px-2 py-1 rounded hover:bg-gray-300"
+                >
+                  Clear
+                </button>
+              </div>
+            )}
+
             <div>
               <div
-                className="w-full p-3 border rounded bg-gray-50 min-h-[100px]"
+                className={`relative w-full p-3 border rounded bg-gray-50 min-h-[100px] ${currentDoc.relations.length > 0 ? 'leading-[2.75]' : ''}`}
                 onMouseUp={handleTextSelection}
                 ref={fullTextRef}
               >
@@ -276,56 +1144,111 @@ const PubTatorEditor = () => {
                   currentDoc,
                   regexPattern,
                   handleAnnotationClick,
-                  handleRightClickDelete
+                  handleRightClickDelete,
+                  relationSource || reviewMatch,
+                  handleOverlapClick,
+                  isRelationMode ? null : acceptPotentialMatch,
+                  currentDictionaryMatches,
+                  vocabularies
                 )}
+                <RelationArcs
+                  containerRef={fullTextRef}
+                  annotations={currentDoc.annotations}
+                  relations={currentDoc.relations}
+                />
+                <FragmentLinks
+                  containerRef={fullTextRef}
+                  annotations={currentDoc.annotations}
+                />
               </div>
             </div>
           </div>
 
-          {/* Annotations table */}
-          <div className="bg-white rounded-lg shadow p-4">
-            <div className="flex justify-between items-center mb-3">
-              <h2 className="text-xl font-bold">Annotations</h2>
-              <button
-                onClick={openAddAnnotationDialog}
-                className="bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700"
-              >
-                Add Annotation
-              </button>
+          <div className="grid grid-cols-1 xl:grid-cols-3 gap-6 items-start">
+            {/* Annotations table */}
+            <div className="bg-white rounded-lg shadow p-4 xl:col-span-2">
+              <div className="flex justify-between items-center mb-3">
+                <div className="flex items-center gap-3">
+                  <h2 className="text-xl font-bold">Annotations</h2>
+                  <div className="flex rounded border overflow-hidden text-sm">
+                    <button
+                      onClick={() => setIsBrowsingCorpus(false)}
+                      className={`px-2 py-1 ${isBrowsingCorpus ? 'bg-white hover:bg-gray-100' : 'bg-blue-600 text-white'}`}
+                    >
+                      This document
+                    </button>
+                    <button
+                      onClick={() => setIsBrowsingCorpus(true)}
+                      className={`px-2 py-1 border-l ${isBrowsingCorpus ? 'bg-blue-600 text-white' : 'bg-white hover:bg-gray-100'}`}
+                    >
+                      All documents
+                    </button>
+                  </div>
+                </div>
+                <button
+                  onClick={openAddAnnotationDialog}
+                  className="bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700"
+                >
+                  Add Annotation
+                </button>
+              </div>
+
+              {isBrowsingCorpus ? (
+                <AnnotationBrowser
+                  documents={documents}
+                  knownEntityTypes={knownEntityTypes}
+                  onApplyChanges={applyAnnotationChanges}
+                  onAddNewEntityType={addNewEntityType}
+                  onOpenDocument={setCurrentDocIndex}
+                  vocabularies={vocabularies}
+                  idRules={idRules}
+                />
+              ) : currentDoc.annotations.length > 0 ? (
+                <div className="overflow-x-auto">
+                  <table className="w-full border-collapse">
+                    <thead>
+                      <tr className="bg-gray-100">
+                        <th className="border p-2 text-left">Start</th>
+                        <th className="border p-2 text-left">End</th>
+                        <th className="border p-2 text-left">Text</th>
+                        <th className="border p-2 text-left">Type</th>
+                        <th className="border p-2 text-left">Normalized ID</th>
+                        <th className="border p-2 text-left">Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {currentDoc.annotations.map((anno, index) => (
+                        <AnnotationRow
+                          key={index}
+                          annotation={anno}
+                          index={index}
+                          onEdit={editAnnotation}
+                          onDelete={deleteAnnotation}
+                          knownEntityTypes={knownEntityTypes}
+                          documentText={getCombinedText(currentDoc)}
+                          onAddNewEntityType={addNewEntityType}
+                          vocabularies={vocabularies}
+                          idRules={idRules}
+                        />
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <p className="text-gray-500 italic">No annotations found. Select text in the abstract to add annotations.</p>
+              )}
             </div>
 
-            {currentDoc.annotations.length > 0 ? (
-              <div className="overflow-x-auto">
-                <table className="w-full border-collapse">
-                  <thead>
-                    <tr className="bg-gray-100">
-                      <th className="border p-2 text-left">Start</th>
-                      <th className="border p-2 text-left">End</th>
-                      <th className="border p-2 text-left">Text</th>
-                      <th className="border p-2 text-left">Type</th>
-                      <th className="border p-2 text-left">Normalized ID</th>
-                      <th className="border p-2 text-left">Actions</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {currentDoc.annotations.map((anno, index) => (
-                      <AnnotationRow
-                        key={index}
-                        annotation={anno}
-                        index={index}
-                        onEdit={editAnnotation}
-                        onDelete={deleteAnnotation}
-                        knownEntityTypes={knownEntityTypes}
-                        documentText={getCombinedText(currentDoc)}
-                        onAddNewEntityType={addNewEntityType}
-                      />
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-            ) : (
-              <p className="text-gray-500 italic">No annotations found. Select text in the abstract to add annotations.</p>
-            )}
+            {/* Relations panel */}
+            <RelationPanel
+              relations={currentDoc.relations}
+              annotations={currentDoc.annotations}
+              knownRelationTypes={knownRelationTypes}
+              onAdd={addRelation}
+              onEdit={editRelation}
+              onDelete={deleteRelation}
+              onAddNewRelationType={addNewRelationType}
+            />
           </div>
         </div>
       ) : (
@@ -345,6 +1268,160 @@ const PubTatorEditor = () => {
         documentText={getCombinedText(currentDoc)}
         selectedText={selectedText}
         onClose={handleDialogClose} // Add new prop for handling close
+        onPropagate={openPropagateDialog}
+        vocabularies={vocabularies}
+        idRules={idRules}
+      />
+
+      {/* Annotate the same text in all documents */}
+      <PropagateDialog
+        documents={documents}
+        term={propagationTerm}
+        isOpen={propagationTerm !== null}
+        onApplyChanges={applyAnnotationChanges}
+        onNavigateToDocument={(docId) => {
+          navigateToDocumentId(docId);
+          closePropagateDialog();
+        }}
+        onClose={closePropagateDialog}
+      />
+
+      {/* CoNLL export dialog */}
+      <ConllExportDialog
+        documents={documents}
+        isOpen={isConllDialogOpen}
+        onExport={exportConll}
+        onNavigateToDocument={(docId) => {
+          navigateToDocumentId(docId);
+          closeConllDialog();
+        }}
+        onClose={closeConllDialog}
+      />
+
+      {/* Validation report for offset/text and normalized ID problems */}
+      <ValidationReportDialog
+        documents={documents}
+        idRules={idRules}
+        isOpen={isValidationOpen}
+        onApplyChanges={applyAnnotationChanges}
+        onNavigateToDocument={(docId) => {
+          navigateToDocumentId(docId);
+          closeValidationReport();
+        }}
+        onClose={closeValidationReport}
+      />
+
+      {/* Consistency report for strings and IDs annotated differently across documents */}
+      <ConsistencyReportDialog
+        documents={documents}
+        isOpen={isConsistencyOpen}
+        onApplyChanges={applyAnnotationChanges}
+        onNavigateToDocument={(docId) => {
+          navigateToDocumentId(docId);
+          closeConsistencyReport();
+        }}
+        onClose={closeConsistencyReport}
+      />
+
+      {/* Normalized ID rules per entity type */}
+      <IdRulesDialog
+        documents={documents}
+        knownEntityTypes={knownEntityTypes}
+        idRules={idRules}
+        isOpen={isIdRulesOpen}
+        onChange={changeIdRule}
+        onReset={() => setIdRules(DEFAULT_ID_RULES)}
+        onClose={closeIdRulesDialog}
+      />
+
+      {/* ID vocabularies per entity type */}
+      <VocabularyDialog
+        documents={documents}
+        knownEntityTypes={knownEntityTypes}
+        vocabularies={vocabularies}
+        isOpen={isVocabularyOpen}
+        onChange={changeVocabulary}
+        onClose={closeVocabularyDialog}
+      />
+
+      {/* Dictionary pre-annotation */}
+      <DictionaryDialog
+        documents={documents}
+        currentDocIndex={currentDocIndex}
+        knownEntityTypes={knownEntityTypes}
+        isOpen={isDictionaryOpen}
+        suggestionsByDoc={dictionarySuggestions}
+        onRun={setDictionarySuggestions}
+        onClear={() => setDictionarySuggestions(new Map())}
+        onApplyChanges={applyAnnotationChanges}
+        onClose={closeDictionaryDialog}
+      />
+
+      {/* Statistics dashboard for the loaded file */}
+      <StatisticsDialog
+        documents={documents}
+        isOpen={isStatisticsOpen}
+        onExport={exportStatistics}
+        onNavigateToDocument={(docId) => {
+          navigateToDocumentId(docId);
+          closeStatisticsDialog();
+        }}
+        onClose={closeStatisticsDialog}
+      />
+
+      {/* Agreement with a second annotator's file */}
+      <AgreementDialog
+        documents={documents}
+        filename={originalFilename}
+        comparison={comparison}
+        isOpen={isAgreementOpen}
+        onLoadComparison={handleComparisonUpload}
+        onExport={exportAgreement}
+        onNavigateToDocument={(docId) => {
+          navigateToDocumentId(docId);
+          closeAgreementDialog();
+        }}
+        onClose={closeAgreementDialog}
+      />
+
+      {/* Side-by-side diff and adjudication against the second file */}
+      <AdjudicationDialog
+        documents={documents}
+        filename={originalFilename}
+        comparison={comparison}
+        currentDocId={currentDoc?.id ?? null}
+        knownEntityTypes={knownEntityTypes}
+        vocabularies={vocabularies}
+        idRules={idRules}
+        isOpen={isAdjudicationOpen}
+        onLoadComparison={handleComparisonUpload}
+        onSave={saveAdjudication}
+        onApply={applyAdjudication}
+        onClose={closeAdjudicationDialog}
+      />
+
+      {/* Menu for choosing between overlapping annotations */}
+      <AnnotationPicker
+        choices={annotationChoices}
+        onPick={handleAnnotationChoice}
+        onClose={() => setAnnotationChoices(null)}
+      />
+
+      {/* Named snapshots stored in the browser */}
+      <SnapshotDialog
+        isOpen={isSnapshotDialogOpen}
+        sessionState={sessionState}
+        onRestore={restoreSnapshot}
+        onClose={closeSnapshotDialog}
+      />
+
+      {/* Relation type dialog for relations drawn in the text */}
+      <RelationTypeDialog
+        source={relationSource}
+        target={relationTarget}
+        knownRelationTypes={knownRelationTypes}
+        onSubmit={handleRelationTypeSubmit}
+        onClose={handleRelationDialogClose}
       />
 
     </div>
@@ -0,0 +1,468 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { DISAGREEMENT_KINDS, buildMergedDocuments, diffDocuments, mergeAnnotations } from '../utils/adjudicationUtils';
+import { getDisagreementStyle, getEntityColor } from '../utils/colorUtils';
+import { validateNormalizedId } from '../utils/idFormatUtils';
+import { findPotentialMatches, getCombinedText, renderHighlightedText } from './textHighlight';
+import NormalizedIdInput from './NormalizedIdInput';
+
+// Without potential matches, so only the annotations of each version are highlighted
+const withoutSuggestions = (doc) => ({ ...doc, rejectedMatches: [...(doc.rejectedMatches || []), ...findPotentialMatches(doc)] });
+
+/**
+ * Dialog for adjudicating two versions of the same documents, e.g. two annotators or before and after
+ * a model run: the loaded file (A) and a second file (B) are shown side by side with their disagreements
+ * outlined, and each disagreement is resolved by picking A, B, neither or a custom annotation.
+ * The merged gold documents can be saved or applied to the loaded file.
+ */
+const AdjudicationDialog = ({ documents, filename, comparison, currentDocId, knownEntityTypes, vocabularies = {}, idRules = {}, isOpen, onLoadComparison, onSave, onApply, onClose }) => {
+  const [docId, setDocId] = useState(null);
+  const [resolutions, setResolutions] = useState({});
+  const [activeKey, setActiveKey] = useState(null);
+  const [custom, setCustom] = useState(null);
+
+  // Resolutions belong to the second file they were made against
+  useEffect(() => {
+    setResolutions({});
+    setActiveKey(null);
+    setCustom(null);
+  }, [comparison]);
+
+  const diffs = useMemo(
+    () => (isOpen && comparison ? diffDocuments(documents, comparison.documents) : []),
+    [isOpen, documents, comparison]
+  );
+
+  // Start at the document open in the editor, if the second file has it
+  useEffect(() => {
+    if (isOpen) setDocId(currentDocId);
+  }, [isOpen, currentDocId]);
+
+  const entry = diffs.find(({ docA }) => docA.id === docId) || diffs.find(({ diff }) => diff) || diffs[0];
+  const docResolutions = (entry && resolutions[entry.docA.id]) || {};
+  const disagreements = entry?.diff?.disagreements || [];
+  const activeDisagreement = disagreements.find(disagreement => disagreement.key === activeKey) || null;
+  const countOpen = ({ docA, diff }) => (diff ? diff.disagreements.filter(disagreement => !resolutions[docA.id]?.[disagreement.key]).length : 0);
+  const totalDisagreements = diffs.reduce((total, { diff }) => total + (diff ? diff.disagreements.length : 0), 0);
+  const totalOpen = diffs.reduce((total, diffEntry) => total + countOpen(diffEntry), 0);
+
+  const panes = useMemo(() => {
+    if (!entry?.diff) return null;
+    const classes = new Map();
+    for (const disagreement of entry.diff.disagreements) {
+      const { outline } = getDisagreementStyle(disagreement.kind);
+      if (disagreement.a) classes.set(disagreement.a, outline);
+      if (disagreement.b) classes.set(disagreement.b, outline);
+    }
+    const merged = mergeAnnotations(entry.diff, resolutions[entry.docA.id]);
+    return {
+      classes,
+      docA: withoutSuggestions(entry.docA),
+      docB: withoutSuggestions(entry.docB),
+      merged: withoutSuggestions({ ...entry.docA, annotations: merged.annotations })
+    };
+  }, [entry, resolutions]);
+
+  const text = entry ? getCombinedText(entry.docA) : '';
+
+  const resolve = (disagreement, resolution) => {
+    const id = entry.docA.id;
+    setResolutions(prev => {
+      const updated = { ...prev[id] };
+      if (resolution) {
+        updated[disagreement.key] = resolution;
+      } else {
+        delete updated[disagreement.key];
+      }
+      return { ...prev, [id]: updated };
+    });
+  };
+
+  // Resolve every open disagreement of the document the same way
+  const resolveOpen = (choice) => {
+    const id = entry.docA.id;
+    setResolutions(prev => {
+      const updated = { ...prev[id] };
+      for (const disagreement of disagreements) {
+        if (!updated[disagreement.key]) updated[disagreement.key] = { choice };
+      }
+      return { ...prev, [id]: updated };
+    });
+  };
+
+  // Select the disagreement an annotation in one of the panes belongs to
+  const selectAnnotation = (annotation) => {
+    const disagreement = disagreements.find(d => d.a === annotation || d.b === annotation);
+    setActiveKey(disagreement ? disagreement.key : null);
+  };
+
+  const startCustom = (disagreement) => {
+    const source = docResolutions[disagreement.key]?.annotation || disagreement.a || disagreement.b;
+    setActiveKey(disagreement.key);
+    setCustom({ key: disagreement.key, start: source.start, end: source.end, type: source.type, normalizedId: source.normalizedId || '' });
+  };
+
+  const customError = custom && (
+    !(custom.start >= 0 && custom.end <= text.length && custom.start < custom.end)
+      ? `Offsets must satisfy 0 ≤ start < end ≤ ${text.length}`
+      : validateNormalizedId(custom.normalizedId, idRules[custom.type])[0] || null
+  );
+
+  const saveCustom = (disagreement) => {
+    const annotation = {
+      id: entry.docA.id,
+      start: custom.start,
+      end: custom.end,
+      text: text.substring(custom.start, custom.end),
+      type: custom.type,
+      normalizedId: custom.normalizedId || '-'
+    };
+    resolve(disagreement, { choice: 'custom', annotation });
+    setCustom(null);
+  };
+
+  // Move to the next document with open disagreements
+  const goToNextOpen = () => {
+    const index = diffs.indexOf(entry);
+    const next = [...diffs.slice(index + 1), ...diffs.slice(0, index)].find(diffEntry => countOpen(diffEntry) > 0);
+    if (next) {
+      setDocId(next.docA.id);
+      setActiveKey(null);
+      setCustom(null);
+    }
+  };
+
+  const finish = (handler) => {
+    const merged = buildMergedDocuments(documents, diffs, resolutions);
+    const warnings = [];
+    if (merged.unresolved > 0) {
+      warnings.push(`${merged.unresolved} disagreement${merged.unresolved === 1 ? ' is' : 's are'} not resolved yet and will keep the version of A. Their documents are marked as in progress.`);
+    }
+    if (merged.droppedRelations.length > 0) {
+      const listed = merged.droppedRelations.slice(0, 10).map(({ docId, relation }) => `${docId}: ${relation.type} ${relation.arg1} → ${relation.arg2}`);
+      if (merged.droppedRelations.length > 10) listed.push('…');
+      warnings.push(`${merged.droppedRelations.length} relation${merged.droppedRelations.length === 1 ? ' points' : 's point'} to entities that are no longer annotated and will be left out:\n${listed.join('\n')}`);
+    }
+    if (warnings.length > 0 && !confirm(`${warnings.join('\n\n')}\n\nContinue?`)) {
+      return;
+    }
+    handler(merged.documents);
+  };
+
+  const describe = (annotation) => {
+    if (!annotation) return <span className="text-gray-400">—</span>;
+    const colorClasses = getEntityColor(annotation.type);
+    return (
+      <span>
+        <span className="font-mono text-xs text-gray-500 mr-1">{annotation.start}–{annotation.end}</span>
+        "{annotation.text}"{' '}
+        <span className={`inline-block px-1 rounded ${colorClasses.bg} ${colorClasses.text}`}>{annotation.type}</span>
+        {annotation.normalizedId && annotation.normalizedId !== '-' && (
+          <span className="font-mono text-xs ml-1">{annotation.normalizedId}</span>
+        )}
+      </span>
+    );
+  };
+
+  const resolutionLabel = (disagreement) => {
+    const resolution = docResolutions[disagreement.key];
+    if (!resolution) return <span className="text-amber-700">Open</span>;
+    if (resolution.choice === 'custom') return describe(resolution.annotation);
+    return { a: 'A', b: 'B', none: 'Neither' }[resolution.choice];
+  };
+
+  const choiceButton = (disagreement, choice, label) => {
+    const isChosen = docResolutions[disagreement.key]?.choice === choice;
+    return (
+      <button
+        type="button"
+        onClick={() => (isChosen ? resolve(disagreement, null) : resolve(disagreement, { choice }))}
+        className={`px-2 py-0.5 rounded border ${isChosen ? 'bg-blue-600 text-white border-blue-600' : 'hover:bg-gray-100'}`}
+        title={isChosen ? 'Undo this choice' : undefined}
+      >
+        {label}
+      </button>
+    );
+  };
+
+  const renderPane = (title, doc, selected) => (
+    <div className="flex-1 min-w-0 border rounded">
+      <div className="bg-gray-50 px-2 py-1 font-semibold border-b truncate">{title}</div>
+      <div className="p-2 max-h-72 overflow-y-auto leading-relaxed">
+        {renderHighlightedText(doc, '', selectAnnotation, null, selected, null, null, [], vocabularies, panes.classes)}
+      </div>
+    </div>
+  );
+
+  return (
+    <dialog
+      id="adjudication-dialog"
+      className="p-0 rounded-lg shadow-xl w-full max-w-7xl"
+      onCancel={onClose}
+    >
+      <div className="bg-gray-100 px-4 py-3 flex justify-between items-center">
+        <h3 className="font-semibold">Diff &amp; Adjudication</h3>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="p-4 max-h-[85vh] overflow-y-auto text-sm">
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          <input
+            type="file"
+            multiple
+            onChange={onLoadComparison}
+            className="hidden"
+            id="adjudication-upload"
+          />
+          <label
+            htmlFor="adjudication-upload"
+            className="bg-blue-600 text-white px-3 py-1 rounded cursor-pointer hover:bg-blue-700"
+          >
+            {comparison ? 'Replace Second File' : 'Load Second File'}
+          </label>
+          {comparison ? (
+            <span>A: {filename}, B: {comparison.name}</span>
+          ) : (
+            <span className="text-gray-600">
+              Load a second version of the documents, e.g. another annotator's file or a model's output,
+              to compare it with the loaded file and merge the two into a gold standard.
+            </span>
+          )}
+        </div>
+
+        {entry && (
+          <>
+            <div className="flex flex-wrap items-center gap-2 mb-3">
+              <select
+                value={entry.docA.id}
+                onChange={(e) => {
+                  setDocId(e.target.value);
+                  setActiveKey(null);
+                  setCustom(null);
+                }}
+                className="border rounded p-1"
+              >
+                {diffs.map(diffEntry => (
+                  <option key={diffEntry.docA.id} value={diffEntry.docA.id}>
+                    {diffEntry.docA.id} — {diffEntry.diff
+                      ? `${countOpen(diffEntry)} open of ${diffEntry.diff.disagreements.length}`
+                      : 'text differs, not compared'}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={goToNextOpen}
+                disabled={totalOpen === countOpen(entry)}
+                className="px-2 py-1 border rounded disabled:opacity-50"
+              >
+                Next open document
+              </button>
+              <span className="text-gray-600">
+                {totalDisagreements - totalOpen} of {totalDisagreements} disagreement{totalDisagreements === 1 ? '' : 's'} resolved
+                in {diffs.length} shared document{diffs.length === 1 ? '' : 's'}
+              </span>
+              <span className="ml-auto flex flex-wrap gap-2">
+                {Object.entries(DISAGREEMENT_KINDS).map(([kind, label]) => (
+                  <span key={kind} className={`px-1 rounded ${getDisagreementStyle(kind).badge}`}>{label}</span>
+                ))}
+              </span>
+            </div>
+
+            {!entry.diff ? (
+              <p className="text-amber-700 mb-3">
+                The text of this document differs between the two files, so its offsets can't be compared.
+                The merged file keeps A's version of it.
+              </p>
+            ) : (
+              <>
+                <div className="flex gap-3 mb-3">
+                  {renderPane(`A: ${filename}`, panes.docA, activeDisagreement?.a)}
+                  {renderPane(`B: ${comparison.name}`, panes.docB, activeDisagreement?.b)}
+                </div>
+
+                {disagreements.length === 0 ? (
+                  <p className="text-green-700 mb-3">Both versions agree on every annotation of this document.</p>
+                ) : (
+                  <div className="max-h-72 overflow-y-auto border rounded mb-3">
+                    <table className="w-full border-collapse">
+                      <thead className="sticky top-0">
+                        <tr className="bg-gray-100">
+                          <th className="border p-1 text-left">Disagreement</th>
+                          <th className="border p-1 text-left">A</th>
+                          <th className="border p-1 text-left">B</th>
+                          <th className="border p-1 text-left">Keep</th>
+                          <th className="border p-1 text-left">Resolution</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {disagreements.map(disagreement => (
+                          <React.Fragment key={disagreement.key}>
+                            <tr
+                              onClick={() => setActiveKey(disagreement.key)}
+                              className={`cursor-pointer ${disagreement.key === activeKey ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                            >
+                              <td className="border p-1">
+                                <span className={`px-1 rounded ${getDisagreementStyle(disagreement.kind).badge}`}>
+                                  {DISAGREEMENT_KINDS[disagreement.kind]}
+                                </span>
+                              </td>
+                              <td className="border p-1">{describe(disagreement.a)}</td>
+                              <td className="border p-1">{describe(disagreement.b)}</td>
+                              <td className="border p-1 whitespace-nowrap" onClick={(e) => e.stopPropagation()}>
+                                <div className="flex gap-1">
+                                  {choiceButton(disagreement, 'a', 'A')}
+                                  {choiceButton(disagreement, 'b', 'B')}
+                                  {disagreement.a && disagreement.b && choiceButton(disagreement, 'none', 'Neither')}
+                                  <button
+                                    type="button"
+                                    onClick={() => startCustom(disagreement)}
+                                    className={`px-2 py-0.5 rounded border ${docResolutions[disagreement.key]?.choice === 'custom' ? 'bg-blue-600 text-white border-blue-600' : 'hover:bg-gray-100'}`}
+                                  >
+                                    Custom…
+                                  </button>
+                                </div>
+                              </td>
+                              <td className="border p-1">{resolutionLabel(disagreement)}</td>
+                            </tr>
+                            {custom?.key === disagreement.key && (
+                              <tr className="bg-gray-50">
+                                <td className="border p-2" colSpan={5}>
+                                  <div className="flex flex-wrap items-start gap-2">
+                                    <label>
+                                      Start{' '}
+                                      <input
+                                        type="number"
+                                        value={custom.start}
+                                        onChange={(e) => setCustom({ ...custom, start: parseInt(e.target.value, 10) })}
+                                        className="border rounded p-1 w-20"
+                                      />
+                                    </label>
+                                    <label>
+                                      End{' '}
+                                      <input
+                                        type="number"
+                                        value={custom.end}
+                                        onChange={(e) => setCustom({ ...custom, end: parseInt(e.target.value, 10) })}
+                                        className="border rounded p-1 w-20"
+                                      />
+                                    </label>
+                                    <select
+                                      value={custom.type}
+                                      onChange={(e) => setCustom({ ...custom, type: e.target.value })}
+                                      className="border rounded p-1"
+                                    >
+                                      {[...new Set([...knownEntityTypes, custom.type])].map(type => (
+                                        <option key={type} value={type}>{type}</option>
+                                      ))}
+                                    </select>
+                                    <div className="flex-1 min-w-[16rem]">
+                                      <NormalizedIdInput
+                                        value={custom.normalizedId === '-' ? '' : custom.normalizedId}
+                                        onChange={(normalizedId) => setCustom({ ...custom, normalizedId })}
+                                        vocabulary={vocabularies[custom.type] || null}
+                                        rule={idRules[custom.type]}
+                                        searchText={text.substring(custom.start, custom.end)}
+                                        placeholder="Normalized ID"
+                                        className="border rounded p-1"
+                                      />
+                                    </div>
+                                    <button
+                                      type="button"
+                                      onClick={() => saveCustom(disagreement)}
+                                      disabled={Boolean(customError)}
+                                      className="px-3 py-1 bg-blue-600 text-white rounded disabled:opacity-50"
+                                    >
+                                      Use
+                                    </button>
+                                    <button
+                                      type="button"
+                                      onClick={() => setCustom(null)}
+                                      className="px-3 py-1 border rounded"
+                                    >
+                                      Cancel
+                                    </button>
+                                  </div>
+                                  <div className="mt-1">
+                                    {customError
+                                      ? <span className="text-red-700">{customError}</span>
+                                      : <span>Text: "{text.substring(custom.start, custom.end)}"</span>}
+                                  </div>
+                                </td>
+                              </tr>
+                            )}
+                          </React.Fragment>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                <div className="border rounded mb-3">
+                  <div className="bg-gray-50 px-2 py-1 font-semibold border-b">
+                    Merged {countOpen(entry) > 0 && <span className="font-normal text-amber-700">(open disagreements keep A's version)</span>}
+                  </div>
+                  <div className="p-2 max-h-56 overflow-y-auto leading-relaxed">
+                    {renderHighlightedText(panes.merged, '', null, null, null, null, null, [], vocabularies)}
+                  </div>
+                </div>
+              </>
+            )}
+          </>
+        )}
+
+        <div className="flex justify-end gap-2">
+          {entry?.diff && disagreements.length > 0 && (
+            <>
+              <button
+                type="button"
+                onClick={() => resolveOpen('a')}
+                className="px-4 py-2 border rounded"
+              >
+                Keep A for Open
+              </button>
+              <button
+                type="button"
+                onClick={() => resolveOpen('b')}
+                className="px-4 py-2 border rounded mr-auto"
+              >
+                Keep B for Open
+              </button>
+            </>
+          )}
+          {entry && (
+            <>
+              <button
+                type="button"
+                onClick={() => finish(onApply)}
+                className="px-4 py-2 bg-blue-600 text-white rounded"
+                title="Replace the annotations of the loaded file with the merged ones (can be undone)"
+              >
+                Apply to Loaded File
+              </button>
+              <button
+                type="button"
+                onClick={() => finish(onSave)}
+                className="px-4 py-2 bg-blue-600 text-white rounded"
+              >
+                Save Merged File
+              </button>
+            </>
+          )}
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border rounded"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+};
+
+export default AdjudicationDialog;
@@ -0,0 +1,228 @@
+import React, { useMemo, useState } from 'react';
+import { SPAN_MODES, MATCH_CRITERIA, computeAgreement, agreementToCsv } from '../utils/agreementUtils';
+import { getEntityColor } from '../utils/colorUtils';
+
+// Format a ratio, or a dash if it is undefined
+const formatRatio = (value) => (value === null || value === undefined ? '—' : value.toFixed(3));
+
+/**
+ * Dialog comparing the loaded file (annotator A) with a second annotator's file (B) covering the
+ * same document IDs: precision, recall and F1 for strict and overlapping spans, with and without
+ * type and normalized ID, broken down per entity type and per document, plus token-level Cohen's kappa.
+ */
+const AgreementDialog = ({ documents, filename, comparison, isOpen, onLoadComparison, onExport, onNavigateToDocument, onClose }) => {
+  const [mode, setMode] = useState('overlap');
+  const [criterion, setCriterion] = useState('type');
+
+  const report = useMemo(
+    () => (isOpen && comparison ? computeAgreement(documents, comparison.documents, { mode, criterion }) : null),
+    [isOpen, documents, comparison, mode, criterion]
+  );
+
+  const scoreCells = (entry) => (
+    <>
+      <td className="border p-1 text-right">{entry.countA}</td>
+      <td className="border p-1 text-right">{entry.countB}</td>
+      <td className="border p-1 text-right">{entry.matched}</td>
+      <td className="border p-1 text-right">{formatRatio(entry.precision)}</td>
+      <td className="border p-1 text-right">{formatRatio(entry.recall)}</td>
+      <td className="border p-1 text-right font-semibold">{formatRatio(entry.f1)}</td>
+    </>
+  );
+
+  const scoreHeaders = (
+    <>
+      <th className="border p-1 text-right">A</th>
+      <th className="border p-1 text-right">B</th>
+      <th className="border p-1 text-right">Matched</th>
+      <th className="border p-1 text-right">Precision</th>
+      <th className="border p-1 text-right">Recall</th>
+      <th className="border p-1 text-right">F1</th>
+    </>
+  );
+
+  return (
+    <dialog
+      id="agreement-dialog"
+      className="p-0 rounded-lg shadow-xl w-full max-w-5xl"
+      onCancel={onClose}
+    >
+      <div className="bg-gray-100 px-4 py-3 flex justify-between items-center">
+        <h3 className="font-semibold">Inter-annotator Agreement</h3>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="p-4 max-h-[80vh] overflow-y-auto text-sm">
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          <input
+            type="file"
+            multiple
+            onChange={onLoadComparison}
+            className="hidden"
+            id="comparison-upload"
+          />
+          <label
+            htmlFor="comparison-upload"
+            className="bg-blue-600 text-white px-3 py-1 rounded cursor-pointer hover:bg-blue-700"
+          >
+            {comparison ? 'Replace Second File' : 'Load Second File'}
+          </label>
+          {comparison ? (
+            <span>
+              A: {filename} ({documents.length} documents), B: {comparison.name} ({comparison.documents.length} documents)
+            </span>
+          ) : (
+            <span className="text-gray-600">
+              Load a second annotator's file covering the same document IDs. The loaded file serves as the
+              reference: precision is the share of B's annotations A agrees with, recall the share of A's that B found.
+            </span>
+          )}
+        </div>
+
+        {report && (
+          <>
+            <p className="text-gray-600 mb-3">
+              {report.documents.shared} shared document{report.documents.shared === 1 ? '' : 's'}
+              {report.documents.onlyA.length > 0 && `, ${report.documents.onlyA.length} only in A`}
+              {report.documents.onlyB.length > 0 && `, ${report.documents.onlyB.length} only in B`}
+              {report.documents.textDiffers.length > 0 && (
+                <span className="text-amber-700">
+                  {' '}— {report.documents.textDiffers.length} shared document{report.documents.textDiffers.length === 1 ? ' has' : 's have'} a
+                  different text, so their offsets may not line up (they are left out of kappa)
+                </span>
+              )}
+            </p>
+
+            <h4 className="font-semibold mb-2">Overall</h4>
+            <table className="w-full border-collapse mb-4">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="border p-1 text-left">Spans</th>
+                  <th className="border p-1 text-left">Must also agree on</th>
+                  {scoreHeaders}
+                </tr>
+              </thead>
+              <tbody>
+                {report.matrix.map(entry => (
+                  <tr
+                    key={`${entry.mode}-${entry.criterion}`}
+                    onClick={() => {
+                      setMode(entry.mode);
+                      setCriterion(entry.criterion);
+                    }}
+                    className={`cursor-pointer hover:bg-gray-50 ${entry.mode === mode && entry.criterion === criterion ? 'bg-blue-50' : ''}`}
+                    title="Break down by type and document"
+                  >
+                    <td className="border p-1">{SPAN_MODES[entry.mode]}</td>
+                    <td className="border p-1">{MATCH_CRITERIA[entry.criterion]}</td>
+                    {scoreCells(entry)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <p className="mb-4">
+              <span className="font-semibold">Cohen's kappa</span> (token level, {report.kappa.tokens} tokens):{' '}
+              {formatRatio(report.kappa.overall)}
+            </p>
+
+            <div className="flex flex-wrap items-center gap-2 mb-2">
+              <h4 className="font-semibold mr-2">Breakdown</h4>
+              <select value={mode} onChange={(e) => setMode(e.target.value)} className="border rounded p-1">
+                {Object.entries(SPAN_MODES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+              <select value={criterion} onChange={(e) => setCriterion(e.target.value)} className="border rounded p-1">
+                {Object.entries(MATCH_CRITERIA).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+            </div>
+
+            <table className="w-full border-collapse mb-4">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="border p-1 text-left">Type</th>
+                  {scoreHeaders}
+                  <th className="border p-1 text-right" title="Token-level kappa of this type against everything else">Kappa</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.byType.map(entry => {
+                  const colorClasses = getEntityColor(entry.type);
+                  return (
+                    <tr key={entry.type} className="border-b">
+                      <td className="border p-1">
+                        <span className={`inline-block px-2 rounded ${colorClasses.bg} ${colorClasses.text}`}>{entry.type}</span>
+                      </td>
+                      {scoreCells(entry)}
+                      <td className="border p-1 text-right">{formatRatio(report.kappa.byType[entry.type])}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+
+            <div className="max-h-64 overflow-y-auto border rounded mb-4">
+              <table className="w-full border-collapse">
+                <thead className="sticky top-0">
+                  <tr className="bg-gray-100">
+                    <th className="border p-1 text-left">Document</th>
+                    {scoreHeaders}
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.byDocument.map(entry => (
+                    <tr key={entry.id} className="border-b">
+                      <td className="border p-1">
+                        <button
+                          onClick={() => onNavigateToDocument(entry.id)}
+                          className="text-blue-600 hover:underline"
+                        >
+                          {entry.id}
+                        </button>
+                        {!entry.sameText && <span className="text-amber-600" title="The document text differs between the files"> ⚠</span>}
+                      </td>
+                      {scoreCells(entry)}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        <div className="flex justify-end gap-2">
+          {report && (
+            <>
+              <button
+                type="button"
+                onClick={() => onExport(agreementToCsv(report), 'csv', 'text/csv')}
+                className="px-4 py-2 bg-blue-600 text-white rounded"
+              >
+                Export CSV
+              </button>
+              <button
+                type="button"
+                onClick={() => onExport(JSON.stringify({ fileA: filename, fileB: comparison.name, ...report }, null, 2), 'json', 'application/json')}
+                className="px-4 py-2 bg-blue-600 text-white rounded"
+              >
+                Export JSON
+              </button>
+            </>
+          )}
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border rounded"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+};
+
+export default AgreementDialog;
@@ -0,0 +1,199 @@
+import React, { useMemo, useState } from 'react';
+import AnnotationRow from './AnnotationRow';
+import { buildPassageText } from '../utils/documentUtils';
+import { getEntityColor } from '../utils/colorUtils';
+
+// Rows rendered at a time; more are added on request
+const PAGE_SIZE = 200;
+
+const COLUMNS = [
+  { key: 'docId', label: 'Document' },
+  { key: 'start', label: 'Start' },
+  { key: 'end', label: 'End' },
+  { key: 'text', label: 'Text' },
+  { key: 'type', label: 'Type' },
+  { key: 'normalizedId', label: 'Normalized ID' }
+];
+
+// Compare two annotation entries on a column, falling back to document order
+const compareEntries = (a, b, key) => {
+  const valueA = key === 'docId' ? a.docId : a.annotation[key];
+  const valueB = key === 'docId' ? b.docId : b.annotation[key];
+  let result;
+  if (typeof valueA === 'number' && typeof valueB === 'number') {
+    result = valueA - valueB;
+  } else {
+    result = String(valueA ?? '').localeCompare(String(valueB ?? ''), undefined, { numeric: true, sensitivity: 'base' });
+  }
+  return result || a.docIndex - b.docIndex || a.annotation.start - b.annotation.start;
+};
+
+/**
+ * Sortable, filterable table of the annotations of every document.
+ * Edits and deletions are applied to the document each annotation belongs to.
+ */
+const AnnotationBrowser = ({ documents, knownEntityTypes, onApplyChanges, onAddNewEntityType, onOpenDocument, vocabularies = {}, idRules = {} }) => {
+  const [selectedTypes, setSelectedTypes] = useState(new Set());
+  const [missingIdOnly, setMissingIdOnly] = useState(false);
+  const [textFilter, setTextFilter] = useState('');
+  const [sort, setSort] = useState({ key: 'docId', ascending: true });
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  const entries = useMemo(() => documents.flatMap((doc, docIndex) =>
+    doc.annotations.map((annotation, annotationIndex) => ({ docIndex, docId: doc.id, annotationIndex, annotation }))
+  ), [documents]);
+
+  // Annotation counts per type over the whole corpus, for the facet buttons
+  const typeCounts = useMemo(() => {
+    const counts = new Map();
+    entries.forEach(({ annotation }) => counts.set(annotation.type, (counts.get(annotation.type) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  }, [entries]);
+
+  const filteredEntries = useMemo(() => {
+    const needle = textFilter.trim().toLowerCase();
+    const filtered = entries.filter(({ annotation }) =>
+      (selectedTypes.size === 0 || selectedTypes.has(annotation.type)) &&
+      (!missingIdOnly || !annotation.normalizedId || annotation.normalizedId === '-') &&
+      (!needle || annotation.text.toLowerCase().includes(needle))
+    );
+    filtered.sort((a, b) => compareEntries(a, b, sort.key) * (sort.ascending ? 1 : -1));
+    return filtered;
+  }, [entries, selectedTypes, missingIdOnly, textFilter, sort]);
+
+  // Rows need the text of their document to update the text when offsets are edited
+  const documentTexts = useMemo(() => documents.map(doc => buildPassageText(doc.passages)), [documents]);
+
+  const toggleType = (type) => {
+    setSelectedTypes(prev => {
+      const next = new Set(prev);
+      if (next.has(type)) {
+        next.delete(type);
+      } else {
+        next.add(type);
+      }
+      return next;
+    });
+  };
+
+  const toggleSort = (key) => {
+    setSort(prev => ({ key, ascending: prev.key === key ? !prev.ascending : true }));
+  };
+
+  const handleEdit = (entry, updatedAnnotation) => {
+    const { annotation: previous } = entry;
+    const label = previous.type !== updatedAnnotation.type
+      ? `Change "${previous.text}" from ${previous.type} to ${updatedAnnotation.type} in ${entry.docId}`
+      : `Edit "${updatedAnnotation.text}" in ${entry.docId}`;
+    onApplyChanges([{ docIndex: entry.docIndex, annotationIndex: entry.annotationIndex, annotation: updatedAnnotation }], label);
+  };
+
+  const handleDelete = (entry) => {
+    onApplyChanges(
+      [{ docIndex: entry.docIndex, annotationIndex: entry.annotationIndex, annotation: null }],
+      `Delete ${entry.annotation.type} "${entry.annotation.text}" in ${entry.docId}`
+    );
+  };
+
+  const visibleEntries = filteredEntries.slice(0, visibleCount);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+        {typeCounts.map(([type, count]) => {
+          const colorClasses = getEntityColor(type);
+          const isSelected = selectedTypes.has(type);
+          return (
+            <button
+              key={type}
+              onClick={() => toggleType(type)}
+              className={`px-2 py-1 rounded border ${isSelected ? `${colorClasses.bg} ${colorClasses.text} border-gray-500` : 'bg-white border-gray-300 text-gray-600'}`}
+            >
+              {type} ({count})
+            </button>
+          );
+        })}
+        {selectedTypes.size > 0 && (
+          <button
+            onClick={() => setSelectedTypes(new Set())}
+            className="text-blue-600 hover:underline"
+          >
+            All types
+          </button>
+        )}
+      </div>
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+        <input
+          type="text"
+          value={textFilter}
+          onChange={(e) => setTextFilter(e.target.value)}
+          placeholder="Filter by text..."
+          className="border rounded px-2 py-1 flex-1 min-w-[12rem]"
+        />
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={missingIdOnly}
+            onChange={(e) => setMissingIdOnly(e.target.checked)}
+          />
+          Missing normalized ID
+        </label>
+        <span className="text-gray-600">
+          {filteredEntries.length} of {entries.length} annotations
+        </span>
+      </div>
+
+      {filteredEntries.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="w-full border-collapse">
+            <thead>
+              <tr className="bg-gray-100">
+                {COLUMNS.map(column => (
+                  <th
+                    key={column.key}
+                    onClick={() => toggleSort(column.key)}
+                    className="border p-2 text-left cursor-pointer select-none hover:bg-gray-200"
+                  >
+                    {column.label}
+                    {sort.key === column.key && (sort.ascending ? ' ▲' : ' ▼')}
+                  </th>
+                ))}
+                <th className="border p-2 text-left">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleEntries.map(entry => (
+                <AnnotationRow
+                  key={`${entry.docIndex}:${entry.annotationIndex}`}
+                  annotation={entry.annotation}
+                  index={entry.annotationIndex}
+                  onEdit={(_, updatedAnnotation) => handleEdit(entry, updatedAnnotation)}
+                  onDelete={() => handleDelete(entry)}
+                  knownEntityTypes={knownEntityTypes}
+                  documentText={documentTexts[entry.docIndex]}
+                  onAddNewEntityType={onAddNewEntityType}
+                  documentId={entry.docId}
+                  onOpenDocument={() => onOpenDocument(entry.docIndex)}
+                  vocabularies={vocabularies}
+                  idRules={idRules}
+                />
+              ))}
+            </tbody>
+          </table>
+          {filteredEntries.length > visibleCount && (
+            <button
+              onClick={() => setVisibleCount(count => count + PAGE_SIZE)}
+              className="mt-2 text-sm text-blue-600 hover:underline"
+            >
+              Show more ({filteredEntries.length - visibleCount} remaining)
+            </button>
+          )}
+        </div>
+      ) : (
+        <p className="text-gray-500 italic">No annotations match the filters.</p>
+      )}
+    </div>
+  );
+};
+
+export default AnnotationBrowser;
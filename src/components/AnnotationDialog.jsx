@@ -1,4 +1,7 @@
 import React, { useEffect, useState } from 'react';
+import { getAnnotationFragments, getFragmentText, isDiscontinuous } from '../utils/documentUtils';
+import { validateNormalizedId } from '../utils/idFormatUtils';
+import NormalizedIdInput from './NormalizedIdInput';
 
 const AnnotationDialog = ({
   onSubmit,
@@ -8,7 +11,10 @@ const AnnotationDialog = ({
   onDelete = null,
   documentText = '',
   selectedText = null,
-  onClose = null  // Add new prop for handling close
+  onClose = null,  // Add new prop for handling close
+  onPropagate = null,
+  vocabularies = {},
+  idRules = {}
 }) => {
   const [formValues, setFormValues] = useState({
     start: '',
@@ -16,7 +22,9 @@ const AnnotationDialog = ({
     text: '',
     type: '',
     newTypeName: '',
-    normalizedId: ''
+    normalizedId: '',
+    comment: '',
+    fragments: []
   });
 
   // Initialize form values when in edit mode, annotation changes, or selectedText changes
@@ -28,7 +36,9 @@ const AnnotationDialog = ({
         text: annotation.text,
         type: annotation.type,
         newTypeName: '',
-        normalizedId: annotation.normalizedId || ''
+        normalizedId: annotation.normalizedId || '',
+        comment: annotation.comment || '',
+        fragments: isDiscontinuous(annotation) ? getAnnotationFragments(annotation) : []
       });
     } else if (!editMode && selectedText) {
       // Use the selected text info directly from props
@@ -38,7 +48,9 @@ const AnnotationDialog = ({
         text: selectedText.text,
         type: '',
         newTypeName: '',
-        normalizedId: ''
+        normalizedId: '',
+        comment: '',
+        fragments: selectedText.fragments || []
       });
     } else if (!editMode) {
       // Reset form for add mode without selection
@@ -48,7 +60,9 @@ const AnnotationDialog = ({
         text: '',
         type: '',
         newTypeName: '',
-        normalizedId: ''
+        normalizedId: '',
+        comment: '',
+        fragments: []
       });
     }
   }, [editMode, annotation, selectedText]);
@@ -85,6 +99,10 @@ const AnnotationDialog = ({
     }
   }, [formValues.type]);
 
+  // IDs are checked against the rule of the chosen (or newly named) type
+  const selectedType = formValues.type === '__new__' ? formValues.newTypeName.trim() : formValues.type;
+  const idErrors = validateNormalizedId(formValues.normalizedId, idRules[selectedType]);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormValues(prev => ({
@@ -108,24 +126,75 @@ const AnnotationDialog = ({
     }
   };
 
+  // Change one offset of a fragment and take the text from the document again
+  const handleFragmentChange = (index, field, value) => {
+    const fragments = formValues.fragments.map((fragment, i) =>
+      i === index ? { ...fragment, [field]: parseInt(value) } : fragment
+    );
+    const valid = fragments.every(fragment =>
+      !isNaN(fragment.start) && !isNaN(fragment.end) && fragment.start >= 0 &&
+      fragment.end > fragment.start && fragment.end <= documentText.length
+    );
+
+    setFormValues(prev => ({
+      ...prev,
+      fragments,
+      text: valid && documentText ? getFragmentText(documentText, fragments) : prev.text
+    }));
+  };
+
+  // Remove a fragment; with only one left the annotation becomes a single span again
+  const handleRemoveFragment = (index) => {
+    const fragments = formValues.fragments.filter((_, i) => i !== index);
+    if (fragments.length === 1) {
+      const [{ start, end }] = fragments;
+      setFormValues(prev => ({
+        ...prev,
+        start,
+        end,
+        text: documentText ? documentText.substring(start, end) : prev.text,
+        fragments: []
+      }));
+    } else {
+      setFormValues(prev => ({
+        ...prev,
+        fragments,
+        text: documentText ? getFragmentText(documentText, fragments) : prev.text
+      }));
+    }
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
+    if (idErrors.length > 0) return;
 
     let type = formValues.type;
     if (type === '__new__' && formValues.newTypeName.trim()) {
       type = formValues.newTypeName.trim();
     }
 
+    // A discontinuous annotation spans from its first to its last fragment
+    const fragments = formValues.fragments.length > 1
+      ? [...formValues.fragments].sort((a, b) => a.start - b.start)
+      : null;
+
     const annotationData = {
-      start: parseInt(formValues.start),
-      end: parseInt(formValues.end),
+      start: fragments ? fragments[0].start : parseInt(formValues.start),
+      end: fragments ? Math.max(...fragments.map(fragment => fragment.end)) : parseInt(formValues.end),
+      fragments,
       text: formValues.text,
       type: type,
-      normalizedId: formValues.normalizedId.trim() || null
+      normalizedId: formValues.normalizedId.trim() || null,
+      comment: formValues.comment.trim() || null
     };
 
     onSubmit(e, annotationData, editMode);
     handleClose();
+
+    // "Save & Propagate" goes on to look for the same text in all documents
+    if (onPropagate && e.nativeEvent.submitter?.name === 'propagate') {
+      onPropagate(annotationData);
+    }
   };
 
   const handleDelete = () => {
@@ -156,34 +225,74 @@ const AnnotationDialog = ({
         </button>
       </div>
       <form onSubmit={handleSubmit} className="p-4">
-        <div className="grid grid-cols-2 gap-3 mb-4">
-          <div>
-            <label className="block text-sm font-medium mb-1">Start Position:</label>
-            <input
-              type="number"
-              name="start"
-              id="new-start"
-              min="0"
-              required
-              value={formValues.start}
-              onChange={handleChange}
-              className="w-full p-2 border rounded"
-            />
+        {formValues.fragments.length > 1 ? (
+          <div className="mb-4">
+            <label className="block text-sm font-medium mb-1">Fragments:</label>
+            {formValues.fragments.map((fragment, index) => (
+              <div key={index} className="flex gap-2 items-center mb-1">
+                <input
+                  type="number"
+                  min="0"
+                  required
+                  value={fragment.start}
+                  onChange={(e) => handleFragmentChange(index, 'start', e.target.value)}
+                  className="w-20 p-1 border rounded"
+                  aria-label={`Fragment ${index + 1} start`}
+                />
+                <span>–</span>
+                <input
+                  type="number"
+                  min="1"
+                  required
+                  value={fragment.end}
+                  onChange={(e) => handleFragmentChange(index, 'end', e.target.value)}
+                  className="w-20 p-1 border rounded"
+                  aria-label={`Fragment ${index + 1} end`}
+                />
+                <span className="flex-1 truncate text-sm text-gray-600">
+                  {documentText.substring(fragment.start, fragment.end)}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleRemoveFragment(index)}
+                  className="text-gray-500 hover:text-red-600"
+                  title="Remove fragment"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
           </div>
-          <div>
-            <label className="block text-sm font-medium mb-1">End Position:</label>
-            <input
-              type="number"
-              name="end"
-              id="new-end"
-              min="1"
-              required
-              value={formValues.end}
-              onChange={handleChange}
-              className="w-full p-2 border rounded"
-            />
+        ) : (
+          <div className="grid grid-cols-2 gap-3 mb-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Start Position:</label>
+              <input
+                type="number"
+                name="start"
+                id="new-start"
+                min="0"
+                required
+                value={formValues.start}
+                onChange={handleChange}
+                className="w-full p-2 border rounded"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">End Position:</label>
+              <input
+                type="number"
+                name="end"
+                id="new-end"
+                min="1"
+                required
+                value={formValues.end}
+                onChange={handleChange}
+                className="w-full p-2 border rounded"
+              />
+            </div>
           </div>
-        </div>
+        )}
         <div className="mb-4">
           <label className="block text-sm font-medium mb-1">Text:</label>
           <input
@@ -226,16 +335,30 @@ const AnnotationDialog = ({
         </div>
         <div className="mb-4">
           <label className="block text-sm font-medium mb-1">Normalized ID (optional):</label>
-          <input
-            type="text"
+          <NormalizedIdInput
             name="normalizedId"
             id="new-normalized-id"
             value={formValues.normalizedId}
-            onChange={handleChange}
+            onChange={(normalizedId) => setFormValues(prev => ({ ...prev, normalizedId }))}
+            vocabulary={vocabularies[selectedType] || null}
+            rule={idRules[selectedType]}
+            searchText={formValues.text}
             className="w-full p-2 border rounded"
             placeholder="Optional identifier for this entity"
           />
         </div>
+        <div className="mb-4">
+          <label className="block text-sm font-medium mb-1">Comment (optional):</label>
+          <textarea
+            name="comment"
+            id="new-comment"
+            rows="2"
+            value={formValues.comment}
+            onChange={handleChange}
+            className="w-full p-2 border rounded"
+            placeholder="Optional note for other curators"
+          />
+        </div>
         <div className="flex justify-end gap-2">
           {editMode && onDelete && (
             <button
@@ -253,9 +376,21 @@ const AnnotationDialog = ({
           >
             Cancel
           </button>
+          {onPropagate && (
+            <button
+              type="submit"
+              name="propagate"
+              disabled={idErrors.length > 0}
+              className="px-4 py-2 border border-blue-600 text-blue-700 rounded hover:bg-blue-50 disabled:opacity-50"
+              title="Save, then annotate the same text in all documents"
+            >
+              Save &amp; Propagate…
+            </button>
+          )}
           <button
             type="submit"
-            className="px-4 py-2 bg-blue-600 text-white rounded"
+            disabled={idErrors.length > 0}
+            className="px-4 py-2 bg-blue-600 text-white rounded disabled:opacity-50"
           >
             {editMode ? 'Update Annotation' : 'Add Annotation'}
           </button>
@@ -0,0 +1,61 @@
+import React, { useEffect, useRef } from 'react';
+import { getEntityColor } from '../utils/colorUtils';
+
+/**
+ * Small menu shown at the click position when the clicked text is covered by several
+ * annotations, so the user can choose which one to open.
+ */
+const AnnotationPicker = ({ choices, onPick, onClose }) => {
+  const menuRef = useRef(null);
+
+  // Close on a click elsewhere or on Escape
+  useEffect(() => {
+    if (!choices) return;
+
+    const handleMouseDown = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        onClose();
+      }
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('mousedown', handleMouseDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleMouseDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [choices, onClose]);
+
+  if (!choices) return null;
+
+  return (
+    <div
+      ref={menuRef}
+      className="fixed z-30 bg-white border rounded shadow-lg text-sm py-1 min-w-[12rem]"
+      style={{ left: choices.x, top: choices.y + 8 }}
+    >
+      <div className="px-3 py-1 text-xs text-gray-500">Choose an annotation</div>
+      {choices.annotations.map((annotation, index) => {
+        const colorClasses = getEntityColor(annotation.type);
+        return (
+          <button
+            key={index}
+            onClick={() => onPick(annotation)}
+            className="flex w-full items-center gap-2 px-3 py-1 text-left hover:bg-gray-100"
+          >
+            <span className={`px-1 rounded ${colorClasses.bg} ${colorClasses.text}`}>{annotation.type}</span>
+            <span className="truncate">{annotation.text}</span>
+            <span className="ml-auto text-xs text-gray-500">{annotation.start}–{annotation.end}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AnnotationPicker;
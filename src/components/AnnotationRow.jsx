@@ -1,7 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { getEntityColor } from '../utils/colorUtils';
+import { getAnnotationFragments } from '../utils/documentUtils';
+import { getIdError, validateNormalizedId } from '../utils/idFormatUtils';
+import { resolveNormalizedIds } from '../utils/vocabularyUtils';
+import NormalizedIdInput from './NormalizedIdInput';
 
-const AnnotationRow = ({ annotation, index, onEdit, onDelete, knownEntityTypes, documentText, onAddNewEntityType }) => {
+const AnnotationRow = ({ annotation, index, onEdit, onDelete, knownEntityTypes, documentText, onAddNewEntityType, documentId, onOpenDocument, vocabularies = {}, idRules = {} }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [editedAnnotation, setEditedAnnotation] = useState({ ...annotation });
   const [isCreatingNewType, setIsCreatingNewType] = useState(false);
@@ -12,6 +16,22 @@ const AnnotationRow = ({ annotation, index, onEdit, onDelete, knownEntityTypes,
   }, [annotation]);
 
   const colorClasses = getEntityColor(annotation.type);
+  const vocabulary = vocabularies[annotation.type] || null;
+  const resolvedIds = resolveNormalizedIds(vocabulary, annotation.normalizedId);
+  const editedType = isCreatingNewType ? editedAnnotation.customType : editedAnnotation.type;
+  const editErrors = isEditing ? validateNormalizedId(editedAnnotation.normalizedId, idRules[editedType]) : [];
+  const fragments = getAnnotationFragments(annotation);
+  // Fragment offsets are edited in the annotation dialog
+  const offsetsLocked = fragments.length > 1;
+
+  // Rows in the corpus-wide browser lead with the document they belong to
+  const documentCell = documentId !== undefined && (
+    <td className="border p-2">
+      {onOpenDocument ? (
+        <button onClick={onOpenDocument} className="text-blue-600 hover:underline">{documentId}</button>
+      ) : documentId}
+    </td>
+  );
 
   const handleSave = () => {
     let updatedAnnotation = { ...editedAnnotation };
@@ -68,11 +88,14 @@ const AnnotationRow = ({ annotation, index, onEdit, onDelete, knownEntityTypes,
 
   return isEditing ? (
     <tr className="border-b">
+      {documentCell}
       <td className="border p-2">
         <input
           type="number"
           value={editedAnnotation.start}
           onChange={(e) => handleOffsetChange('start', e.target.value)}
+          disabled={offsetsLocked}
+          title={offsetsLocked ? 'Edit the fragments of a discontinuous annotation in the annotation dialog' : undefined}
           className="border p-1 w-full"
         />
       </td>
@@ -81,6 +104,8 @@ const AnnotationRow = ({ annotation, index, onEdit, onDelete, knownEntityTypes,
           type="number"
           value={editedAnnotation.end}
           onChange={(e) => handleOffsetChange('end', e.target.value)}
+          disabled={offsetsLocked}
+          title={offsetsLocked ? 'Edit the fragments of a discontinuous annotation in the annotation dialog' : undefined}
           className="border p-1 w-full"
         />
       </td>
@@ -117,31 +142,66 @@ const AnnotationRow = ({ annotation, index, onEdit, onDelete, knownEntityTypes,
         </div>
       </td>
       <td className="border p-2">
-        <input
-          type="text"
+        <NormalizedIdInput
           value={editedAnnotation.normalizedId || ''}
-          onChange={(e) => setEditedAnnotation({ ...editedAnnotation, normalizedId: e.target.value })}
+          onChange={(normalizedId) => setEditedAnnotation({ ...editedAnnotation, normalizedId })}
+          vocabulary={vocabularies[editedType] || null}
+          rule={idRules[editedType]}
+          searchText={editedAnnotation.text}
           className="border p-1 w-full"
         />
       </td>
       <td className="border p-2">
         <div className="flex gap-1">
-          <button onClick={handleSave} className="bg-green-600 text-white px-2 py-1 rounded text-sm">Save</button>
+          <button
+            onClick={handleSave}
+            disabled={editErrors.length > 0}
+            title={editErrors.length > 0 ? 'Fix the normalized ID first' : undefined}
+            className="bg-green-600 text-white px-2 py-1 rounded text-sm disabled:opacity-50"
+          >
+            Save
+          </button>
           <button onClick={() => setIsEditing(false)} className="bg-gray-300 px-2 py-1 rounded text-sm">Cancel</button>
         </div>
       </td>
     </tr>
   ) : (
     <tr className="border-b">
+      {documentCell}
       <td className="border p-2">{annotation.start}</td>
       <td className="border p-2">{annotation.end}</td>
-      <td className="border p-2">{annotation.text}</td>
+      <td className="border p-2">
+        {annotation.text}
+        {offsetsLocked && (
+          <span
+            className="ml-1 text-xs text-gray-500 border border-dashed border-gray-400 rounded px-1"
+            title={fragments.map(fragment => `${fragment.start}–${fragment.end}`).join(', ')}
+          >
+            {fragments.length} fragments
+          </span>
+        )}
+      </td>
       <td className="border p-2">
         <span className={`inline-block px-2 py-1 rounded text-sm ${colorClasses.bg} ${colorClasses.text}`}>
           {annotation.type}
         </span>
       </td>
-      <td className="border p-2">{annotation.normalizedId || '-'}</td>
+      <td className="border p-2">
+        {resolvedIds.length > 0 ? resolvedIds.map(({ id, concept }) => {
+          const formatError = getIdError(id, idRules[annotation.type]);
+          return (
+            <div
+              key={id}
+              className={formatError ? 'text-red-700' : undefined}
+              title={formatError || (concept === null ? `Not in ${vocabulary.name}` : undefined)}
+            >
+              {id}
+              {concept && <span className="text-gray-500 text-sm"> {concept.name}</span>}
+              {(formatError || concept === null) && <span className={formatError ? 'text-red-600' : 'text-amber-600'}> ⚠</span>}
+            </div>
+          );
+        }) : '-'}
+      </td>
       <td className="border p-2">
         <div className="flex gap-1">
           <button onClick={() => setIsEditing(true)} className="bg-blue-600 text-white px-2 py-1 rounded text-sm">Edit</button>
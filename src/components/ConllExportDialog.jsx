@@ -0,0 +1,149 @@
+import React, { useMemo, useState } from 'react';
+import { generateConll, OVERLAP_STRATEGIES } from '../utils/conllUtils';
+
+/**
+ * Dialog for exporting all documents as token-level CoNLL (IOB2/BIOES) for NER training.
+ * Lists the annotations that can't be represented exactly before exporting.
+ */
+const ConllExportDialog = ({ documents, isOpen, onExport, onNavigateToDocument, onClose }) => {
+  const [options, setOptions] = useState({
+    scheme: 'IOB2',
+    splitSentences: true,
+    overlapStrategy: 'longest'
+  });
+
+  // Only convert while the dialog is open; the result is reused for the export itself
+  const result = useMemo(
+    () => (isOpen ? generateConll(documents, options) : null),
+    [isOpen, documents, options]
+  );
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setOptions(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  const handleExport = () => {
+    onExport(result.content);
+    onClose();
+  };
+
+  return (
+    <dialog
+      id="conll-export-dialog"
+      className="p-0 rounded-lg shadow-xl w-full max-w-2xl"
+      onCancel={onClose}
+    >
+      <div className="bg-gray-100 px-4 py-3 flex justify-between items-center">
+        <h3 className="font-semibold">Export as CoNLL</h3>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="p-4">
+        <div className="grid grid-cols-2 gap-3 mb-4">
+          <div>
+            <label className="block text-sm font-medium mb-1">Tagging scheme:</label>
+            <select
+              name="scheme"
+              value={options.scheme}
+              onChange={handleChange}
+              className="w-full p-2 border rounded"
+            >
+              <option value="IOB2">IOB2 (B-, I-, O)</option>
+              <option value="BIOES">BIOES (B-, I-, O, E-, S-)</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">Overlapping annotations:</label>
+            <select
+              name="overlapStrategy"
+              value={options.overlapStrategy}
+              onChange={handleChange}
+              className="w-full p-2 border rounded"
+            >
+              {Object.entries(OVERLAP_STRATEGIES).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <label className="flex items-center gap-2 mb-4 text-sm">
+          <input
+            type="checkbox"
+            name="splitSentences"
+            checked={options.splitSentences}
+            onChange={handleChange}
+          />
+          Split passages into sentences
+        </label>
+
+        {result && result.issues.length > 0 ? (
+          <div className="mb-4">
+            <p className="text-sm font-medium mb-1 text-amber-700">
+              {result.issues.length} annotation{result.issues.length === 1 ? '' : 's'} can't be tagged exactly:
+            </p>
+            <div className="max-h-60 overflow-y-auto border rounded">
+              <table className="w-full border-collapse text-sm">
+                <thead>
+                  <tr className="bg-gray-100">
+                    <th className="border p-1 text-left">Document</th>
+                    <th className="border p-1 text-left">Text</th>
+                    <th className="border p-1 text-left">Offsets</th>
+                    <th className="border p-1 text-left">Problem</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.issues.map((issue, index) => (
+                    <tr key={index} className="border-b">
+                      <td className="border p-1">
+                        <button
+                          type="button"
+                          onClick={() => onNavigateToDocument(issue.docId)}
+                          className="text-blue-600 hover:underline"
+                        >
+                          {issue.docId}
+                        </button>
+                      </td>
+                      <td className="border p-1">{issue.annotation.text}</td>
+                      <td className="border p-1">{issue.annotation.start}–{issue.annotation.end}</td>
+                      <td className="border p-1">{issue.reason}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500 italic mb-4">All annotations line up with token boundaries.</p>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border rounded"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleExport}
+            disabled={!result}
+            className="px-4 py-2 bg-blue-600 text-white rounded"
+          >
+            Export
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+};
+
+export default ConllExportDialog;
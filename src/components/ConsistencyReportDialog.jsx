@@ -0,0 +1,203 @@
+import React, { useMemo, useState } from 'react';
+import { findInconsistencies, getConsistencyChanges, INCONSISTENCY_KINDS } from '../utils/consistencyUtils';
+import { getEntityColor } from '../utils/colorUtils';
+
+// Findings listed per kind; the rest are only counted
+const MAX_LISTED_FINDINGS = 300;
+
+// How a disputed value is shown
+const formatValue = (finding, value) => {
+  if (finding.kind === 'textId') return value || 'no ID';
+  return value;
+};
+
+/**
+ * Dialog listing strings and normalized IDs that are annotated inconsistently across documents,
+ * with fixes that settle every annotation of a string or ID on the majority (or a chosen) value.
+ */
+const ConsistencyReportDialog = ({ documents, isOpen, onApplyChanges, onNavigateToDocument, onClose }) => {
+  const [kind, setKind] = useState('textType');
+
+  const findings = useMemo(
+    () => (isOpen ? findInconsistencies(documents) : []),
+    [isOpen, documents]
+  );
+
+  const countsByKind = useMemo(() => {
+    const counts = Object.fromEntries(Object.keys(INCONSISTENCY_KINDS).map(key => [key, 0]));
+    findings.forEach(finding => counts[finding.kind]++);
+    return counts;
+  }, [findings]);
+
+  // Fall back to the first kind that has findings
+  const activeKind = countsByKind[kind] > 0
+    ? kind
+    : Object.keys(countsByKind).find(key => countsByKind[key] > 0) || kind;
+  const listed = findings.filter(finding => finding.kind === activeKind);
+
+  const describe = (finding, value) => {
+    if (finding.kind === 'unannotated') {
+      return `Annotate ${finding.missing.length} more "${finding.key}" as ${value}`;
+    }
+    const subject = finding.kind === 'idType' ? finding.key : `"${finding.key}"`;
+    return `Set ${subject} to ${formatValue(finding, value)}`;
+  };
+
+  const applyFix = (finding, value) => {
+    const changes = getConsistencyChanges(finding, value);
+    if (changes.length > 0) {
+      onApplyChanges(changes, describe(finding, value));
+    }
+  };
+
+  // Every finding of a kind touches different annotations, so their fixes can be applied together
+  const applyMajorityToAll = () => {
+    const changes = listed.flatMap(finding => getConsistencyChanges(finding));
+    if (changes.length > 0) {
+      onApplyChanges(changes, `Apply majority to ${listed.length} ${INCONSISTENCY_KINDS[activeKind].toLowerCase()} finding${listed.length === 1 ? '' : 's'}`);
+    }
+  };
+
+  // Documents a finding involves, for navigation
+  const documentsOf = (finding) => {
+    const refs = finding.kind === 'unannotated'
+      ? finding.missing
+      : finding.variants.flatMap(variant => variant.refs);
+    return [...new Set(refs.map(ref => ref.docId))];
+  };
+
+  return (
+    <dialog
+      id="consistency-report-dialog"
+      className="p-0 rounded-lg shadow-xl w-full max-w-5xl"
+      onCancel={onClose}
+    >
+      <div className="bg-gray-100 px-4 py-3 flex justify-between items-center">
+        <h3 className="font-semibold">Consistency Report</h3>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="p-4">
+        {findings.length === 0 ? (
+          <p className="text-gray-500 italic mb-4">All strings and normalized IDs are annotated consistently.</p>
+        ) : (
+          <>
+            <div className="flex flex-wrap gap-1 mb-3 text-sm">
+              {Object.entries(INCONSISTENCY_KINDS).map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setKind(key)}
+                  className={`px-2 py-1 rounded ${activeKind === key ? 'bg-blue-600 text-white' : 'bg-gray-200 hover:bg-gray-300'}`}
+                >
+                  {label} ({countsByKind[key]})
+                </button>
+              ))}
+            </div>
+
+            {listed.length > 0 ? (
+              <>
+                <div className="flex items-center gap-2 mb-3">
+                  <button
+                    onClick={applyMajorityToAll}
+                    className="bg-blue-600 text-white px-2 py-1 rounded text-sm"
+                  >
+                    Apply majority to all {listed.length}
+                  </button>
+                  {listed.length > MAX_LISTED_FINDINGS && (
+                    <span className="text-sm text-gray-600">Showing the first {MAX_LISTED_FINDINGS}</span>
+                  )}
+                </div>
+
+                <div className="max-h-[60vh] overflow-y-auto border rounded mb-4">
+                  <table className="w-full border-collapse text-sm">
+                    <thead className="sticky top-0">
+                      <tr className="bg-gray-100">
+                        <th className="border p-1 text-left">{activeKind === 'idType' ? 'Normalized ID' : 'Text'}</th>
+                        <th className="border p-1 text-left">{activeKind === 'unannotated' ? 'Annotated as' : 'Variants'}</th>
+                        <th className="border p-1 text-left">Documents</th>
+                        <th className="border p-1 text-left">Fix</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {listed.slice(0, MAX_LISTED_FINDINGS).map(finding => {
+                        const docIds = documentsOf(finding);
+                        return (
+                          <tr key={`${finding.kind}-${finding.key}`} className="border-b align-top">
+                            <td className="border p-1 font-mono">{finding.key}</td>
+                            <td className="border p-1">
+                              <div className="flex flex-wrap gap-1">
+                                {finding.variants.map(variant => {
+                                  const colorClasses = getEntityColor(finding.kind === 'textId' ? finding.type : variant.value);
+                                  return (
+                                    <button
+                                      key={String(variant.value)}
+                                      onClick={() => applyFix(finding, variant.value)}
+                                      className={`px-1 rounded ${colorClasses.bg} ${colorClasses.text} hover:ring-2 ring-blue-400`}
+                                      title={finding.kind === 'unannotated' ? describe(finding, variant.value) : `Use ${formatValue(finding, variant.value)} everywhere`}
+                                    >
+                                      {formatValue(finding, variant.value)} × {variant.count}
+                                    </button>
+                                  );
+                                })}
+                                {finding.kind === 'unannotated' && (
+                                  <span className="text-gray-600">
+                                    {finding.normalizedId || 'no ID'}; missing in {finding.missing.length} place{finding.missing.length === 1 ? '' : 's'}
+                                  </span>
+                                )}
+                              </div>
+                            </td>
+                            <td className="border p-1">
+                              <div className="flex flex-wrap gap-1">
+                                {docIds.slice(0, 5).map(docId => (
+                                  <button
+                                    key={docId}
+                                    onClick={() => onNavigateToDocument(docId)}
+                                    className="text-blue-600 hover:underline"
+                                  >
+                                    {docId}
+                                  </button>
+                                ))}
+                                {docIds.length > 5 && <span className="text-gray-500">+{docIds.length - 5} more</span>}
+                              </div>
+                            </td>
+                            <td className="border p-1">
+                              <button
+                                onClick={() => applyFix(finding, finding.majority)}
+                                className="bg-blue-600 text-white px-2 py-0.5 rounded whitespace-nowrap"
+                                title={describe(finding, finding.majority)}
+                              >
+                                Apply majority ({formatValue(finding, finding.majority)})
+                              </button>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            ) : (
+              <p className="text-gray-500 italic mb-4">Nothing of this kind.</p>
+            )}
+          </>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border rounded"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+};
+
+export default ConsistencyReportDialog;
@@ -0,0 +1,185 @@
+import React, { useMemo, useState } from 'react';
+import { findCorpusMatches } from '../utils/searchUtils';
+import { getEntityColor } from '../utils/colorUtils';
+
+// Rendering thousands of rows makes the page sluggish, so only the first hits are listed
+const MAX_LISTED_HITS = 1000;
+
+// Key that identifies a hit across renders
+const hitKey = (hit) => `${hit.docIndex}:${hit.start}:${hit.end}`;
+
+/**
+ * Runs the regex search over every document and lists the hits as a keyword-in-context table.
+ * Hits can be opened in the text view, and the checked ones annotated in one go.
+ */
+const CorpusSearchPanel = ({ documents, pattern, knownEntityTypes, onOpenHit, onApplyChanges }) => {
+  const [checked, setChecked] = useState(new Set());
+  const [type, setType] = useState('');
+  const [normalizedId, setNormalizedId] = useState('');
+
+  // Same flags as the highlighting in the current document
+  const { hits, error } = useMemo(() => {
+    if (!pattern || !pattern.trim()) return { hits: [], error: null };
+    try {
+      return { hits: findCorpusMatches(documents, new RegExp(pattern, 'gi')), error: null };
+    } catch (err) {
+      return { hits: [], error: err.message };
+    }
+  }, [documents, pattern]);
+
+  const listedHits = hits.slice(0, MAX_LISTED_HITS);
+  const selectable = listedHits.filter(hit => !hit.exactAnnotation);
+  const checkedHits = selectable.filter(hit => checked.has(hitKey(hit)));
+
+  const toggle = (hit) => {
+    const key = hitKey(hit);
+    setChecked(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const handleAnnotate = () => {
+    if (!type || checkedHits.length === 0) return;
+
+    onApplyChanges(
+      checkedHits.map(hit => ({
+        docIndex: hit.docIndex,
+        annotation: {
+          start: hit.start,
+          end: hit.end,
+          text: hit.text,
+          type,
+          normalizedId: normalizedId.trim() || null
+        }
+      })),
+      `Annotate ${checkedHits.length} search hit${checkedHits.length === 1 ? '' : 's'} as ${type}`
+    );
+    setChecked(new Set());
+  };
+
+  if (error) {
+    return <p className="mb-3 text-sm text-red-600">Invalid pattern: {error}</p>;
+  }
+
+  if (!pattern || !pattern.trim()) {
+    return <p className="mb-3 text-sm text-gray-500 italic">Enter a pattern to search all documents.</p>;
+  }
+
+  return (
+    <div className="mb-3 border rounded p-2 text-sm">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <span className="font-medium">
+          {hits.length} hit{hits.length === 1 ? '' : 's'} in {new Set(hits.map(hit => hit.docIndex)).size} document(s)
+          {hits.length > MAX_LISTED_HITS && ` (showing the first ${MAX_LISTED_HITS})`}
+        </span>
+        <button
+          onClick={() => setChecked(new Set(selectable.map(hitKey)))}
+          className="text-blue-600 hover:underline"
+        >
+          Check all
+        </button>
+        <button
+          onClick={() => setChecked(new Set())}
+          className="text-blue-600 hover:underline"
+        >
+          Uncheck all
+        </button>
+        <div className="ml-auto flex items-center gap-1">
+          <select
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            className="border rounded px-1 py-1"
+          >
+            <option value="">Type...</option>
+            {[...knownEntityTypes].sort().map(entityType => (
+              <option key={entityType} value={entityType}>{entityType}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={normalizedId}
+            onChange={(e) => setNormalizedId(e.target.value)}
+            placeholder="Normalized ID (optional)"
+            className="border rounded px-2 py-1 w-44"
+          />
+          <button
+            onClick={handleAnnotate}
+            disabled={!type || checkedHits.length === 0}
+            className="bg-green-600 text-white px-2 py-1 rounded hover:bg-green-700 disabled:opacity-50"
+          >
+            Annotate {checkedHits.length} checked
+          </button>
+        </div>
+      </div>
+
+      {listedHits.length > 0 && (
+        <div className="max-h-80 overflow-y-auto border rounded">
+          <table className="w-full border-collapse">
+            <thead className="sticky top-0">
+              <tr className="bg-gray-100">
+                <th className="border p-1"></th>
+                <th className="border p-1 text-left">Document</th>
+                <th className="border p-1 text-left">Offsets</th>
+                <th className="border p-1 text-right">Left context</th>
+                <th className="border p-1 text-center">Match</th>
+                <th className="border p-1 text-left">Right context</th>
+                <th className="border p-1 text-left">Annotated</th>
+              </tr>
+            </thead>
+            <tbody>
+              {listedHits.map(hit => (
+                <tr
+                  key={hitKey(hit)}
+                  className="border-b hover:bg-blue-50 cursor-pointer"
+                  onClick={() => onOpenHit(hit)}
+                >
+                  <td className="border p-1 text-center" onClick={(e) => e.stopPropagation()}>
+                    <input
+                      type="checkbox"
+                      checked={!hit.exactAnnotation && checked.has(hitKey(hit))}
+                      disabled={Boolean(hit.exactAnnotation)}
+                      onChange={() => toggle(hit)}
+                    />
+                  </td>
+                  <td className="border p-1">{hit.docId}</td>
+                  <td className="border p-1 whitespace-nowrap">{hit.start}–{hit.end}</td>
+                  <td className="border p-1 text-right font-mono whitespace-nowrap max-w-[16rem] overflow-hidden [direction:rtl]">
+                    <bdi>{hit.before}</bdi>
+                  </td>
+                  <td className="border p-1 text-center font-mono font-semibold whitespace-nowrap">{hit.text}</td>
+                  <td className="border p-1 font-mono whitespace-nowrap max-w-[16rem] overflow-hidden">{hit.after}</td>
+                  <td className="border p-1">
+                    {hit.annotations.length > 0 ? (
+                      <div className="flex flex-wrap gap-1">
+                        {hit.annotations.map((anno, index) => {
+                          const colorClasses = getEntityColor(anno.type);
+                          return (
+                            <span
+                              key={index}
+                              className={`px-1 rounded ${colorClasses.bg} ${colorClasses.text}`}
+                              title={anno === hit.exactAnnotation ? 'Annotated exactly' : `Overlaps "${anno.text}"`}
+                            >
+                              {anno.type}{anno === hit.exactAnnotation ? '' : ' (partial)'}
+                            </span>
+                          );
+                        })}
+                      </div>
+                    ) : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CorpusSearchPanel;
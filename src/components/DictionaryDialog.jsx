@@ -0,0 +1,243 @@
+import React, { useMemo, useState } from 'react';
+import { parseDictionary, createDictionaryIndex, findDictionaryMatches } from '../utils/dictionaryUtils';
+import { buildPassageText } from '../utils/documentUtils';
+import { findPotentialMatches } from './textHighlight';
+
+/**
+ * Dialog for pre-annotating with a dictionary (TSV or CSV of term, type, ID and synonyms, or an OBO
+ * ontology). Matches are shown as suggestions in the text, to be accepted or rejected like potential
+ * matches; they can also be accepted in bulk from here.
+ */
+const DictionaryDialog = ({ documents, currentDocIndex, knownEntityTypes, isOpen, suggestionsByDoc, onRun, onClear, onApplyChanges, onClose }) => {
+  const [dictionary, setDictionary] = useState(null);
+  const [defaultType, setDefaultType] = useState('');
+  const [options, setOptions] = useState({ caseSensitive: false, wholeWord: true });
+  const [scope, setScope] = useState('corpus');
+
+  // Building the index sorts every term, so it is only redone when the dictionary or case handling changes
+  const index = useMemo(
+    () => (dictionary ? createDictionaryIndex(dictionary.entries, { caseSensitive: options.caseSensitive }) : null),
+    [dictionary, options.caseSensitive]
+  );
+
+  const handleFileChange = async (e) => {
+    const [file] = e.target.files;
+    if (!file) return;
+
+    try {
+      const content = await file.text();
+      const { entries, format } = parseDictionary(content, file.name);
+      if (entries.length === 0) {
+        alert(`No dictionary terms found in "${file.name}"`);
+        return;
+      }
+      setDictionary({ name: file.name, format, entries });
+    } catch (err) {
+      console.error('Error reading dictionary:', err);
+      alert(`Could not load "${file.name}": ${err.message}`);
+    } finally {
+      e.target.value = '';
+    }
+  };
+
+  const handleOptionChange = (e) => {
+    const { name, checked } = e.target;
+    setOptions(prev => ({ ...prev, [name]: checked }));
+  };
+
+  const handleRun = () => {
+    const docIndexes = scope === 'corpus' ? documents.map((_, docIndex) => docIndex) : [currentDocIndex];
+    const matchesByDoc = new Map(scope === 'corpus' ? [] : suggestionsByDoc);
+    for (const docIndex of docIndexes) {
+      const matches = findDictionaryMatches(index, buildPassageText(documents[docIndex].passages), options)
+        .map(match => (match.type ? match : { ...match, type: defaultType.trim() || 'Unknown' }));
+      matchesByDoc.set(docIndex, matches);
+    }
+    onRun(matchesByDoc);
+  };
+
+  // Dictionary suggestions still open, i.e. not covered by annotations or rejected since the run
+  const openSuggestions = useMemo(() => {
+    const open = [];
+    if (!isOpen) return open;
+    for (const [docIndex, matches] of suggestionsByDoc) {
+      if (!documents[docIndex]) continue;
+      findPotentialMatches(documents[docIndex], matches)
+        .filter(match => match.source === 'dictionary')
+        .forEach(match => open.push({ docIndex, match }));
+    }
+    return open;
+  }, [isOpen, documents, suggestionsByDoc]);
+
+  const handleAcceptAll = () => {
+    if (openSuggestions.length === 0) return;
+    const documentCount = new Set(openSuggestions.map(({ docIndex }) => docIndex)).size;
+    if (!confirm(`Annotate ${openSuggestions.length} dictionary match${openSuggestions.length === 1 ? '' : 'es'} in ${documentCount} document${documentCount === 1 ? '' : 's'}?`)) {
+      return;
+    }
+
+    onApplyChanges(
+      openSuggestions.map(({ docIndex, match }) => ({
+        docIndex,
+        annotation: {
+          start: match.start,
+          end: match.end,
+          text: match.text,
+          type: match.type,
+          normalizedId: match.normalizedId
+        }
+      })),
+      `Accept ${openSuggestions.length} dictionary match${openSuggestions.length === 1 ? '' : 'es'}`
+    );
+  };
+
+  return (
+    <dialog
+      id="dictionary-dialog"
+      className="p-0 rounded-lg shadow-xl w-full max-w-2xl"
+      onCancel={onClose}
+    >
+      <div className="bg-gray-100 px-4 py-3 flex justify-between items-center">
+        <h3 className="font-semibold">Dictionary Pre-annotation</h3>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="p-4 text-sm">
+        <p className="text-gray-600 mb-3">
+          Load a TSV or CSV file with the columns term, type, ID and optional synonyms separated by "|",
+          or an OBO ontology (names and exact or related synonyms are used).
+        </p>
+
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          <input
+            type="file"
+            accept=".tsv,.txt,.csv,.obo"
+            onChange={handleFileChange}
+            className="hidden"
+            id="dictionary-upload"
+          />
+          <label
+            htmlFor="dictionary-upload"
+            className="bg-blue-600 text-white px-3 py-1 rounded cursor-pointer hover:bg-blue-700"
+          >
+            Load Dictionary
+          </label>
+          {dictionary && (
+            <span>
+              {dictionary.name}: {dictionary.entries.length} terms
+              {index && index.conflicts > 0 && (
+                <span className="text-gray-500" title="Terms listed with different types or IDs use the first entry">
+                  {' '}({index.conflicts} ambiguous)
+                </span>
+              )}
+            </span>
+          )}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 mb-3">
+          <label className="flex items-center gap-2">
+            Type for terms without one
+            <input
+              type="text"
+              list="dictionary-types"
+              value={defaultType}
+              onChange={(e) => setDefaultType(e.target.value)}
+              placeholder="e.g. Disease"
+              className="border rounded px-2 py-1 w-36"
+            />
+            <datalist id="dictionary-types">
+              {knownEntityTypes.map(type => <option key={type} value={type} />)}
+            </datalist>
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              name="caseSensitive"
+              checked={options.caseSensitive}
+              onChange={handleOptionChange}
+            />
+            Match case
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              name="wholeWord"
+              checked={options.wholeWord}
+              onChange={handleOptionChange}
+            />
+            Whole words only
+          </label>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 mb-4">
+          <label className="flex items-center gap-2">
+            <input
+              type="radio"
+              name="dictionaryScope"
+              checked={scope === 'document'}
+              onChange={() => setScope('document')}
+            />
+            Current document
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="radio"
+              name="dictionaryScope"
+              checked={scope === 'corpus'}
+              onChange={() => setScope('corpus')}
+            />
+            All {documents.length} documents
+          </label>
+          <button
+            onClick={handleRun}
+            disabled={!index}
+            className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            Find Matches
+          </button>
+        </div>
+
+        {suggestionsByDoc.size > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mb-4 border rounded p-2 bg-red-50">
+            <span>
+              {openSuggestions.length} open dictionary match{openSuggestions.length === 1 ? '' : 'es'} in{' '}
+              {new Set(openSuggestions.map(({ docIndex }) => docIndex)).size} document(s).
+              Click them in the text to accept, or review them one by one.
+            </span>
+            <div className="ml-auto flex gap-2">
+              <button
+                onClick={handleAcceptAll}
+                disabled={openSuggestions.length === 0}
+                className="bg-green-600 text-white px-2 py-1 rounded hover:bg-green-700 disabled:opacity-50"
+              >
+                Accept all
+              </button>
+              <button
+                onClick={onClear}
+                className="bg-gray-200 px-2 py-1 rounded hover:bg-gray-300"
+              >
+                Clear matches
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border rounded"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+};
+
+export default DictionaryDialog;
@@ -1,4 +1,5 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { REVIEW_STATUSES, getReviewStatus } from '../utils/reviewUtils';
 
 /**
  * Document navigation component that handles navigation between documents
@@ -12,6 +13,7 @@ const DocumentNavigation = ({
 }) => {
     const [docIdSearch, setDocIdSearch] = useState('');
     const [showDocIdDropdown, setShowDocIdDropdown] = useState(false);
+    const [statusFilter, setStatusFilter] = useState('');
     const docSearchRef = useRef(null);
 
     // Navigate to a specific document by ID
@@ -41,10 +43,10 @@ const DocumentNavigation = ({
         }
     };
 
-    // Filter document IDs based on search term
-    const filteredDocIds = documents
-        .map(doc => doc.id)
-        .filter(id => id.toLowerCase().includes(docIdSearch.toLowerCase()));
+    // Filter documents based on search term and review status
+    const filteredDocs = documents
+        .filter(doc => doc.id.toLowerCase().includes(docIdSearch.toLowerCase()))
+        .filter(doc => !statusFilter || getReviewStatus(doc) === statusFilter);
 
     // Close dropdown when clicking outside
     useEffect(() => {
@@ -79,6 +81,20 @@ const DocumentNavigation = ({
             </button>
 
             <div className="flex ml-auto gap-1 relative" ref={docSearchRef}>
+                <select
+                    value={statusFilter}
+                    onChange={(e) => {
+                        setStatusFilter(e.target.value);
+                        setShowDocIdDropdown(true);
+                    }}
+                    className="border rounded px-1 py-1 text-sm"
+                    title="Only list documents with this review status"
+                >
+                    <option value="">All statuses</option>
+                    {Object.entries(REVIEW_STATUSES).map(([key, { label }]) => (
+                        <option key={key} value={key}>{label}</option>
+                    ))}
+                </select>
                 <div className="relative">
                     <input
                         type="text"
@@ -92,15 +108,17 @@ const DocumentNavigation = ({
                         onKeyDown={handleSearchKeyDown}
                         className="border rounded px-2 py-1 text-sm"
                     />
-                    {showDocIdDropdown && filteredDocIds.length > 0 && (
+                    {showDocIdDropdown && filteredDocs.length > 0 && (
                         <div className="absolute left-0 right-0 mt-1 bg-white border rounded shadow-lg max-h-60 overflow-y-auto z-10">
-                            {filteredDocIds.map((id, index) => (
+                            {filteredDocs.map((doc, index) => (
                                 <div
                                     key={index}
-                                    className="px-3 py-2 hover:bg-gray-100 cursor-pointer text-sm"
-                                    onClick={() => navigateToDocumentById(id)}
+                                    className="px-3 py-2 hover:bg-gray-100 cursor-pointer text-sm flex items-center gap-2"
+                                    onClick={() => navigateToDocumentById(doc.id)}
+                                    title={doc.review?.note || undefined}
                                 >
-                                    {id}
+                                    <span className={`inline-block w-2 h-2 rounded-full ${REVIEW_STATUSES[getReviewStatus(doc)].color}`} />
+                                    {doc.id}
                                 </div>
                             ))}
                         </div>
@@ -0,0 +1,77 @@
+import React, { useLayoutEffect, useMemo, useState } from 'react';
+import { getAnnotationFragments } from '../utils/documentUtils';
+
+// How far in pixels a link dips below the text between two fragments
+const LINK_DEPTH = 6;
+
+/**
+ * Overlay that links the fragments of discontinuous annotations with dashed lines below the text.
+ * Like RelationArcs, it must be rendered inside the (relatively positioned) text container, after the text.
+ */
+const FragmentLinks = ({ containerRef, annotations }) => {
+  const [links, setLinks] = useState([]);
+
+  // The ends of consecutive fragments to link; the links are re-measured whenever these change
+  const gaps = useMemo(() => annotations.flatMap((annotation, annotationIndex) => {
+    const fragments = [...getAnnotationFragments(annotation)].sort((a, b) => a.start - b.start);
+    return fragments.slice(0, -1).map((fragment, i) => ({
+      key: `${annotationIndex}-${i}`,
+      annotationIndex,
+      end: fragment.end,
+      nextStart: fragments[i + 1].start
+    }));
+  }), [annotations]);
+
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const measure = () => {
+      const containerRect = container.getBoundingClientRect();
+      const rectFor = (selector) => {
+        const mark = container.querySelector(selector);
+        if (!mark) return null;
+        const rect = mark.getBoundingClientRect();
+        return {
+          left: rect.left - containerRect.left,
+          right: rect.right - containerRect.left,
+          bottom: rect.bottom - containerRect.top
+        };
+      };
+
+      const measured = [];
+      for (const { key, annotationIndex, end, nextStart } of gaps) {
+        // The piece that ends one fragment and the piece that starts the next
+        const from = rectFor(`mark[data-annotation-indices~="${annotationIndex}"][data-end="${end}"]`);
+        const to = rectFor(`mark[data-annotation-indices~="${annotationIndex}"][data-start="${nextStart}"]`);
+        if (!from || !to) continue;
+
+        const depth = Math.max(from.bottom, to.bottom) + LINK_DEPTH;
+        measured.push({
+          key,
+          path: `M ${from.right} ${from.bottom} C ${from.right} ${depth}, ${to.left} ${depth}, ${to.left} ${to.bottom}`
+        });
+      }
+      setLinks(measured);
+    };
+
+    measure();
+
+    // Text reflows when the window is resized, so the links have to follow
+    const observer = new ResizeObserver(measure);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [containerRef, gaps]);
+
+  if (links.length === 0) return null;
+
+  return (
+    <svg className="absolute inset-0 w-full h-full pointer-events-none overflow-visible" aria-hidden="true">
+      {links.map(link => (
+        <path key={link.key} d={link.path} fill="none" stroke="#6b7280" strokeWidth="1.5" strokeDasharray="3 2" />
+      ))}
+    </svg>
+  );
+};
+
+export default FragmentLinks;
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+
+/**
+ * Undo/redo buttons with a dropdown list of the edit history.
+ * Clicking an entry in the list goes back (or forward) to the state right after that edit.
+ */
+const HistoryPanel = ({ undoHistory, redoHistory, onUndo, onRedo }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Most recent edit first
+  const pastEntries = [...undoHistory].reverse();
+
+  return (
+    <div className="relative flex gap-1">
+      <button
+        className="bg-gray-200 px-3 py-2 rounded hover:bg-gray-300 disabled:opacity-50"
+        onClick={() => onUndo(1)}
+        disabled={undoHistory.length === 0}
+        title={undoHistory.length > 0 ? `Undo: ${undoHistory[undoHistory.length - 1]} (Ctrl+Z)` : 'Nothing to undo'}
+      >
+        ↶ Undo
+      </button>
+      <button
+        className="bg-gray-200 px-3 py-2 rounded hover:bg-gray-300 disabled:opacity-50"
+        onClick={() => onRedo(1)}
+        disabled={redoHistory.length === 0}
+        title={redoHistory.length > 0 ? `Redo: ${redoHistory[0]} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+      >
+        ↷ Redo
+      </button>
+      <button
+        className="bg-gray-200 px-3 py-2 rounded hover:bg-gray-300"
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        History ({undoHistory.length})
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 top-full mt-1 z-20 w-80 max-h-96 overflow-y-auto bg-white border rounded shadow-lg text-sm">
+          {/* Undone edits, furthest first */}
+          {[...redoHistory].reverse().map((label, i) => (
+            <button
+              key={`redo-${i}`}
+              onClick={() => onRedo(redoHistory.length - i)}
+              className="block w-full text-left px-3 py-1 text-gray-400 italic hover:bg-gray-100"
+              title="Redo up to here"
+            >
+              {label}
+            </button>
+          ))}
+          {pastEntries.map((label, i) => (
+            <button
+              key={`undo-${i}`}
+              onClick={() => onUndo(i)}
+              className={`block w-full text-left px-3 py-1 hover:bg-gray-100 ${i === 0 ? 'font-semibold bg-blue-50' : ''}`}
+              title={i === 0 ? 'Current state' : 'Undo back to here'}
+            >
+              {label}
+            </button>
+          ))}
+          <button
+            onClick={() => onUndo(undoHistory.length)}
+            className={`block w-full text-left px-3 py-1 text-gray-500 hover:bg-gray-100 ${undoHistory.length === 0 ? 'font-semibold bg-blue-50' : ''}`}
+            title="Undo all edits"
+          >
+            Loaded file
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,118 @@
+import React, { useMemo } from 'react';
+import { getPatternError, validateNormalizedId } from '../utils/idFormatUtils';
+import { getEntityColor } from '../utils/colorUtils';
+
+/**
+ * Dialog for editing the normalized ID format rule of each entity type: a regular expression
+ * every ID must match, and whether several ";"-separated IDs are allowed.
+ */
+const IdRulesDialog = ({ documents, knownEntityTypes, idRules, isOpen, onChange, onReset, onClose }) => {
+  const types = [...new Set([...knownEntityTypes, ...Object.keys(idRules)])].sort();
+
+  // Annotations of each type whose IDs break its rule
+  const violationCounts = useMemo(() => {
+    const counts = {};
+    if (!isOpen) return counts;
+    for (const doc of documents) {
+      for (const anno of doc.annotations) {
+        if (validateNormalizedId(anno.normalizedId, idRules[anno.type]).length > 0) {
+          counts[anno.type] = (counts[anno.type] || 0) + 1;
+        }
+      }
+    }
+    return counts;
+  }, [isOpen, documents, idRules]);
+
+  const updateRule = (type, changes) => {
+    onChange(type, { pattern: '', multiple: true, ...idRules[type], ...changes });
+  };
+
+  return (
+    <dialog
+      id="id-rules-dialog"
+      className="p-0 rounded-lg shadow-xl w-full max-w-3xl"
+      onCancel={onClose}
+    >
+      <div className="bg-gray-100 px-4 py-3 flex justify-between items-center">
+        <h3 className="font-semibold">Normalized ID Rules</h3>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="p-4 text-sm">
+        <p className="text-gray-600 mb-3">
+          Every ID of an annotation must match the regular expression of its type; leave it empty to
+          accept any ID. Several IDs are separated by ";". A "-" stands for no ID and is always accepted.
+          Annotations that break these rules can't be saved in the editor and are reported before the file is saved.
+        </p>
+
+        <table className="w-full border-collapse mb-4">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="border p-2 text-left">Type</th>
+              <th className="border p-2 text-left">ID pattern</th>
+              <th className="border p-2 text-left">Multiple IDs</th>
+              <th className="border p-2 text-right">Violations</th>
+            </tr>
+          </thead>
+          <tbody>
+            {types.map(type => {
+              const rule = idRules[type];
+              const patternError = rule?.pattern ? getPatternError(rule.pattern) : null;
+              const colorClasses = getEntityColor(type);
+              return (
+                <tr key={type}>
+                  <td className="border p-2">
+                    <span className={`inline-block px-2 py-1 rounded ${colorClasses.bg} ${colorClasses.text}`}>{type}</span>
+                  </td>
+                  <td className="border p-2">
+                    <input
+                      type="text"
+                      value={rule?.pattern || ''}
+                      onChange={(e) => updateRule(type, { pattern: e.target.value })}
+                      placeholder="Any ID"
+                      className={`w-full border rounded px-2 py-1 font-mono ${patternError ? 'border-red-500' : ''}`}
+                    />
+                    {patternError && <div className="text-xs text-red-700 mt-1">{patternError}</div>}
+                  </td>
+                  <td className="border p-2 text-center">
+                    <input
+                      type="checkbox"
+                      checked={rule ? rule.multiple : true}
+                      onChange={(e) => updateRule(type, { multiple: e.target.checked })}
+                    />
+                  </td>
+                  <td className={`border p-2 text-right ${violationCounts[type] ? 'text-red-700' : 'text-gray-500'}`}>
+                    {violationCounts[type] || 0}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={() => confirm('Replace all ID rules with the defaults?') && onReset()}
+            className="px-4 py-2 border rounded mr-auto"
+          >
+            Reset to defaults
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border rounded"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+};
+
+export default IdRulesDialog;
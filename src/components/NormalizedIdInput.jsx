@@ -0,0 +1,163 @@
+import React, { useDeferredValue, useMemo, useState } from 'react';
+import { joinNormalizedIds, splitNormalizedIds } from '../utils/documentUtils';
+import { getIdError, validateNormalizedId } from '../utils/idFormatUtils';
+import { lookupConcept, searchVocabulary } from '../utils/vocabularyUtils';
+
+// Number of vocabulary concepts offered at a time
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Normalized ID field that edits the ";"-separated IDs as a list of chips. IDs are added by typing
+ * them and pressing Enter or ";", and removed with their ✕ or Backspace. Chips that break the ID
+ * format rule of the type are shown in red. With a vocabulary loaded for the type, concepts are
+ * suggested by ID, name or synonym, and every chip shows its preferred name (or warns that it is unknown).
+ */
+const NormalizedIdInput = ({ value, onChange, vocabulary = null, rule, searchText = '', id, name, placeholder, className = '' }) => {
+  const [draft, setDraft] = useState('');
+  const [isFocused, setIsFocused] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const ids = splitNormalizedIds(value);
+  const errors = validateNormalizedId(value, rule);
+
+  // Without IDs yet, an empty field searches for the annotated text
+  const query = useDeferredValue(isFocused && vocabulary ? draft.trim() || (ids.length === 0 ? searchText : '') : '');
+  const suggestions = useMemo(
+    () => (vocabulary && query ? searchVocabulary(vocabulary, query, MAX_SUGGESTIONS) : []),
+    [vocabulary, query]
+  );
+  const isOpen = isFocused && suggestions.length > 0;
+
+  const setIds = (updatedIds) => {
+    onChange(joinNormalizedIds([...new Set(updatedIds)]) || '');
+  };
+
+  // Turn the typed text into chips
+  const commitDraft = (text = draft) => {
+    const added = splitNormalizedIds(text);
+    if (added.length > 0) setIds([...ids, ...added]);
+    setDraft('');
+  };
+
+  const handleDraftChange = (e) => {
+    const text = e.target.value;
+    setActiveIndex(0);
+    // A ";" ends an ID, including in pasted lists
+    const separator = text.lastIndexOf(';');
+    if (separator === -1) {
+      setDraft(text);
+    } else {
+      commitDraft(text.substring(0, separator));
+      setDraft(text.substring(separator + 1));
+    }
+  };
+
+  const chooseSuggestion = (suggestion) => {
+    setIds([...ids, suggestion.id]);
+    setDraft('');
+    setActiveIndex(0);
+  };
+
+  const handleKeyDown = (e) => {
+    if (isOpen && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((activeIndex + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' && isOpen) {
+      // Choose the suggestion instead of submitting the form
+      e.preventDefault();
+      chooseSuggestion(suggestions[Math.min(activeIndex, suggestions.length - 1)]);
+    } else if (e.key === 'Enter' && draft.trim()) {
+      e.preventDefault();
+      commitDraft();
+    } else if (e.key === 'Escape' && isOpen) {
+      // Close the suggestions, not the dialog
+      e.preventDefault();
+      setIsFocused(false);
+    } else if (e.key === 'Backspace' && !draft && ids.length > 0) {
+      setIds(ids.slice(0, -1));
+    }
+  };
+
+  const handleBlur = () => {
+    setIsFocused(false);
+    commitDraft();
+  };
+
+  const renderChip = (chipId, index) => {
+    const formatError = getIdError(chipId, rule);
+    const concept = vocabulary ? lookupConcept(vocabulary, chipId) : undefined;
+    const colors = formatError
+      ? 'bg-red-100 text-red-800 border-red-300'
+      : concept === null ? 'bg-amber-100 text-amber-800 border-amber-300' : 'bg-gray-100 text-gray-800 border-gray-300';
+    const title = formatError || (concept === null ? `Not in ${vocabulary.name}` : concept?.name);
+
+    return (
+      <span key={chipId} className={`inline-flex items-center gap-1 border rounded px-1 text-sm ${colors}`} title={title}>
+        <span className="font-mono">{chipId}</span>
+        {concept && <span className="text-gray-500 text-xs">{concept.name}</span>}
+        {concept === null && <span>⚠</span>}
+        <button
+          type="button"
+          onClick={() => setIds(ids.filter((_, i) => i !== index))}
+          className="text-gray-500 hover:text-red-600"
+          aria-label={`Remove ${chipId}`}
+        >
+          ✕
+        </button>
+      </span>
+    );
+  };
+
+  return (
+    <div className="relative">
+      <div className={`flex flex-wrap items-center gap-1 bg-white ${className}`}>
+        {ids.map(renderChip)}
+        <input
+          type="text"
+          id={id}
+          name={name}
+          value={draft}
+          onChange={handleDraftChange}
+          onFocus={() => setIsFocused(true)}
+          onBlur={handleBlur}
+          onKeyDown={handleKeyDown}
+          placeholder={ids.length > 0 ? '' : vocabulary ? `Search ${vocabulary.name} by ID or name` : placeholder}
+          autoComplete="off"
+          className="flex-1 min-w-[6rem] outline-none bg-transparent"
+        />
+      </div>
+
+      {isOpen && (
+        <ul className="absolute z-10 left-0 right-0 mt-1 max-h-64 overflow-y-auto bg-white border rounded shadow-lg text-sm">
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.id}
+              // Keep the focus in the field, which would otherwise close the list before the click
+              onMouseDown={(e) => {
+                e.preventDefault();
+                chooseSuggestion(suggestion);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`px-2 py-1 cursor-pointer ${index === activeIndex ? 'bg-blue-100' : ''}`}
+            >
+              <span className="font-mono text-xs text-gray-600 mr-2">{suggestion.id}</span>
+              {suggestion.concept.name}
+              {suggestion.matchedName && (
+                <span className="text-gray-500 italic"> ({suggestion.matchedName})</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {errors.length > 0 && (
+        <div className="mt-1 text-xs text-red-700">
+          {errors.map(error => <div key={error}>{error}</div>)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NormalizedIdInput;
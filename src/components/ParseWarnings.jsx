@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+
+/**
+ * Panel listing the lines of the loaded file that the parser could not understand.
+ * The lines are kept as they are and written back on save.
+ */
+const ParseWarnings = ({ warnings, onDismiss }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  if (warnings.length === 0) return null;
+
+  return (
+    <div className="mb-4 border border-amber-300 bg-amber-50 rounded p-3 text-sm">
+      <div className="flex items-center gap-2">
+        <span className="font-medium text-amber-800">
+          {warnings.length} line{warnings.length === 1 ? '' : 's'} could not be understood and will be saved unchanged.
+        </span>
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="text-amber-800 underline"
+        >
+          {isExpanded ? 'Hide' : 'Show'}
+        </button>
+        <button
+          onClick={onDismiss}
+          className="ml-auto text-amber-800 hover:text-amber-900"
+        >
+          ✕
+        </button>
+      </div>
+
+      {isExpanded && (
+        <div className="mt-2 max-h-60 overflow-y-auto">
+          <table className="w-full border-collapse">
+            <thead>
+              <tr className="bg-amber-100">
+                <th className="border border-amber-200 p-1 text-left">Line</th>
+                <th className="border border-amber-200 p-1 text-left">Content</th>
+                <th className="border border-amber-200 p-1 text-left">Problem</th>
+              </tr>
+            </thead>
+            <tbody>
+              {warnings.map((warning, index) => (
+                <tr key={index}>
+                  <td className="border border-amber-200 p-1">{warning.lineNumber}</td>
+                  <td className="border border-amber-200 p-1 font-mono break-all">{warning.line}</td>
+                  <td className="border border-amber-200 p-1">{warning.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ParseWarnings;
@@ -0,0 +1,207 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { createTermPattern, findCorpusMatches } from '../utils/searchUtils';
+import { getEntityColor } from '../utils/colorUtils';
+
+// Key that identifies an occurrence across renders
+const occurrenceKey = (occurrence) => `${occurrence.docIndex}:${occurrence.start}`;
+
+/**
+ * Dialog that finds every occurrence of an annotated term in all loaded documents and annotates
+ * the checked ones with the same type and normalized ID.
+ */
+const PropagateDialog = ({ documents, term, isOpen, onApplyChanges, onNavigateToDocument, onClose }) => {
+  const [options, setOptions] = useState({ caseSensitive: false, wholeWord: true });
+  const [checked, setChecked] = useState(new Set());
+
+  const occurrences = useMemo(() => {
+    if (!isOpen || !term?.text) return [];
+    return findCorpusMatches(documents, createTermPattern(term.text, options));
+  }, [isOpen, documents, term, options]);
+
+  // Check the occurrences that aren't annotated at all; overlapping ones have to be checked by hand
+  useEffect(() => {
+    setChecked(new Set(
+      occurrences
+        .filter(occurrence => occurrence.annotations.length === 0)
+        .map(occurrenceKey)
+    ));
+  }, [occurrences]);
+
+  const selectable = occurrences.filter(occurrence => !occurrence.exactAnnotation);
+
+  const toggle = (occurrence) => {
+    const key = occurrenceKey(occurrence);
+    setChecked(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const handleOptionChange = (e) => {
+    const { name, checked: value } = e.target;
+    setOptions(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleApply = () => {
+    const changes = selectable
+      .filter(occurrence => checked.has(occurrenceKey(occurrence)))
+      .map(occurrence => ({
+        docIndex: occurrence.docIndex,
+        annotation: {
+          start: occurrence.start,
+          end: occurrence.end,
+          text: occurrence.text,
+          type: term.type,
+          normalizedId: term.normalizedId || null
+        }
+      }));
+
+    if (changes.length > 0) {
+      onApplyChanges(changes, `Propagate "${term.text}" to ${changes.length} place${changes.length === 1 ? '' : 's'}`);
+    }
+    onClose();
+  };
+
+  const checkedCount = selectable.filter(occurrence => checked.has(occurrenceKey(occurrence))).length;
+  const colorClasses = getEntityColor(term?.type);
+
+  return (
+    <dialog
+      id="propagate-dialog"
+      className="p-0 rounded-lg shadow-xl w-full max-w-4xl"
+      onCancel={onClose}
+    >
+      <div className="bg-gray-100 px-4 py-3 flex justify-between items-center">
+        <h3 className="font-semibold">Propagate Annotation</h3>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          ✕
+        </button>
+      </div>
+      {term && (
+        <div className="p-4">
+          <div className="flex flex-wrap items-center gap-2 mb-3">
+            <span className="font-medium">"{term.text}"</span>
+            <span className={`px-2 py-0.5 rounded text-sm ${colorClasses.bg} ${colorClasses.text}`}>{term.type}</span>
+            <span className="text-sm text-gray-600">{term.normalizedId || 'no normalized ID'}</span>
+          </div>
+          <div className="flex gap-4 mb-3 text-sm">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                name="caseSensitive"
+                checked={options.caseSensitive}
+                onChange={handleOptionChange}
+              />
+              Match case
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                name="wholeWord"
+                checked={options.wholeWord}
+                onChange={handleOptionChange}
+              />
+              Whole words only
+            </label>
+          </div>
+
+          {occurrences.length > 0 ? (
+            <>
+              <div className="flex items-center gap-2 mb-2 text-sm">
+                <span>
+                  {occurrences.length} occurrence{occurrences.length === 1 ? '' : 's'} in {new Set(occurrences.map(o => o.docIndex)).size} document(s)
+                </span>
+                <button
+                  onClick={() => setChecked(new Set(selectable.map(occurrenceKey)))}
+                  className="text-blue-600 hover:underline"
+                >
+                  Check all
+                </button>
+                <button
+                  onClick={() => setChecked(new Set())}
+                  className="text-blue-600 hover:underline"
+                >
+                  Uncheck all
+                </button>
+              </div>
+              <div className="max-h-[50vh] overflow-y-auto border rounded mb-4">
+                <table className="w-full border-collapse text-sm">
+                  <thead className="sticky top-0">
+                    <tr className="bg-gray-100">
+                      <th className="border p-1"></th>
+                      <th className="border p-1 text-left">Document</th>
+                      <th className="border p-1 text-left">Context</th>
+                      <th className="border p-1 text-left">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {occurrences.map(occurrence => (
+                      <tr key={occurrenceKey(occurrence)} className={`border-b ${occurrence.exactAnnotation ? 'text-gray-400' : ''}`}>
+                        <td className="border p-1 text-center">
+                          <input
+                            type="checkbox"
+                            checked={!occurrence.exactAnnotation && checked.has(occurrenceKey(occurrence))}
+                            disabled={Boolean(occurrence.exactAnnotation)}
+                            onChange={() => toggle(occurrence)}
+                          />
+                        </td>
+                        <td className="border p-1">
+                          <button
+                            onClick={() => onNavigateToDocument(occurrence.docId)}
+                            className="text-blue-600 hover:underline"
+                          >
+                            {occurrence.docId}
+                          </button>
+                        </td>
+                        <td className="border p-1 font-mono">
+                          …{occurrence.before}<strong>{occurrence.text}</strong>{occurrence.after}…
+                        </td>
+                        <td className="border p-1">
+                          {occurrence.exactAnnotation
+                            ? `Annotated as ${occurrence.exactAnnotation.type}`
+                            : occurrence.annotations.length > 0
+                              ? `Overlaps ${occurrence.annotations.map(anno => `"${anno.text}"`).join(', ')}`
+                              : 'New'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          ) : (
+            <p className="text-gray-500 italic mb-4">No occurrences found.</p>
+          )}
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border rounded"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleApply}
+              disabled={checkedCount === 0}
+              className="px-4 py-2 bg-blue-600 text-white rounded disabled:opacity-50"
+            >
+              Annotate {checkedCount} occurrence{checkedCount === 1 ? '' : 's'}
+            </button>
+          </div>
+        </div>
+      )}
+    </dialog>
+  );
+};
+
+export default PropagateDialog;
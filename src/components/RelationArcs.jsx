@@ -0,0 +1,129 @@
+import React, { useLayoutEffect, useMemo, useState } from 'react';
+
+// Height in pixels that an arc rises above the top of its marks
+const ARC_HEIGHT = 16;
+
+/**
+ * Check whether an annotation refers to a concept ID, taking
+ * semicolon-separated multi-ID annotations into account
+ */
+const annotationHasConcept = (annotation, conceptId) => {
+  if (!annotation.normalizedId) return false;
+  return annotation.normalizedId === conceptId || annotation.normalizedId.split(';').includes(conceptId);
+};
+
+/**
+ * Pick the pair of mentions for a relation that sit closest together in the text
+ * @param {Array} annotations - Document annotations
+ * @param {Object} relation - Relation with arg1 and arg2 concept IDs
+ * @returns {Array|null} Indices of the two annotations, or null if either concept is not annotated
+ */
+const findClosestMentions = (annotations, relation) => {
+  let best = null;
+  let bestDistance = Infinity;
+
+  annotations.forEach((source, sourceIndex) => {
+    if (!annotationHasConcept(source, relation.arg1)) return;
+    annotations.forEach((target, targetIndex) => {
+      if (targetIndex === sourceIndex || !annotationHasConcept(target, relation.arg2)) return;
+      const distance = Math.abs(source.start - target.start);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = [sourceIndex, targetIndex];
+      }
+    });
+  });
+
+  return best;
+};
+
+/**
+ * Build an SVG path that leaves the top of one box, rises above the text and lands on the other
+ */
+const createArcPath = (from, to) => {
+  const x1 = from.left + from.width / 2;
+  const x2 = to.left + to.width / 2;
+  const y1 = from.top;
+  const y2 = to.top;
+  const peak = Math.min(y1, y2) - ARC_HEIGHT;
+  return `M ${x1} ${y1} C ${x1} ${peak}, ${x2} ${peak}, ${x2} ${y2}`;
+};
+
+/**
+ * Overlay that draws existing relations as arcs above the highlighted text.
+ * Must be rendered inside the (relatively positioned) text container, after the text itself,
+ * so that it does not affect selection offsets.
+ */
+const RelationArcs = ({ containerRef, annotations, relations }) => {
+  const [arcs, setArcs] = useState([]);
+
+  // The pair of mentions each relation is drawn between; the arcs are re-measured whenever these change
+  const connections = useMemo(() => relations
+    .map((relation, index) => ({ key: index, type: relation.type, mentions: findClosestMentions(annotations, relation) }))
+    .filter(connection => connection.mentions), [annotations, relations]);
+
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const measure = () => {
+      const containerRect = container.getBoundingClientRect();
+      const boxFor = (annotationIndex) => {
+        const mark = container.querySelector(`mark[data-annotation-indices~="${annotationIndex}"]`);
+        if (!mark) return null;
+        const rect = mark.getBoundingClientRect();
+        return {
+          left: rect.left - containerRect.left,
+          top: rect.top - containerRect.top,
+          width: rect.width
+        };
+      };
+
+      const measured = [];
+      connections.forEach(({ key, type, mentions }) => {
+        const from = boxFor(mentions[0]);
+        const to = boxFor(mentions[1]);
+        if (!from || !to) return;
+
+        measured.push({
+          key,
+          type,
+          path: createArcPath(from, to),
+          labelX: (from.left + from.width / 2 + to.left + to.width / 2) / 2,
+          labelY: Math.min(from.top, to.top) - ARC_HEIGHT * 0.75
+        });
+      });
+      setArcs(measured);
+    };
+
+    measure();
+
+    // Text reflows when the window is resized, so the arcs have to follow
+    const observer = new ResizeObserver(measure);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [containerRef, connections]);
+
+  if (arcs.length === 0) return null;
+
+  return (
+    <svg className="absolute inset-0 w-full h-full pointer-events-none overflow-visible" aria-hidden="true">
+      {arcs.map(arc => (
+        <g key={arc.key}>
+          <path d={arc.path} fill="none" stroke="#6b7280" strokeWidth="1.5" />
+          <text
+            x={arc.labelX}
+            y={arc.labelY}
+            textAnchor="middle"
+            className="fill-gray-600"
+            fontSize="10"
+          >
+            {arc.type}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+export default RelationArcs;
@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import RelationRow from './RelationRow';
+
+/**
+ * Build a lookup from concept ID to the first annotated text carrying it
+ * @param {Array} annotations - Annotations of the current document
+ * @returns {Object} Map of normalized ID to annotated text
+ */
+const createConceptLabels = (annotations) => {
+  const labels = {};
+  for (const anno of annotations) {
+    if (anno.normalizedId && !labels[anno.normalizedId]) {
+      labels[anno.normalizedId] = anno.text;
+    }
+  }
+  return labels;
+};
+
+/**
+ * Panel listing the relations of the current document, with inline editing
+ * and a form for adding new relations between annotated concepts
+ */
+const RelationPanel = ({
+  relations,
+  annotations,
+  knownRelationTypes,
+  onAdd,
+  onEdit,
+  onDelete,
+  onAddNewRelationType
+}) => {
+  const [newRelation, setNewRelation] = useState({ type: '', newTypeName: '', arg1: '', arg2: '' });
+  const conceptLabels = createConceptLabels(annotations);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setNewRelation(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    let type = newRelation.type;
+    if (type === '__new__') {
+      type = newRelation.newTypeName.trim();
+      if (!type) return;
+      onAddNewRelationType(type);
+    }
+
+    onAdd({
+      type,
+      arg1: newRelation.arg1.trim(),
+      arg2: newRelation.arg2.trim()
+    });
+    setNewRelation({ type: '', newTypeName: '', arg1: '', arg2: '' });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <h2 className="text-xl font-bold mb-3">Relations</h2>
+
+      <form onSubmit={handleSubmit} className="mb-3 flex flex-col gap-2">
+        <div className="flex gap-2">
+          <select
+            name="type"
+            required
+            value={newRelation.type}
+            onChange={handleChange}
+            className="flex-1 border rounded p-1 text-sm"
+          >
+            <option value="">Relation type</option>
+            {knownRelationTypes.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+            <option value="__new__">+ Add new type</option>
+          </select>
+          {newRelation.type === '__new__' && (
+            <input
+              type="text"
+              name="newTypeName"
+              required
+              value={newRelation.newTypeName}
+              onChange={handleChange}
+              placeholder="New type name"
+              className="flex-1 border rounded p-1 text-sm"
+            />
+          )}
+        </div>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            name="arg1"
+            list="relation-concept-ids"
+            required
+            value={newRelation.arg1}
+            onChange={handleChange}
+            placeholder="First concept ID"
+            className="flex-1 min-w-0 border rounded p-1 text-sm"
+          />
+          <input
+            type="text"
+            name="arg2"
+            list="relation-concept-ids"
+            required
+            value={newRelation.arg2}
+            onChange={handleChange}
+            placeholder="Second concept ID"
+            className="flex-1 min-w-0 border rounded p-1 text-sm"
+          />
+          <button
+            type="submit"
+            className="bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700"
+          >
+            Add
+          </button>
+        </div>
+      </form>
+
+      {/* Concept IDs annotated in this document, offered as suggestions for relation arguments */}
+      <datalist id="relation-concept-ids">
+        {Object.entries(conceptLabels).map(([conceptId, text]) => (
+          <option key={conceptId} value={conceptId}>{text}</option>
+        ))}
+      </datalist>
+
+      {relations.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="w-full border-collapse">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="border p-2 text-left">Type</th>
+                <th className="border p-2 text-left">Argument 1</th>
+                <th className="border p-2 text-left">Argument 2</th>
+                <th className="border p-2 text-left">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {relations.map((relation, index) => (
+                <RelationRow
+                  key={index}
+                  relation={relation}
+                  index={index}
+                  onEdit={onEdit}
+                  onDelete={onDelete}
+                  knownRelationTypes={knownRelationTypes}
+                  conceptLabels={conceptLabels}
+                  onAddNewRelationType={onAddNewRelationType}
+                />
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-gray-500 italic">No relations in this document.</p>
+      )}
+    </div>
+  );
+};
+
+export default RelationPanel;
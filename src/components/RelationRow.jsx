@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+
+const RelationRow = ({ relation, index, onEdit, onDelete, knownRelationTypes, conceptLabels, onAddNewRelationType }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [editedRelation, setEditedRelation] = useState({ ...relation });
+  const [isCreatingNewType, setIsCreatingNewType] = useState(false);
+
+  // Keep editedRelation in sync when the relation prop changes
+  useEffect(() => {
+    setEditedRelation({ ...relation });
+  }, [relation]);
+
+  const handleSave = () => {
+    let updatedRelation = { ...editedRelation };
+
+    // If creating new type, use the custom type name
+    if (isCreatingNewType && editedRelation.customType) {
+      updatedRelation.type = editedRelation.customType;
+
+      // Add the new type to the global list
+      onAddNewRelationType(updatedRelation.type);
+    }
+    delete updatedRelation.customType;
+
+    onEdit(index, updatedRelation);
+    setIsEditing(false);
+    setIsCreatingNewType(false);
+  };
+
+  const handleTypeChange = (e) => {
+    if (e.target.value === '__new__') {
+      setIsCreatingNewType(true);
+      setEditedRelation({
+        ...editedRelation,
+        type: '__new__',
+        customType: ''
+      });
+    } else {
+      setIsCreatingNewType(false);
+      setEditedRelation({
+        ...editedRelation,
+        type: e.target.value
+      });
+    }
+  };
+
+  // Show the annotated text next to a concept ID when we know it
+  const renderArgument = (arg) => (
+    <>
+      <span className="font-mono text-sm">{arg}</span>
+      {conceptLabels[arg] && <span className="text-gray-500 text-sm"> ({conceptLabels[arg]})</span>}
+    </>
+  );
+
+  return isEditing ? (
+    <tr className="border-b">
+      <td className="border p-2">
+        <div className="flex flex-col gap-1">
+          <select
+            value={editedRelation.type}
+            onChange={handleTypeChange}
+            className="border p-1"
+          >
+            {knownRelationTypes.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+            <option value="__new__">Create new type...</option>
+          </select>
+
+          {isCreatingNewType && (
+            <input
+              type="text"
+              value={editedRelation.customType || ''}
+              onChange={(e) => setEditedRelation({ ...editedRelation, customType: e.target.value })}
+              placeholder="New type name"
+              className="border p-1"
+            />
+          )}
+        </div>
+      </td>
+      <td className="border p-2">
+        <input
+          type="text"
+          list="relation-concept-ids"
+          value={editedRelation.arg1}
+          onChange={(e) => setEditedRelation({ ...editedRelation, arg1: e.target.value })}
+          className="border p-1 w-full"
+        />
+      </td>
+      <td className="border p-2">
+        <input
+          type="text"
+          list="relation-concept-ids"
+          value={editedRelation.arg2}
+          onChange={(e) => setEditedRelation({ ...editedRelation, arg2: e.target.value })}
+          className="border p-1 w-full"
+        />
+      </td>
+      <td className="border p-2">
+        <div className="flex gap-1">
+          <button onClick={handleSave} className="bg-green-600 text-white px-2 py-1 rounded text-sm">Save</button>
+          <button onClick={() => setIsEditing(false)} className="bg-gray-300 px-2 py-1 rounded text-sm">Cancel</button>
+        </div>
+      </td>
+    </tr>
+  ) : (
+    <tr className="border-b">
+      <td className="border p-2">
+        <span className="inline-block px-2 py-1 rounded text-sm bg-gray-100 text-gray-800">
+          {relation.type}
+        </span>
+      </td>
+      <td className="border p-2">{renderArgument(relation.arg1)}</td>
+      <td className="border p-2">{renderArgument(relation.arg2)}</td>
+      <td className="border p-2">
+        <div className="flex gap-1">
+          <button onClick={() => setIsEditing(true)} className="bg-blue-600 text-white px-2 py-1 rounded text-sm">Edit</button>
+          <button onClick={() => onDelete(index)} className="bg-red-600 text-white px-2 py-1 rounded text-sm">Delete</button>
+        </div>
+      </td>
+    </tr>
+  );
+};
+
+export default RelationRow;
@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react';
+
+/**
+ * Dialog shown after two entities have been clicked in relation mode,
+ * asking for the type of the relation between them
+ */
+const RelationTypeDialog = ({
+  source = null,
+  target = null,
+  knownRelationTypes,
+  onSubmit,
+  onClose
+}) => {
+  const [type, setType] = useState('');
+  const [newTypeName, setNewTypeName] = useState('');
+
+  // Start from a clean form for every new pair of entities
+  useEffect(() => {
+    setType('');
+    setNewTypeName('');
+  }, [source, target]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const relationType = type === '__new__' ? newTypeName.trim() : type;
+    if (!relationType) return;
+
+    onSubmit(relationType, type === '__new__');
+  };
+
+  const describe = (annotation) => annotation
+    ? `${annotation.text} (${annotation.normalizedId || 'no ID'})`
+    : '';
+
+  return (
+    <dialog
+      id="relation-type-dialog"
+      className="p-0 rounded-lg shadow-xl w-full max-w-md"
+      onCancel={onClose}
+    >
+      <div className="bg-gray-100 px-4 py-3 flex justify-between items-center">
+        <h3 className="font-semibold">Add Relation</h3>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          ✕
+        </button>
+      </div>
+      <form onSubmit={handleSubmit} className="p-4">
+        <div className="mb-4 text-sm">
+          <div><span className="font-medium">From:</span> {describe(source)}</div>
+          <div><span className="font-medium">To:</span> {describe(target)}</div>
+        </div>
+        <div className="mb-4">
+          <label className="block text-sm font-medium mb-1">Relation Type:</label>
+          <select
+            required
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            className="w-full p-2 border rounded"
+          >
+            <option value="">Select relation type</option>
+            {knownRelationTypes.map(relationType => (
+              <option key={relationType} value={relationType}>{relationType}</option>
+            ))}
+            <option value="__new__">+ Add new type</option>
+          </select>
+        </div>
+        {type === '__new__' && (
+          <div className="mb-4">
+            <label className="block text-sm font-medium mb-1">New Type Name:</label>
+            <input
+              type="text"
+              required
+              value={newTypeName}
+              onChange={(e) => setNewTypeName(e.target.value)}
+              className="w-full p-2 border rounded"
+            />
+          </div>
+        )}
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border rounded"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="px-4 py-2 bg-blue-600 text-white rounded"
+          >
+            Add Relation
+          </button>
+        </div>
+      </form>
+    </dialog>
+  );
+};
+
+export default RelationTypeDialog;
@@ -0,0 +1,33 @@
+import React from 'react';
+
+/**
+ * Banner offering to restore the session that was autosaved before the page was closed or reloaded.
+ */
+const RestoreSessionBanner = ({ session, onRestore, onDiscard }) => {
+  if (!session) return null;
+
+  return (
+    <div className="mb-4 border border-blue-300 bg-blue-50 rounded p-3 text-sm flex flex-wrap items-center gap-2">
+      <span className="text-blue-900">
+        Unsaved work from {new Date(session.savedAt).toLocaleString()} was found
+        ({session.originalFilename}, {session.documents.length} document{session.documents.length === 1 ? '' : 's'}).
+      </span>
+      <div className="ml-auto flex gap-2">
+        <button
+          onClick={onRestore}
+          className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700"
+        >
+          Restore
+        </button>
+        <button
+          onClick={onDiscard}
+          className="border border-blue-300 px-3 py-1 rounded hover:bg-blue-100"
+        >
+          Discard
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RestoreSessionBanner;
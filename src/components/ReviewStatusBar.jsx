@@ -0,0 +1,100 @@
+import React, { useEffect, useState } from 'react';
+import { REVIEW_STATUSES, getReviewStatus } from '../utils/reviewUtils';
+
+/**
+ * Review status and note of the current document, progress over all documents,
+ * and navigation to the next document that isn't done or is flagged.
+ */
+const ReviewStatusBar = ({ documents, currentDocIndex, onUpdateReview, onNavigate }) => {
+  const currentDoc = documents[currentDocIndex];
+  const status = getReviewStatus(currentDoc);
+  const savedNote = currentDoc.review?.note || '';
+  const [note, setNote] = useState(savedNote);
+
+  // Show the note of the document being viewed
+  useEffect(() => {
+    setNote(savedNote);
+  }, [savedNote, currentDocIndex]);
+
+  const counts = Object.fromEntries(Object.keys(REVIEW_STATUSES).map(key => [key, 0]));
+  documents.forEach(doc => counts[getReviewStatus(doc)]++);
+
+  // The note is committed when the field loses focus, so typing doesn't flood the undo history
+  const commitNote = () => {
+    if (note !== savedNote) {
+      onUpdateReview({ note });
+    }
+  };
+
+  // Find the next document after the current one (wrapping around) that passes a test
+  const navigateToNext = (matches, description) => {
+    for (let step = 1; step < documents.length; step++) {
+      const index = (currentDocIndex + step) % documents.length;
+      if (matches(getReviewStatus(documents[index]))) {
+        onNavigate(index);
+        return;
+      }
+    }
+    alert(`There are no other ${description} documents`);
+  };
+
+  return (
+    <div className="mb-4 flex flex-col gap-2">
+      <div className="flex items-center gap-2 flex-wrap text-sm">
+        <span className="font-medium text-gray-700">Status:</span>
+        <div className="flex rounded border overflow-hidden">
+          {Object.entries(REVIEW_STATUSES).map(([key, { label, badge }]) => (
+            <button
+              key={key}
+              onClick={() => key !== status && onUpdateReview({ status: key })}
+              className={`px-2 py-1 border-l first:border-l-0 ${key === status ? `${badge} font-semibold` : 'bg-white hover:bg-gray-100 text-gray-600'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          onBlur={commitNote}
+          onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+          placeholder="Review note..."
+          className="flex-1 min-w-[12rem] border rounded px-2 py-1"
+        />
+        <button
+          onClick={() => navigateToNext(key => key !== 'done', 'undone')}
+          className="bg-gray-200 px-2 py-1 rounded hover:bg-gray-300"
+        >
+          Next undone
+        </button>
+        <button
+          onClick={() => navigateToNext(key => key === 'flagged', 'flagged')}
+          className="bg-gray-200 px-2 py-1 rounded hover:bg-gray-300"
+        >
+          Next flagged
+        </button>
+      </div>
+
+      <div className="flex items-center gap-2 text-xs text-gray-600">
+        <div className="flex-1 flex h-2 rounded overflow-hidden bg-gray-100">
+          {['done', 'in_progress', 'flagged'].map(key => counts[key] > 0 && (
+            <div
+              key={key}
+              className={REVIEW_STATUSES[key].color}
+              style={{ width: `${(counts[key] / documents.length) * 100}%` }}
+              title={`${REVIEW_STATUSES[key].label}: ${counts[key]}`}
+            />
+          ))}
+        </div>
+        <span>
+          {counts.done} of {documents.length} done
+          {counts.in_progress > 0 && `, ${counts.in_progress} in progress`}
+          {counts.flagged > 0 && `, ${counts.flagged} flagged`}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default ReviewStatusBar;
@@ -0,0 +1,166 @@
+import React, { useEffect, useState } from 'react';
+import { listSnapshots, saveSnapshot, loadSnapshot, deleteSnapshot } from '../utils/storageUtils';
+
+/**
+ * Dialog for saving the current work as a named snapshot in the browser,
+ * and for listing, restoring and deleting saved snapshots.
+ */
+const SnapshotDialog = ({ isOpen, sessionState, onRestore, onClose }) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [name, setName] = useState('');
+
+  const refreshSnapshots = () => {
+    listSnapshots()
+      .then(setSnapshots)
+      .catch(err => {
+        console.error('Error listing snapshots:', err);
+        setSnapshots([]);
+      });
+  };
+
+  // Reload the list every time the dialog opens
+  useEffect(() => {
+    if (isOpen) {
+      refreshSnapshots();
+      setName('');
+    }
+  }, [isOpen]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    if (snapshots.some(snapshot => snapshot.name === trimmed) && !confirm(`Replace the snapshot "${trimmed}"?`)) {
+      return;
+    }
+
+    try {
+      await saveSnapshot(trimmed, sessionState);
+      setName('');
+      refreshSnapshots();
+    } catch (err) {
+      console.error('Error saving snapshot:', err);
+      alert(`Could not save the snapshot: ${err.message}`);
+    }
+  };
+
+  const handleRestore = async (snapshotName) => {
+    try {
+      const snapshot = await loadSnapshot(snapshotName);
+      if (snapshot) {
+        onRestore(snapshot);
+      }
+    } catch (err) {
+      console.error('Error loading snapshot:', err);
+      alert(`Could not restore the snapshot: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (snapshotName) => {
+    if (!confirm(`Delete the snapshot "${snapshotName}"?`)) return;
+
+    try {
+      await deleteSnapshot(snapshotName);
+      refreshSnapshots();
+    } catch (err) {
+      console.error('Error deleting snapshot:', err);
+      alert(`Could not delete the snapshot: ${err.message}`);
+    }
+  };
+
+  return (
+    <dialog
+      id="snapshot-dialog"
+      className="p-0 rounded-lg shadow-xl w-full max-w-2xl"
+      onCancel={onClose}
+    >
+      <div className="bg-gray-100 px-4 py-3 flex justify-between items-center">
+        <h3 className="font-semibold">Snapshots</h3>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="p-4">
+        <form onSubmit={handleSave} className="flex gap-2 mb-4">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Snapshot name..."
+            className="flex-1 p-2 border rounded"
+            disabled={sessionState.documents.length === 0}
+          />
+          <button
+            type="submit"
+            disabled={!name.trim() || sessionState.documents.length === 0}
+            className="px-4 py-2 bg-blue-600 text-white rounded disabled:opacity-50"
+          >
+            Save current work
+          </button>
+        </form>
+
+        {snapshots.length > 0 ? (
+          <div className="max-h-80 overflow-y-auto border rounded mb-4">
+            <table className="w-full border-collapse text-sm">
+              <thead className="sticky top-0">
+                <tr className="bg-gray-100">
+                  <th className="border p-1 text-left">Name</th>
+                  <th className="border p-1 text-left">Saved</th>
+                  <th className="border p-1 text-left">File</th>
+                  <th className="border p-1 text-left">Contents</th>
+                  <th className="border p-1 text-left">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {snapshots.map(snapshot => (
+                  <tr key={snapshot.name} className="border-b">
+                    <td className="border p-1 font-medium">{snapshot.name}</td>
+                    <td className="border p-1">{new Date(snapshot.savedAt).toLocaleString()}</td>
+                    <td className="border p-1">{snapshot.originalFilename}</td>
+                    <td className="border p-1">
+                      {snapshot.documentCount} documents, {snapshot.annotationCount} annotations
+                    </td>
+                    <td className="border p-1">
+                      <div className="flex gap-1">
+                        <button
+                          onClick={() => handleRestore(snapshot.name)}
+                          className="bg-blue-600 text-white px-2 py-0.5 rounded"
+                        >
+                          Restore
+                        </button>
+                        <button
+                          onClick={() => handleDelete(snapshot.name)}
+                          className="bg-red-600 text-white px-2 py-0.5 rounded"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-gray-500 italic mb-4">No snapshots saved yet.</p>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border rounded"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+};
+
+export default SnapshotDialog;
@@ -0,0 +1,154 @@
+import React, { useMemo } from 'react';
+import { computeCorpusStats, statsToCsv } from '../utils/statsUtils';
+import { getEntityColor } from '../utils/colorUtils';
+
+// Format a share as a percentage
+const percent = (share) => `${(share * 100).toFixed(1)}%`;
+
+/**
+ * Dialog with statistics for the loaded file: totals, per-type counts and normalization,
+ * the distribution of annotations per document and the most frequent mentions.
+ */
+const StatisticsDialog = ({ documents, isOpen, onExport, onNavigateToDocument, onClose }) => {
+  const stats = useMemo(
+    () => (isOpen ? computeCorpusStats(documents) : null),
+    [isOpen, documents]
+  );
+
+  const largestBin = stats ? Math.max(1, ...stats.histogram.map(bin => bin.documents)) : 1;
+
+  return (
+    <dialog
+      id="statistics-dialog"
+      className="p-0 rounded-lg shadow-xl w-full max-w-5xl"
+      onCancel={onClose}
+    >
+      <div className="bg-gray-100 px-4 py-3 flex justify-between items-center">
+        <h3 className="font-semibold">Corpus Statistics</h3>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          ✕
+        </button>
+      </div>
+      {stats && (
+        <div className="p-4 max-h-[80vh] overflow-y-auto">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            {[
+              ['Documents', stats.documents],
+              ['Annotations', stats.annotations],
+              ['Relations', stats.relations],
+              ['With normalized ID', `${stats.withNormalizedId} (${percent(stats.normalizedShare)})`]
+            ].map(([label, value]) => (
+              <div key={label} className="border rounded p-3">
+                <div className="text-sm text-gray-600">{label}</div>
+                <div className="text-xl font-semibold">{value}</div>
+              </div>
+            ))}
+          </div>
+
+          <h4 className="font-semibold mb-2">Entity types</h4>
+          {stats.types.length > 0 ? (
+            <table className="w-full border-collapse text-sm mb-4">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="border p-1 text-left">Type</th>
+                  <th className="border p-1 text-right">Annotations</th>
+                  <th className="border p-1 text-right">With normalized ID</th>
+                  <th className="border p-1 text-right">Unique concepts</th>
+                  <th className="border p-1 text-right">Unique mentions</th>
+                  <th className="border p-1 text-left">Most frequent mentions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.types.map(type => {
+                  const colorClasses = getEntityColor(type.type);
+                  return (
+                    <tr key={type.type} className="border-b align-top">
+                      <td className="border p-1">
+                        <span className={`inline-block px-2 rounded ${colorClasses.bg} ${colorClasses.text}`}>{type.type}</span>
+                      </td>
+                      <td className="border p-1 text-right">{type.annotations}</td>
+                      <td className="border p-1 text-right">{type.withNormalizedId} ({percent(type.normalizedShare)})</td>
+                      <td className="border p-1 text-right">{type.uniqueConcepts}</td>
+                      <td className="border p-1 text-right">{type.uniqueMentions}</td>
+                      <td className="border p-1">
+                        {type.topMentions.map(mention => `${mention.text} (${mention.count})`).join(', ')}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-gray-500 italic mb-4">No annotations yet.</p>
+          )}
+
+          <h4 className="font-semibold mb-2">Annotations per document</h4>
+          <p className="text-sm text-gray-600 mb-2">
+            Min {stats.perDocumentSummary.min}, median {stats.perDocumentSummary.median},
+            mean {stats.perDocumentSummary.mean.toFixed(1)}, max {stats.perDocumentSummary.max}
+          </p>
+          <div className="flex items-end gap-1 h-32 mb-1 border-b">
+            {stats.histogram.map(bin => (
+              <div
+                key={bin.from}
+                className="flex-1 bg-blue-500 hover:bg-blue-600"
+                style={{ height: `${(bin.documents / largestBin) * 100}%` }}
+                title={`${bin.from === bin.to ? bin.from : `${bin.from}–${bin.to}`} annotations: ${bin.documents} document${bin.documents === 1 ? '' : 's'}`}
+              />
+            ))}
+          </div>
+          <div className="flex justify-between text-xs text-gray-500 mb-4">
+            <span>0</span>
+            <span>{stats.histogram.length > 0 ? stats.histogram[stats.histogram.length - 1].to : 0} annotations</span>
+          </div>
+
+          <h4 className="font-semibold mb-2">Documents without annotations ({stats.emptyDocuments.length})</h4>
+          {stats.emptyDocuments.length > 0 ? (
+            <div className="flex flex-wrap gap-2 text-sm mb-4 max-h-24 overflow-y-auto">
+              {stats.emptyDocuments.map(docId => (
+                <button
+                  key={docId}
+                  onClick={() => onNavigateToDocument(docId)}
+                  className="text-blue-600 hover:underline"
+                >
+                  {docId}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <p className="text-gray-500 italic text-sm mb-4">Every document has annotations.</p>
+          )}
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => onExport(statsToCsv(stats), 'csv', 'text/csv')}
+              className="px-4 py-2 bg-blue-600 text-white rounded"
+            >
+              Export CSV
+            </button>
+            <button
+              type="button"
+              onClick={() => onExport(JSON.stringify(stats, null, 2), 'json', 'application/json')}
+              className="px-4 py-2 bg-blue-600 text-white rounded"
+            >
+              Export JSON
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border rounded"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+    </dialog>
+  );
+};
+
+export default StatisticsDialog;
@@ -0,0 +1,105 @@
+import React, { useEffect } from 'react';
+import { getEntityColor } from '../utils/colorUtils';
+
+// Characters of context shown on each side of the match
+const CONTEXT_LENGTH = 40;
+
+/**
+ * Review queue that steps through the potential matches of the current document one at a time.
+ * Keys: A or Enter accepts, R rejects, S or → skips, ← goes back, Esc stops reviewing.
+ */
+const SuggestionReview = ({ matches, position, documentText, onAccept, onReject, onMove, onNextDocument, onClose }) => {
+  const match = matches[position] || null;
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.target.closest?.('input, textarea, select') || document.querySelector('dialog[open]')) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'escape') {
+        onClose();
+      } else if (!match) {
+        return;
+      } else if (key === 'a' || key === 'enter') {
+        onAccept(match);
+      } else if (key === 'r') {
+        onReject(match);
+      } else if (key === 's' || key === 'arrowright') {
+        onMove(1);
+      } else if (key === 'arrowleft') {
+        onMove(-1);
+      } else {
+        return;
+      }
+      e.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const colorClasses = match ? getEntityColor(match.type) : null;
+
+  return (
+    <div className="mb-3 border border-red-200 bg-red-50 rounded p-3 text-sm">
+      <div className="flex items-center gap-2 mb-2">
+        <span className="font-medium">
+          {match ? `Suggestion ${position + 1} of ${matches.length}` : 'No more suggestions in this document'}
+        </span>
+        <button
+          onClick={onClose}
+          className="ml-auto text-gray-500 hover:text-gray-700"
+          title="Stop reviewing (Esc)"
+        >
+          ✕
+        </button>
+      </div>
+
+      {match ? (
+        <>
+          <p className="mb-2 font-mono bg-white border rounded p-2">
+            …{documentText.substring(Math.max(0, match.start - CONTEXT_LENGTH), match.start)}
+            <strong className="text-red-700">{match.text}</strong>
+            {documentText.substring(match.end, match.end + CONTEXT_LENGTH)}…
+          </p>
+          <div className="flex flex-wrap items-center gap-2">
+            <span className={`px-2 py-0.5 rounded ${colorClasses.bg} ${colorClasses.text}`}>{match.type}</span>
+            <span className="text-gray-600">{match.normalizedId || 'no normalized ID'}</span>
+            <div className="ml-auto flex gap-1">
+              <button
+                onClick={() => onAccept(match)}
+                className="bg-green-600 text-white px-2 py-1 rounded hover:bg-green-700"
+              >
+                Accept (A)
+              </button>
+              <button
+                onClick={() => onReject(match)}
+                className="bg-red-600 text-white px-2 py-1 rounded hover:bg-red-700"
+              >
+                Reject (R)
+              </button>
+              <button
+                onClick={() => onMove(1)}
+                className="bg-gray-200 px-2 py-1 rounded hover:bg-gray-300"
+              >
+                Skip (S)
+              </button>
+            </div>
+          </div>
+        </>
+      ) : (
+        onNextDocument && (
+          <button
+            onClick={onNextDocument}
+            className="bg-blue-600 text-white px-2 py-1 rounded hover:bg-blue-700"
+          >
+            Continue with the next document that has suggestions
+          </button>
+        )
+      )}
+    </div>
+  );
+};
+
+export default SuggestionReview;
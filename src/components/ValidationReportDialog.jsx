@@ -0,0 +1,183 @@
+import React, { useMemo } from 'react';
+import { validateDocuments, getRepairChange, getRepairChanges, ISSUE_KINDS } from '../utils/validationUtils';
+import { getEntityColor } from '../utils/colorUtils';
+
+/**
+ * Dialog listing annotations whose offsets don't fit the document text, with repairs:
+ * move the annotation to the nearest occurrence of its text, keep the offsets and
+ * take the text from the document, or delete it. Normalized IDs that break the ID
+ * format rule of their type are listed too, and can be cleared.
+ */
+const ValidationReportDialog = ({ documents, idRules, isOpen, onApplyChanges, onNavigateToDocument, onClose }) => {
+  const issues = useMemo(
+    () => (isOpen ? validateDocuments(documents, idRules) : []),
+    [isOpen, documents, idRules]
+  );
+
+  // Apply one repair to every issue it fits
+  const applyToAll = (repair, kinds, label) => {
+    const changes = getRepairChanges(issues.filter(issue => kinds.includes(issue.kind)), repair);
+    if (changes.length > 0) {
+      onApplyChanges(changes, `${label} (${changes.length})`);
+    }
+  };
+
+  const countRepairable = (repair, kinds) => {
+    return getRepairChanges(issues.filter(issue => kinds.includes(issue.kind)), repair).length;
+  };
+
+  const relocatableCount = countRepairable('relocate', ['mismatch', 'outOfRange', 'zeroLength']);
+  const mismatchCount = countRepairable('useOffsets', ['mismatch']);
+  const duplicateCount = countRepairable('delete', ['duplicate']);
+
+  return (
+    <dialog
+      id="validation-report-dialog"
+      className="p-0 rounded-lg shadow-xl w-full max-w-5xl"
+      onCancel={onClose}
+    >
+      <div className="bg-gray-100 px-4 py-3 flex justify-between items-center">
+        <h3 className="font-semibold">Validation Report</h3>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="p-4">
+        {issues.length === 0 ? (
+          <p className="text-gray-500 italic mb-4">All annotations match the document text and the ID formats of their types.</p>
+        ) : (
+          <>
+            <div className="flex flex-wrap gap-2 items-center mb-3">
+              <span className="text-sm font-medium mr-2">
+                {issues.length} problem{issues.length === 1 ? '' : 's'} found
+              </span>
+              <button
+                onClick={() => applyToAll('relocate', ['mismatch', 'outOfRange', 'zeroLength'], 'Move annotations to nearby text')}
+                disabled={relocatableCount === 0}
+                className="bg-blue-600 text-white px-2 py-1 rounded text-sm disabled:opacity-50"
+              >
+                Move all to nearby text ({relocatableCount})
+              </button>
+              <button
+                onClick={() => applyToAll('useOffsets', ['mismatch'], 'Take annotation text from offsets')}
+                disabled={mismatchCount === 0}
+                className="bg-blue-600 text-white px-2 py-1 rounded text-sm disabled:opacity-50"
+              >
+                Trust offsets for all mismatches ({mismatchCount})
+              </button>
+              <button
+                onClick={() => applyToAll('delete', ['duplicate'], 'Delete duplicate annotations')}
+                disabled={duplicateCount === 0}
+                className="bg-red-600 text-white px-2 py-1 rounded text-sm disabled:opacity-50"
+              >
+                Delete all duplicates ({duplicateCount})
+              </button>
+            </div>
+
+            <div className="max-h-[60vh] overflow-y-auto border rounded mb-4">
+              <table className="w-full border-collapse text-sm">
+                <thead className="sticky top-0">
+                  <tr className="bg-gray-100">
+                    <th className="border p-1 text-left">Document</th>
+                    <th className="border p-1 text-left">Annotation</th>
+                    <th className="border p-1 text-left">Offsets</th>
+                    <th className="border p-1 text-left">Text at offsets</th>
+                    <th className="border p-1 text-left">Problem</th>
+                    <th className="border p-1 text-left">Repair</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {issues.map((issue) => {
+                    const colorClasses = getEntityColor(issue.annotation.type);
+                    const relocate = getRepairChange(issue, 'relocate');
+                    const useOffsets = getRepairChange(issue, 'useOffsets');
+                    const clearId = getRepairChange(issue, 'clearId');
+
+                    return (
+                      <tr key={`${issue.docIndex}-${issue.annotationIndex}-${issue.kind}`} className="border-b">
+                        <td className="border p-1">
+                          <button
+                            onClick={() => onNavigateToDocument(issue.docId)}
+                            className="text-blue-600 hover:underline"
+                          >
+                            {issue.docId}
+                          </button>
+                        </td>
+                        <td className="border p-1">
+                          <span className={`inline-block px-1 rounded ${colorClasses.bg} ${colorClasses.text}`}>
+                            {issue.annotation.text}
+                          </span>
+                          <span className="text-gray-500"> {issue.annotation.type}</span>
+                        </td>
+                        <td className="border p-1">{String(issue.annotation.start)}–{String(issue.annotation.end)}</td>
+                        <td className="border p-1 font-mono">{issue.actualText ?? '—'}</td>
+                        <td className="border p-1">
+                          {ISSUE_KINDS[issue.kind]}
+                          {issue.idErrors?.map(error => (
+                            <div key={error} className="text-xs text-red-700">{error}</div>
+                          ))}
+                        </td>
+                        <td className="border p-1">
+                          <div className="flex flex-wrap gap-1">
+                            {relocate && (
+                              <button
+                                onClick={() => onApplyChanges([relocate], `Move "${issue.annotation.text}" to ${relocate.annotation.start}`)}
+                                className="bg-blue-600 text-white px-2 py-0.5 rounded"
+                                title="Move the annotation to the nearest occurrence of its text"
+                              >
+                                Move to {relocate.annotation.start}
+                              </button>
+                            )}
+                            {useOffsets && (
+                              <button
+                                onClick={() => onApplyChanges([useOffsets], `Take text of "${issue.annotation.text}" from offsets`)}
+                                className="bg-blue-600 text-white px-2 py-0.5 rounded"
+                                title="Keep the offsets and take the text from the document"
+                              >
+                                Use offsets
+                              </button>
+                            )}
+                            {clearId && (
+                              <button
+                                onClick={() => onApplyChanges([clearId], `Clear normalized ID of "${issue.annotation.text}"`)}
+                                className="bg-blue-600 text-white px-2 py-0.5 rounded"
+                                title="Remove the normalized ID, to be entered again"
+                              >
+                                Clear ID
+                              </button>
+                            )}
+                            <button
+                              onClick={() => onApplyChanges([getRepairChange(issue, 'delete')], `Delete ${issue.annotation.type} "${issue.annotation.text}"`)}
+                              className="bg-red-600 text-white px-2 py-0.5 rounded"
+                            >
+                              Delete
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border rounded"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+};
+
+export default ValidationReportDialog;
@@ -0,0 +1,167 @@
+import React, { useMemo, useState } from 'react';
+import { VOCABULARY_FORMATS, createVocabulary, parseVocabulary, resolveNormalizedIds } from '../utils/vocabularyUtils';
+import { getEntityColor } from '../utils/colorUtils';
+
+/**
+ * Dialog for loading a local vocabulary (MeSH, NCBI Gene, NCBI Taxonomy, Cellosaurus, OBO or a plain
+ * ID/name/synonyms table) for each entity type. Normalized IDs of that type are then looked up in it.
+ */
+const VocabularyDialog = ({ documents, knownEntityTypes, vocabularies, isOpen, onChange, onClose }) => {
+  const [loadingType, setLoadingType] = useState(null);
+
+  // Annotations whose IDs aren't in the vocabulary of their type
+  const unknownCounts = useMemo(() => {
+    const counts = {};
+    if (!isOpen) return counts;
+    for (const doc of documents) {
+      for (const anno of doc.annotations) {
+        const vocabulary = vocabularies[anno.type];
+        if (vocabulary && resolveNormalizedIds(vocabulary, anno.normalizedId).some(({ concept }) => !concept)) {
+          counts[anno.type] = (counts[anno.type] || 0) + 1;
+        }
+      }
+    }
+    return counts;
+  }, [isOpen, documents, vocabularies]);
+
+  const handleFileChange = async (type, e) => {
+    const [file] = e.target.files;
+    if (!file) return;
+
+    setLoadingType(type);
+    try {
+      const content = await file.text();
+      const { concepts, format } = parseVocabulary(content, file.name);
+      if (concepts.length === 0) {
+        alert(`No concepts found in "${file.name}"`);
+        return;
+      }
+      onChange(type, createVocabulary(concepts, { name: file.name, format, idPrefix: VOCABULARY_FORMATS[format].idPrefix }));
+    } catch (err) {
+      console.error('Error reading vocabulary:', err);
+      alert(`Could not load "${file.name}": ${err.message}`);
+    } finally {
+      setLoadingType(null);
+      e.target.value = '';
+    }
+  };
+
+  return (
+    <dialog
+      id="vocabulary-dialog"
+      className="p-0 rounded-lg shadow-xl w-full max-w-3xl"
+      onCancel={onClose}
+    >
+      <div className="bg-gray-100 px-4 py-3 flex justify-between items-center">
+        <h3 className="font-semibold">ID Vocabularies</h3>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="p-4 text-sm">
+        <p className="text-gray-600 mb-3">
+          Load a vocabulary for an entity type to search its IDs by name and synonym and to check the IDs
+          already entered. Supported are MeSH ASCII files, NCBI gene_info, NCBI Taxonomy names.dmp,
+          cellosaurus.txt, OBO ontologies and TSV or CSV files of ID, name and synonyms separated by "|".
+          The ID prefix is put before the vocabulary's IDs, e.g. "MESH:" for PubTator's MeSH IDs.
+        </p>
+
+        {knownEntityTypes.length > 0 ? (
+          <table className="w-full border-collapse">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="border p-2 text-left">Type</th>
+                <th className="border p-2 text-left">Vocabulary</th>
+                <th className="border p-2 text-left">ID prefix</th>
+                <th className="border p-2 text-left">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...knownEntityTypes].sort().map((type, typeIndex) => {
+                const vocabulary = vocabularies[type];
+                const colorClasses = getEntityColor(type);
+                return (
+                  <tr key={type}>
+                    <td className="border p-2">
+                      <span className={`inline-block px-2 py-1 rounded ${colorClasses.bg} ${colorClasses.text}`}>{type}</span>
+                    </td>
+                    <td className="border p-2">
+                      {loadingType === type ? (
+                        <span className="text-gray-500 italic">Loading...</span>
+                      ) : vocabulary ? (
+                        <>
+                          <div>{vocabulary.name}</div>
+                          <div className="text-xs text-gray-500">
+                            {VOCABULARY_FORMATS[vocabulary.format].label}, {vocabulary.conceptsById.size} concepts
+                          </div>
+                          {unknownCounts[type] > 0 && (
+                            <div className="text-xs text-amber-700">
+                              ⚠ {unknownCounts[type]} annotation{unknownCounts[type] === 1 ? ' has' : 's have'} IDs not in this vocabulary
+                            </div>
+                          )}
+                        </>
+                      ) : (
+                        <span className="text-gray-500">-</span>
+                      )}
+                    </td>
+                    <td className="border p-2">
+                      {vocabulary && (
+                        <input
+                          type="text"
+                          value={vocabulary.idPrefix}
+                          onChange={(e) => onChange(type, { ...vocabulary, idPrefix: e.target.value })}
+                          className="border rounded px-2 py-1 w-24 font-mono"
+                        />
+                      )}
+                    </td>
+                    <td className="border p-2">
+                      <div className="flex gap-1">
+                        <input
+                          type="file"
+                          onChange={(e) => handleFileChange(type, e)}
+                          className="hidden"
+                          id={`vocabulary-upload-${typeIndex}`}
+                        />
+                        <label
+                          htmlFor={`vocabulary-upload-${typeIndex}`}
+                          className="bg-blue-600 text-white px-2 py-1 rounded cursor-pointer hover:bg-blue-700"
+                        >
+                          {vocabulary ? 'Replace' : 'Load'}
+                        </label>
+                        {vocabulary && (
+                          <button
+                            onClick={() => onChange(type, null)}
+                            className="bg-gray-200 px-2 py-1 rounded hover:bg-gray-300"
+                          >
+                            Remove
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        ) : (
+          <p className="text-gray-500 italic">Load documents or add an entity type first.</p>
+        )}
+
+        <div className="flex justify-end mt-4">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border rounded"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+};
+
+export default VocabularyDialog;
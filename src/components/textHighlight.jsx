@@ -1,18 +1,16 @@
 import React from 'react';
 import { getEntityColor, getPotentialMatchStyle, getRegexMatchStyle } from '../utils/colorUtils';
+import { buildPassageText, getAnnotationFragments } from '../utils/documentUtils';
+import { escapeRegExp, isSuggestibleText } from '../utils/searchUtils';
+import { describeNormalizedIds } from '../utils/vocabularyUtils';
 
 /**
- * Get combined text from title and abstract
- * @param {Object} document - The document with title and abstract
+ * Get combined text of all passages, laid out at their global offsets
+ * @param {Object} document - The document with its passages
  * @returns {string} Combined text
  */
 export const getCombinedText = (document) => {
-    return document.title + (document.abstract ? " " + document.abstract : "");
-};
-
-// Helper function to escape special regex characters
-const escapeRegExp = (string) => {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return buildPassageText(document.passages);
 };
 
 // Helper function to check if two ranges overlap
@@ -21,35 +19,38 @@ const rangesOverlap = (start1, end1, start2, end2) => {
 };
 
 /**
- * Create positions from annotation data
+ * Create positions from annotation data, one per fragment of discontinuous annotations
  * @param {Array} annotations - Array of annotation objects
  * @returns {Array} Positions for annotations
  */
 const createAnnotationPositions = (annotations) => {
-    return annotations.map(anno => ({
-        start: anno.start,
-        end: anno.end,
+    return annotations.flatMap((anno, index) => getAnnotationFragments(anno).map(fragment => ({
+        start: fragment.start,
+        end: fragment.end,
         type: 'annotation',
-        entityType: anno.type
-    }));
+        entityType: anno.type,
+        annotationIndex: index
+    })));
 };
 
 /**
  * Create positions for potential matches
  * @param {string} text - Text to search in
- * @param {Map} uniqueTexts - Map of unique annotated texts to their types
+ * @param {Map} uniqueTexts - Map of unique annotated texts to the type and normalized ID to suggest
  * @param {Array} existingPositions - Existing positions to check for overlap
+ * @param {Array} rejectedMatches - Matches the user rejected, as { start, end }
  * @returns {Array} Potential match positions
  */
-const createPotentialMatches = (text, uniqueTexts, existingPositions) => {
+const createPotentialMatches = (text, uniqueTexts, existingPositions, rejectedMatches = []) => {
     const potentialPositions = [];
+    const rejected = new Set(rejectedMatches.map(match => `${match.start}-${match.end}`));
 
     // Convert Map entries to array and sort by text length (descending)
     // This ensures that longer matches are processed first
     const sortedEntries = [...uniqueTexts.entries()]
         .sort((a, b) => b[0].length - a[0].length);
 
-    for (const [annoText, entityType] of sortedEntries) {
+    for (const [annoText, { type: entityType, normalizedId }] of sortedEntries) {
         const pattern = new RegExp(escapeRegExp(annoText), 'gi');
         let match;
 
@@ -62,12 +63,13 @@ const createPotentialMatches = (text, uniqueTexts, existingPositions) => {
                 rangesOverlap(matchStart, matchEnd, pos.start, pos.end)
             );
 
-            if (!overlapsExisting) {
+            if (!overlapsExisting && !rejected.has(`${matchStart}-${matchEnd}`)) {
                 potentialPositions.push({
                     start: matchStart,
                     end: matchEnd,
                     type: 'potential',
-                    entityType
+                    entityType,
+                    normalizedId
                 });
             }
         }
@@ -76,21 +78,47 @@ const createPotentialMatches = (text, uniqueTexts, existingPositions) => {
     return potentialPositions;
 };
 
+/**
+ * Add suggestions from elsewhere, e.g. a dictionary, where they don't collide with annotations,
+ * other suggestions or rejected matches
+ * @param {Array} extraSuggestions - Suggestions as { start, end, type, normalizedId, source }
+ * @param {Array} existingPositions - Annotation and potential match positions, which take precedence
+ * @param {Array} rejectedMatches - Matches the user rejected, as { start, end }
+ * @returns {Array} Positions for the suggestions that fit
+ */
+const createExtraSuggestionPositions = (extraSuggestions, existingPositions, rejectedMatches = []) => {
+    const rejected = new Set(rejectedMatches.map(match => `${match.start}-${match.end}`));
+    const positions = [];
+
+    for (const suggestion of extraSuggestions) {
+        const collides = rejected.has(`${suggestion.start}-${suggestion.end}`) ||
+            [...existingPositions, ...positions].some(pos => rangesOverlap(suggestion.start, suggestion.end, pos.start, pos.end));
+        if (!collides) {
+            positions.push({
+                start: suggestion.start,
+                end: suggestion.end,
+                type: 'potential',
+                entityType: suggestion.type,
+                normalizedId: suggestion.normalizedId,
+                source: suggestion.source
+            });
+        }
+    }
+
+    return positions;
+};
+
 /**
  * Create a map of unique annotated texts
  * @param {Array} annotations - Annotations array
- * @returns {Map} Map of lowercase text to entity type
+ * @returns {Map} Map of lowercase text to { type, normalizedId }
  */
 const createUniqueTextMap = (annotations) => {
     const uniqueTexts = new Map();
 
     for (const anno of annotations) {
-        // For very short texts (length < 2), only include if they contain a number
-        const hasNumber = anno.text.length < 2 ? /\d/.test(anno.text) : true;
-
-        // Only consider annotations with reasonable length and short ones with numbers
-        if (hasNumber && anno.text.length >= 1 && anno.text.length <= 50) {
-            uniqueTexts.set(anno.text.toLowerCase(), anno.type);
+        if (isSuggestibleText(anno.text)) {
+            uniqueTexts.set(anno.text.toLowerCase(), { type: anno.type, normalizedId: anno.normalizedId || null });
         }
     }
 
@@ -138,151 +166,344 @@ const createRegexMatches = (text, regexPattern, existingPositions) => {
 };
 
 /**
- * Create text segments from positions
+ * Give every annotation a layer so that overlapping annotations never share one.
+ * Outer (longer) annotations get the lower layers; the layer decides how far below
+ * the text an annotation's underline is drawn where other annotations cover it.
+ * @param {Array} annotations - Array of annotation objects
+ * @returns {Array} Layer of each annotation, by annotation index
+ */
+const assignLayers = (annotations) => {
+    const layers = new Array(annotations.length).fill(0);
+    const order = annotations
+        .map((_, index) => index)
+        .sort((a, b) => annotations[a].start - annotations[b].start ||
+            annotations[b].end - annotations[a].end);
+    let active = [];
+
+    for (const index of order) {
+        const { start } = annotations[index];
+        active = active.filter(other => annotations[other].end > start);
+        const usedLayers = new Set(active.map(other => layers[other]));
+        let layer = 0;
+        while (usedLayers.has(layer)) layer++;
+        layers[index] = layer;
+        active.push(index);
+    }
+
+    return layers;
+};
+
+/**
+ * Create text segments, splitting the text at every annotation and match boundary so that
+ * each segment is covered by the same annotations from start to end
  * @param {string} text - Source text
- * @param {Array} positions - Sorted positions array
- * @returns {Array} Text segments
+ * @param {Array} annotationPositions - Annotation (fragment) positions, which may overlap or nest
+ * @param {Array} positions - Potential and regex match positions (never overlap annotations or each other)
+ * @returns {Array} Text segments; annotated segments list the covering annotation indices, innermost first
  */
-const createTextSegments = (text, positions) => {
+const createTextSegments = (text, annotationPositions, positions) => {
+    const clamp = (value) => (Number.isFinite(value) ? Math.max(0, Math.min(text.length, value)) : 0);
+    const boundaries = new Set([0, text.length]);
+    for (const { start, end } of [...annotationPositions, ...positions]) {
+        boundaries.add(clamp(start));
+        boundaries.add(clamp(end));
+    }
+    const points = [...boundaries].sort((a, b) => a - b);
+
+    // Sweep over the boundaries, keeping track of the annotation fragments covering the current segment
+    const ranges = annotationPositions
+        .filter(range => range.end > range.start)
+        .sort((a, b) => a.start - b.start);
+    const sortedPositions = [...positions].sort((a, b) => a.start - b.start);
+    let nextRange = 0;
+    let nextPosition = 0;
+    let active = [];
     const segments = [];
-    let lastEnd = 0;
-
-    for (const pos of positions) {
-        // Add regular text before this position if needed
-        if (pos.start > lastEnd) {
-            segments.push({
-                text: text.substring(lastEnd, pos.start),
-                highlighted: false
-            });
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const start = points[i];
+        const end = points[i + 1];
+
+        while (nextRange < ranges.length && ranges[nextRange].start <= start) {
+            active.push(ranges[nextRange++]);
+        }
+        active = active.filter(range => range.end > start);
+        while (nextPosition < sortedPositions.length && sortedPositions[nextPosition].end <= start) {
+            nextPosition++;
         }
 
-        // Add the highlighted segment
-        segments.push({
-            text: text.substring(pos.start, pos.end),
-            highlighted: pos.type === 'annotation' ? true : pos.type, // Maintain compatibility with existing code
-            type: pos.entityType,
-            start: pos.start,
-            end: pos.end
-        });
+        const segment = { text: text.substring(start, end), start, end, highlighted: false };
+        const match = sortedPositions[nextPosition];
 
-        lastEnd = pos.end;
-    }
+        if (active.length > 0) {
+            // Innermost (shortest) annotation first; it provides the highlight color
+            const covering = [...active].sort((a, b) =>
+                (a.end - a.start) - (b.end - b.start) || b.start - a.start
+            );
+            segment.highlighted = true;
+            segment.type = covering[0].entityType;
+            segment.annotationIndices = [...new Set(covering.map(range => range.annotationIndex))];
+        } else if (match && match.start <= start && match.end >= end) {
+            segment.highlighted = match.type;
+            segment.type = match.entityType;
+            segment.normalizedId = match.normalizedId;
+            segment.source = match.source;
+        }
 
-    // Add any remaining text
-    if (lastEnd < text.length) {
-        segments.push({
-            text: text.substring(lastEnd),
-            highlighted: false
-        });
+        segments.push(segment);
     }
 
     return segments;
 };
 
+/**
+ * Find the suggestions for a document: unannotated occurrences of strings that are annotated
+ * elsewhere in it, plus any extra suggestions (e.g. dictionary matches) that don't collide with them
+ * @param {string} combinedText - Combined document text
+ * @param {Array} annotations - Array of annotation objects
+ * @param {Array} rejectedMatches - Matches not to suggest again, as { start, end }
+ * @param {Array} extraSuggestions - Further suggestions as { start, end, type, normalizedId, source }
+ * @returns {Object} annotationPositions and suggestion positions
+ */
+const createSuggestionPositions = (combinedText, annotations, rejectedMatches = [], extraSuggestions = []) => {
+    const annotationPositions = createAnnotationPositions(annotations);
+    const potentialPositions = createPotentialMatches(combinedText, createUniqueTextMap(annotations), annotationPositions, rejectedMatches);
+    const extraPositions = createExtraSuggestionPositions(
+        extraSuggestions,
+        [...annotationPositions, ...potentialPositions],
+        rejectedMatches
+    );
+    return { annotationPositions, suggestionPositions: [...potentialPositions, ...extraPositions] };
+};
+
+/**
+ * Find the unannotated occurrences of strings that are annotated elsewhere in a document,
+ * together with any extra suggestions such as dictionary matches
+ * @param {Object} document - Document with passages, annotations and optional rejectedMatches
+ * @param {Array} extraSuggestions - Further suggestions as { start, end, type, normalizedId, source }
+ * @returns {Array} Matches as { start, end, text, type, normalizedId, source }, in text order
+ */
+export const findPotentialMatches = (document, extraSuggestions = []) => {
+    const combinedText = getCombinedText(document);
+    const { suggestionPositions } = createSuggestionPositions(combinedText, document.annotations, document.rejectedMatches, extraSuggestions);
+
+    return suggestionPositions
+        .sort((a, b) => a.start - b.start)
+        .map(pos => ({
+            start: pos.start,
+            end: pos.end,
+            text: combinedText.substring(pos.start, pos.end),
+            type: pos.entityType,
+            normalizedId: pos.normalizedId,
+            source: pos.source || 'document'
+        }));
+};
+
 /**
  * Process document text and create segments with all types of highlights in a single pass
  * @param {string} combinedText - Combined document text
  * @param {Array} annotations - Array of annotation objects
  * @param {string} regexPattern - Optional regex pattern to highlight
+ * @param {Array} rejectedMatches - Potential matches not to suggest again, as { start, end }
+ * @param {Array} extraSuggestions - Further suggestions, e.g. dictionary matches
  * @returns {Array} Processed segments
  */
-export const processTextSegments = (combinedText, annotations, regexPattern = '') => {
+export const processTextSegments = (combinedText, annotations, regexPattern = '', rejectedMatches = [], extraSuggestions = []) => {
     if (!combinedText) return [];
 
-    // Step 1: Process annotations
-    const annotationPositions = createAnnotationPositions(annotations);
-
-    // Step 2: Create a map of unique annotated texts
-    const uniqueAnnotatedTexts = createUniqueTextMap(annotations);
+    // Step 1: Process annotations and find the suggestions around them
+    const { annotationPositions, suggestionPositions } = createSuggestionPositions(combinedText, annotations, rejectedMatches, extraSuggestions);
 
-    // Step 3: Find potential matches in text
-    const potentialPositions = createPotentialMatches(combinedText, uniqueAnnotatedTexts, annotationPositions);
-
-    // Step 4: Add regex matches if pattern provided
-    const allPositions = [...annotationPositions, ...potentialPositions];
+    // Step 2: Add regex matches if pattern provided
+    const allPositions = [...annotationPositions, ...suggestionPositions];
     const regexPositions = createRegexMatches(combinedText, regexPattern, allPositions);
 
-    // Combine all positions and sort by start index
-    const positions = [...annotationPositions, ...potentialPositions, ...regexPositions];
-    positions.sort((a, b) => a.start - b.start);
-
-    // Step 5: Create segments based on positions
-    const segments = createTextSegments(combinedText, positions);
-
-    // Step 6: Update segments with exact annotation positions
-    return updateSegmentsWithPositions(segments, annotations, combinedText);
+    // Step 3: Create segments based on annotations and matches
+    return createTextSegments(combinedText, annotationPositions, [...suggestionPositions, ...regexPositions]);
 };
 
 /**
- * Render highlighted document text with annotations and regex matches
+ * Render highlighted document text with annotations and regex matches.
+ * Overlapping and nested annotations are split into pieces: each piece is highlighted in the color
+ * of its innermost annotation and underlined once for every annotation around it.
  * @param {Object} document - Document object with text and annotations
  * @param {string} regexPattern - Optional regex pattern to highlight
  * @param {Function} onAnnotationClick - Click handler for annotations
  * @param {Function} onAnnotationDelete - Right-click handler for annotations
+ * @param {Object} selectedAnnotation - Optional annotation to outline, e.g. the source of a relation being drawn
+ * @param {Function} onOverlapClick - Optional click handler for pieces covered by several annotations,
+ *   called with the covering annotations (innermost first) and the click event
+ * @param {Function} onPotentialMatchClick - Optional click handler for potential matches,
+ *   called with { start, end, text, type, normalizedId, source }
+ * @param {Array} extraSuggestions - Optional further suggestions shown like potential matches, e.g. dictionary matches
+ * @param {Object} vocabularies - Optional vocabularies by entity type, to name normalized IDs in tooltips
+ * @param {Map} annotationClasses - Optional extra classes by annotation, e.g. to mark disagreements between two versions
  * @returns {JSX.Element} Rendered JSX element with highlighted text
  */
-export const renderHighlightedText = (document, regexPattern = '', onAnnotationClick = null, onAnnotationDelete = null) => {
+export const renderHighlightedText = (document, regexPattern = '', onAnnotationClick = null, onAnnotationDelete = null, selectedAnnotation = null, onOverlapClick = null, onPotentialMatchClick = null, extraSuggestions = [], vocabularies = {}, annotationClasses = null) => {
     const combinedText = getCombinedText(document);
     if (!combinedText) return <p>No content available</p>;
 
-    const finalSegments = processTextSegments(combinedText, document.annotations, regexPattern);
+    const finalSegments = processTextSegments(combinedText, document.annotations, regexPattern, document.rejectedMatches, extraSuggestions);
+    const layers = assignLayers(document.annotations);
+
+    const describeIds = (type, normalizedId) => {
+        const description = describeNormalizedIds(vocabularies[type], normalizedId);
+        return description ? ` (${description})` : '';
+    };
+
+    const describeAnnotation = (annotation) => {
+        return `${annotation.type}${describeIds(annotation.type, annotation.normalizedId)}${annotation.comment ? `\n${annotation.comment}` : ''}`;
+    };
+
+    const renderAnnotationSegment = (segment, i) => {
+        const covering = segment.annotationIndices.map(index => document.annotations[index]);
+        const [annotation, ...outerAnnotations] = covering;
+        const colorClasses = getEntityColor(annotation.type);
+
+        // Only close the border at the real ends of the innermost annotation (or of its fragment)
+        const fragments = getAnnotationFragments(annotation);
+        const fragment = fragments.find(f => f.start <= segment.start && f.end >= segment.end) || annotation;
+        const edgeClasses = [
+            segment.start === fragment.start ? 'border-l rounded-l pl-[2px]' : '',
+            segment.end === fragment.end ? 'border-r rounded-r pr-[2px]' : '',
+            fragments.length > 1 ? 'border-dashed' : ''
+        ].join(' ');
+
+        let element = (
+            <mark
+                className={`border-y ${edgeClasses} ${colorClasses.highlight} ${onAnnotationClick ? 'cursor-pointer hover:brightness-90' : ''} ${selectedAnnotation && covering.includes(selectedAnnotation) ? 'ring-2 ring-blue-500' : ''} ${annotationClasses?.get(annotation) || ''}`}
+                title={covering.map(describeAnnotation).join('\n')}
+                onClick={(e) => {
+                    if (covering.length > 1 && onOverlapClick) {
+                        onOverlapClick(covering, e);
+                    } else if (onAnnotationClick) {
+                        onAnnotationClick(annotation);
+                    }
+                }}
+                onContextMenu={(e) => {
+                    if (onAnnotationDelete) {
+                        e.preventDefault(); // Prevent default browser context menu
+                        onAnnotationDelete(annotation);
+                    }
+                }}
+                data-annotation-index={segment.annotationIndices[0]}
+                data-annotation-indices={segment.annotationIndices.join(' ')}
+                data-start={segment.start}
+                data-end={segment.end}
+            >
+                {segment.text}
+            </mark>
+        );
+
+        // Wrap the piece in one underline per surrounding annotation, deeper layers further down
+        for (const outer of outerAnnotations) {
+            const layer = layers[document.annotations.indexOf(outer)];
+            element = (
+                <span
+                    className={`underline decoration-2 ${getEntityColor(outer.type).decoration}`}
+                    style={{ textUnderlineOffset: `${5 + layer * 3}px` }}
+                >
+                    {element}
+                </span>
+            );
+        }
+
+        return <React.Fragment key={i}>{element}</React.Fragment>;
+    };
+
+    const renderSegment = (segment, i) => {
+        if (segment.highlighted === true) {
+            return renderAnnotationSegment(segment, i);
+        } else if (segment.highlighted === 'potential') {
+            const potentialStyle = getPotentialMatchStyle(segment.source);
+            // The selected annotation may also be a potential match under review
+            const isSelected = selectedAnnotation && selectedAnnotation.start === segment.start && selectedAnnotation.end === segment.end;
+            const origin = segment.source === 'dictionary' ? 'Dictionary match' : 'Potential';
+            return (
+                <span
+                    key={i}
+                    className={`${potentialStyle.text} ${potentialStyle.style} ${onPotentialMatchClick ? 'cursor-pointer hover:underline' : ''} ${isSelected ? 'ring-2 ring-blue-500' : ''}`}
+                    title={`${origin} ${segment.type}${describeIds(segment.type, segment.normalizedId)}${onPotentialMatchClick ? ' - click to accept' : ''}`}
+                    onClick={() => onPotentialMatchClick && onPotentialMatchClick({
+                        start: segment.start,
+                        end: segment.end,
+                        text: segment.text,
+                        type: segment.type,
+                        normalizedId: segment.normalizedId,
+                        source: segment.source || 'document'
+                    })}
+                    data-potential-start={segment.start}
+                >
+                    {segment.text}
+                </span>
+            );
+        } else if (segment.highlighted === 'regex') {
+            const regexStyle = getRegexMatchStyle();
+            return (
+                <span
+                    key={i}
+                    className={`${regexStyle.text} ${regexStyle.style}`}
+                    title="Regex match"
+                >
+                    {segment.text}
+                </span>
+            );
+        }
+        return <span key={i}>{segment.text}</span>;
+    };
 
+    // Each passage is its own block; data-passage-offset lets getTextSelectionInfo map selections back to global offsets
     return (
-        <p className="whitespace-pre-wrap">
-            {finalSegments.map((segment, i) => {
-                if (segment.highlighted === true) {
-                    const colorClasses = getEntityColor(segment.type);
-                    // Find the matching annotation for this segment
-                    const annotation = document.annotations.find(
-                        anno => anno.start === segment.start && anno.end === segment.end
-                    );
-
-                    return (
-                        <mark
-                            key={i}
-                            className={`border rounded px-[2px] ${colorClasses.highlight} ${onAnnotationClick ? 'cursor-pointer hover:brightness-90' : ''}`}
-                            title={`${segment.type}${annotation?.normalizedId ? ` (${annotation.normalizedId})` : ''}`}
-                            onClick={() => onAnnotationClick && annotation && onAnnotationClick(annotation)}
-                            onContextMenu={(e) => {
-                                if (onAnnotationDelete && annotation) {
-                                    e.preventDefault(); // Prevent default browser context menu
-                                    onAnnotationDelete(annotation);
-                                }
-                            }}
-                            data-annotation-index={annotation ? document.annotations.indexOf(annotation) : null}
-                        >
-                            {segment.text}
-                        </mark>
-                    );
-                } else if (segment.highlighted === 'potential') {
-                    const potentialStyle = getPotentialMatchStyle();
-                    return (
-                        <span
-                            key={i}
-                            className={`${potentialStyle.text} ${potentialStyle.style}`}
-                            title={`Potential ${segment.type}`}
-                        >
-                            {segment.text}
-                        </span>
-                    );
-                } else if (segment.highlighted === 'regex') {
-                    const regexStyle = getRegexMatchStyle();
-                    return (
-                        <span
-                            key={i}
-                            className={`${regexStyle.text} ${regexStyle.style}`}
-                            title="Regex match"
-                        >
-                            {segment.text}
-                        </span>
-                    );
-                }
-                return <span key={i}>{segment.text}</span>;
-            })}
-        </p>
+        <div className="space-y-3">
+            {document.passages.map((passage, passageIndex) => (
+                <section key={passageIndex}>
+                    {document.passages.length > 1 && (
+                        <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1 select-none">
+                            {passage.label}
+                        </h3>
+                    )}
+                    <p className="whitespace-pre-wrap" data-passage-offset={passage.offset}>
+                        {splitSegmentsByPassage(finalSegments, passage).map(renderSegment)}
+                    </p>
+                </section>
+            ))}
+        </div>
     );
 };
 
+/**
+ * Cut the segments of the combined text down to the ones inside a passage
+ * @param {Array} segments - Segments covering the combined text
+ * @param {Object} passage - Passage with offset and text
+ * @returns {Array} Segments (clipped at the passage boundaries) belonging to the passage
+ */
+const splitSegmentsByPassage = (segments, passage) => {
+    const passageStart = passage.offset;
+    const passageEnd = passage.offset + passage.text.length;
+    const result = [];
+    let position = 0;
+
+    for (const segment of segments) {
+        const segmentStart = position;
+        const segmentEnd = position + segment.text.length;
+        position = segmentEnd;
+
+        if (segmentEnd <= passageStart || segmentStart >= passageEnd) continue;
+
+        const clipStart = Math.max(segmentStart, passageStart);
+        const clipEnd = Math.min(segmentEnd, passageEnd);
+        result.push({
+            ...segment,
+            text: segment.text.substring(clipStart - segmentStart, clipEnd - segmentStart),
+            start: clipStart,
+            end: clipEnd
+        });
+    }
+
+    return result;
+};
+
 /**
  * Calculate the exact text selection position in the document
  * @param {Object} selection - Window selection object
@@ -294,16 +515,26 @@ export const getTextSelectionInfo = (selection, containerRef) => {
         return null;
     }
 
-    const text = selection.toString().trim();
+    const rawText = selection.toString();
+    const text = rawText.trim();
     if (!text) return null;
 
     const selectionRange = selection.getRangeAt(0);
     const preSelectionRange = document.createRange();
 
-    preSelectionRange.setStartBefore(containerRef);
+    // Measure from the start of the passage the selection begins in, then add the passage's global offset
+    const startNode = selectionRange.startContainer;
+    const startElement = startNode.nodeType === Node.ELEMENT_NODE ? startNode : startNode.parentElement;
+    const closestPassage = startElement?.closest('[data-passage-offset]');
+    const passageElement = closestPassage && containerRef.contains(closestPassage) ? closestPassage : null;
+    const passageOffset = passageElement ? parseInt(passageElement.dataset.passageOffset) : 0;
+
+    preSelectionRange.setStartBefore(passageElement || containerRef);
     preSelectionRange.setEnd(selectionRange.startContainer, selectionRange.startOffset);
 
-    const selectionStart = preSelectionRange.toString().length;
+    // Skip whitespace that was selected before the text itself
+    const leadingWhitespace = rawText.length - rawText.trimStart().length;
+    const selectionStart = passageOffset + preSelectionRange.toString().length + leadingWhitespace;
 
     return {
         start: selectionStart,
@@ -313,31 +544,47 @@ export const getTextSelectionInfo = (selection, containerRef) => {
 };
 
 /**
- * Update segments with start and end positions from annotations
+ * Select a range of the rendered document text and scroll it into view
+ * @param {HTMLElement} containerRef - Container the document was rendered into
+ * @param {number} start - Global start offset
+ * @param {number} end - Global end offset
+ * @returns {boolean} True if the range was found
  */
-const updateSegmentsWithPositions = (segments, annotations, combinedText) => {
-    let currentPosition = 0;
+export const revealTextRange = (containerRef, start, end) => {
+    if (!containerRef) return false;
 
-    return segments.map(segment => {
-        const newSegment = { ...segment };
-        newSegment.start = currentPosition;
-        newSegment.end = currentPosition + segment.text.length;
-
-        // For annotation segments, try to match with the original annotation
-        if (segment.highlighted === true) {
-            const matchingAnnotation = annotations.find(
-                anno =>
-                    combinedText.substring(anno.start, anno.end) === segment.text &&
-                    Math.abs(anno.start - currentPosition) < 5 // Allow small position differences
-            );
-
-            if (matchingAnnotation) {
-                newSegment.start = matchingAnnotation.start;
-                newSegment.end = matchingAnnotation.end;
-            }
+    // The passage containing the start, found through the offsets getTextSelectionInfo also relies on
+    const passageElement = [...containerRef.querySelectorAll('[data-passage-offset]')].find(element => {
+        const offset = parseInt(element.dataset.passageOffset);
+        return offset <= start && start < offset + element.textContent.length;
+    });
+    if (!passageElement) return false;
+
+    // Walk the text nodes to turn passage offsets into DOM positions
+    const passageOffset = parseInt(passageElement.dataset.passageOffset);
+    const walker = document.createTreeWalker(passageElement, NodeFilter.SHOW_TEXT);
+    const range = document.createRange();
+    let position = passageOffset;
+    let foundStart = false;
+    let node;
+
+    while ((node = walker.nextNode())) {
+        const nodeEnd = position + node.textContent.length;
+        if (!foundStart && start < nodeEnd) {
+            range.setStart(node, start - position);
+            foundStart = true;
+        }
+        if (foundStart && end <= nodeEnd) {
+            range.setEnd(node, end - position);
+            break;
         }
+        position = nodeEnd;
+    }
+    if (!foundStart) return false;
 
-        currentPosition += segment.text.length;
-        return newSegment;
-    });
-};
\ No newline at end of file
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    range.startContainer.parentElement?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    return true;
+};
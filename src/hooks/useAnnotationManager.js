@@ -1,53 +1,237 @@
-import { useState } from 'react';
+import { useReducer, useState } from 'react';
+import { REVIEW_STATUSES, getReviewStatus } from '../utils/reviewUtils';
+
+// Maximum number of edits kept in the undo history
+const HISTORY_LIMIT = 200;
+
+// Show the document an undone or redone edit was made in
+const editedDocIndex = (docIndex, docs, currentDocIndex) => {
+  return docIndex !== null && docIndex < docs.length ? docIndex : currentDocIndex;
+};
+
+/**
+ * Reducer for the documents, the current document and the undo history. Keeping them in one state
+ * means every history entry is built from the documents as they are when the action is applied,
+ * even when several edits happen in one event.
+ * Undo history: past holds the documents before each edit (most recent last),
+ * future holds the documents after each undone edit (next redo first).
+ * @param {Object} state - { documents, currentDocIndex, past, future }
+ * @param {Object} action - Action with its type and payload
+ * @returns {Object} Updated state
+ */
+const documentsReducer = (state, action) => {
+  switch (action.type) {
+    case 'load':
+      return { documents: action.documents, currentDocIndex: 0, past: [], future: [] };
+
+    case 'replace':
+      return { ...state, documents: action.documents };
+
+    case 'navigate':
+      return { ...state, currentDocIndex: action.docIndex };
+
+    case 'commit': {
+      // Documents are never changed in place, so older states stay intact in the history
+      const updatedDocs = typeof action.update === 'function' ? action.update(state.documents) : action.update;
+      const docIndex = action.docIndex === undefined ? state.currentDocIndex : action.docIndex;
+      return {
+        ...state,
+        documents: updatedDocs,
+        past: [...state.past, { label: action.label, docIndex, documents: state.documents }].slice(-HISTORY_LIMIT),
+        future: []
+      };
+    }
+
+    case 'undo': {
+      const count = Math.min(action.steps, state.past.length);
+      if (count <= 0) return state;
+
+      const undone = state.past.slice(-count);
+      const redoEntries = undone.map((entry, i) => ({
+        label: entry.label,
+        docIndex: entry.docIndex,
+        documents: i + 1 < undone.length ? undone[i + 1].documents : state.documents
+      }));
+
+      return {
+        documents: undone[0].documents,
+        currentDocIndex: editedDocIndex(undone[0].docIndex, undone[0].documents, state.currentDocIndex),
+        past: state.past.slice(0, -count),
+        future: [...redoEntries, ...state.future]
+      };
+    }
+
+    case 'redo': {
+      const count = Math.min(action.steps, state.future.length);
+      if (count <= 0) return state;
+
+      const redone = state.future.slice(0, count);
+      const pastEntries = redone.map((entry, i) => ({
+        label: entry.label,
+        docIndex: entry.docIndex,
+        documents: i === 0 ? state.documents : redone[i - 1].documents
+      }));
+      const last = redone[count - 1];
+
+      return {
+        documents: last.documents,
+        currentDocIndex: editedDocIndex(last.docIndex, last.documents, state.currentDocIndex),
+        past: [...state.past, ...pastEntries].slice(-HISTORY_LIMIT),
+        future: state.future.slice(count)
+      };
+    }
+
+    default:
+      return state;
+  }
+};
 
 /**
  * Custom hook for managing annotations in documents
  * @param {Array} initialDocuments - Initial array of documents
  * @param {Array} initialEntityTypes - Initial array of entity types
+ * @param {Array} initialRelationTypes - Initial array of relation types
  * @returns {Object} Annotation management functions and state
  */
-export const useAnnotationManager = (initialDocuments = [], initialEntityTypes = []) => {
-  const [documents, setDocuments] = useState(initialDocuments);
-  const [currentDocIndex, setCurrentDocIndex] = useState(0);
+export const useAnnotationManager = (initialDocuments = [], initialEntityTypes = [], initialRelationTypes = []) => {
+  const [{ documents, currentDocIndex, past, future }, dispatch] = useReducer(
+    documentsReducer,
+    { documents: initialDocuments, currentDocIndex: 0, past: [], future: [] }
+  );
   const [knownEntityTypes, setKnownEntityTypes] = useState(initialEntityTypes);
+  const [knownRelationTypes, setKnownRelationTypes] = useState(initialRelationTypes);
 
   // Get current document or empty placeholder
-  const currentDoc = documents[currentDocIndex] || { id: '', title: '', abstract: '', annotations: [] };
+  const currentDoc = documents[currentDocIndex] || { id: '', passages: [], annotations: [], relations: [] };
+
+  // Replace the documents without recording an edit
+  const setDocuments = (docs) => {
+    dispatch({ type: 'replace', documents: docs });
+  };
+
+  // Switch to another document
+  const setCurrentDocIndex = (docIndex) => {
+    dispatch({ type: 'navigate', docIndex });
+  };
 
-  // Set all documents
+  // Set all documents (starts a fresh history)
   const setAllDocuments = (docs) => {
-    setDocuments(docs);
-    setCurrentDocIndex(0);
+    dispatch({ type: 'load', documents: docs });
+  };
+
+  // Replace the documents and record the edit so it can be undone. The update is either the
+  // updated documents or a function deriving them from the latest documents.
+  const commitDocuments = (update, label, docIndex) => {
+    dispatch({ type: 'commit', update, label, docIndex });
+  };
+
+  // Replace the current document with an updated copy
+  const commitCurrentDoc = (changes, label) => {
+    commitDocuments((docs) => {
+      const updatedDocs = [...docs];
+      updatedDocs[currentDocIndex] = { ...docs[currentDocIndex], ...changes };
+      return updatedDocs;
+    }, label);
+  };
+
+  // Undo the last edit(s)
+  const undo = (steps = 1) => {
+    dispatch({ type: 'undo', steps });
+  };
+
+  // Redo the last undone edit(s)
+  const redo = (steps = 1) => {
+    dispatch({ type: 'redo', steps });
   };
 
   // Add a new annotation to current document
   const addAnnotation = (annotation) => {
-    const updatedDocs = [...documents];
-    updatedDocs[currentDocIndex].annotations.push({
-      ...annotation,
-      id: currentDoc.id
-    });
+    const annotations = [...currentDoc.annotations, { ...annotation, id: currentDoc.id }];
 
     // Sort annotations by start position
-    updatedDocs[currentDocIndex].annotations.sort((a, b) => a.start - b.start);
-    setDocuments(updatedDocs);
+    annotations.sort((a, b) => a.start - b.start);
+    commitCurrentDoc({ annotations }, `Add ${annotation.type} "${annotation.text}"`);
   };
 
   // Edit an annotation in current document
   const editAnnotation = (index, updatedAnnotation) => {
-    const updatedDocs = [...documents];
-    updatedDocs[currentDocIndex].annotations[index] = {
+    const previous = currentDoc.annotations[index];
+    const annotations = [...currentDoc.annotations];
+    annotations[index] = {
       ...updatedAnnotation,
       id: currentDoc.id
     };
-    setDocuments(updatedDocs);
+
+    const label = previous && previous.type !== updatedAnnotation.type
+      ? `Change "${previous.text}" from ${previous.type} to ${updatedAnnotation.type}`
+      : `Edit "${updatedAnnotation.text}"`;
+    commitCurrentDoc({ annotations }, label);
   };
 
   // Delete an annotation from current document
   const deleteAnnotation = (index) => {
-    const updatedDocs = [...documents];
-    updatedDocs[currentDocIndex].annotations.splice(index, 1);
-    setDocuments(updatedDocs);
+    const deleted = currentDoc.annotations[index];
+    const annotations = currentDoc.annotations.filter((_, i) => i !== index);
+    commitCurrentDoc({ annotations }, `Delete ${deleted.type} "${deleted.text}"`);
+  };
+
+  // Apply a batch of annotation changes, possibly across several documents, as a single undo step.
+  // Each change is { docIndex, annotationIndex, annotation }: without an annotationIndex the
+  // annotation is added, with annotation set to null it is deleted, otherwise it replaces the existing one.
+  const applyAnnotationChanges = (changes, label = `Edit ${changes.length} annotation${changes.length === 1 ? '' : 's'}`) => {
+    const changesByDoc = new Map();
+    for (const change of changes) {
+      if (!changesByDoc.has(change.docIndex)) {
+        changesByDoc.set(change.docIndex, []);
+      }
+      changesByDoc.get(change.docIndex).push(change);
+    }
+
+    // Only jump back to a document on undo when the whole batch was in it
+    const docIndexes = [...changesByDoc.keys()];
+    commitDocuments((docs) => {
+      const updatedDocs = [...docs];
+      for (const [docIndex, docChanges] of changesByDoc) {
+        const doc = updatedDocs[docIndex];
+        const annotations = [...doc.annotations];
+        const deleted = new Set();
+        let hasAdditions = false;
+
+        for (const { annotationIndex, annotation } of docChanges) {
+          if (annotationIndex === undefined || annotationIndex === null) {
+            annotations.push({ ...annotation, id: doc.id });
+            hasAdditions = true;
+          } else if (annotation === null) {
+            deleted.add(annotationIndex);
+          } else {
+            annotations[annotationIndex] = { ...annotation, id: doc.id };
+          }
+        }
+
+        const remaining = annotations.filter((_, index) => !deleted.has(index));
+        if (hasAdditions) {
+          // Sort annotations by start position
+          remaining.sort((a, b) => a.start - b.start);
+        }
+        updatedDocs[docIndex] = { ...doc, annotations: remaining };
+      }
+      return updatedDocs;
+    }, label, docIndexes.length === 1 ? docIndexes[0] : null);
+  };
+
+  // Stop suggesting a potential match in the current document
+  const rejectPotentialMatch = (match) => {
+    const rejectedMatches = [...(currentDoc.rejectedMatches || []), { start: match.start, end: match.end }];
+    commitCurrentDoc({ rejectedMatches }, `Reject suggestion "${match.text}"`);
+  };
+
+  // Change the review status and/or note of the current document
+  const updateReview = (changes) => {
+    const review = { status: getReviewStatus(currentDoc), note: currentDoc.review?.note || '', ...changes };
+    const label = changes.status !== undefined
+      ? `Mark ${currentDoc.id} as ${REVIEW_STATUSES[changes.status].label.toLowerCase()}`
+      : `Edit review note of ${currentDoc.id}`;
+    commitCurrentDoc({ review }, label);
   };
 
   // Find index of an annotation by its properties
@@ -59,6 +243,33 @@ export const useAnnotationManager = (initialDocuments = [], initialEntityTypes =
     );
   };
 
+  // Add a new relation to current document
+  const addRelation = (relation) => {
+    const relations = [...currentDoc.relations, {
+      extraColumns: [],
+      ...relation,
+      id: currentDoc.id
+    }];
+    commitCurrentDoc({ relations }, `Add ${relation.type} relation`);
+  };
+
+  // Edit a relation in current document
+  const editRelation = (index, updatedRelation) => {
+    const relations = [...currentDoc.relations];
+    relations[index] = {
+      ...updatedRelation,
+      id: currentDoc.id
+    };
+    commitCurrentDoc({ relations }, `Edit ${updatedRelation.type} relation`);
+  };
+
+  // Delete a relation from current document
+  const deleteRelation = (index) => {
+    const deleted = currentDoc.relations[index];
+    const relations = currentDoc.relations.filter((_, i) => i !== index);
+    commitCurrentDoc({ relations }, `Delete ${deleted.type} relation`);
+  };
+
   // Add new entity type if it doesn't exist
   const addNewEntityType = (newType) => {
     if (newType && !knownEntityTypes.includes(newType)) {
@@ -66,6 +277,13 @@ export const useAnnotationManager = (initialDocuments = [], initialEntityTypes =
     }
   };
 
+  // Add new relation type if it doesn't exist
+  const addNewRelationType = (newType) => {
+    if (newType && !knownRelationTypes.includes(newType)) {
+      setKnownRelationTypes([...knownRelationTypes, newType]);
+    }
+  };
+
   return {
     documents,
     setDocuments,
@@ -77,8 +295,24 @@ export const useAnnotationManager = (initialDocuments = [], initialEntityTypes =
     addAnnotation,
     editAnnotation,
     deleteAnnotation,
+    applyAnnotationChanges,
+    rejectPotentialMatch,
+    updateReview,
     findAnnotationIndex,
     addNewEntityType,
-    setAllDocuments
+    knownRelationTypes,
+    setKnownRelationTypes,
+    addRelation,
+    editRelation,
+    deleteRelation,
+    addNewRelationType,
+    setAllDocuments,
+    commitDocuments,
+    undo,
+    redo,
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+    undoHistory: past.map(entry => entry.label),
+    redoHistory: future.map(entry => entry.label)
   };
 };
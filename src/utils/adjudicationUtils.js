@@ -0,0 +1,179 @@
+import { getAnnotationFragments, splitNormalizedIds } from './documentUtils';
+import { matchAnnotations, pairDocuments } from './agreementUtils';
+
+/**
+ * Kinds of disagreement between two versions (A and B) of a document's annotations
+ */
+export const DISAGREEMENT_KINDS = {
+  onlyA: 'Only in A',
+  onlyB: 'Only in B',
+  type: 'Type mismatch',
+  boundary: 'Boundary mismatch',
+  id: 'Normalized ID mismatch'
+};
+
+// Whether two annotations cover exactly the same fragments
+const sameSpan = (a, b) => {
+  const fragmentsA = getAnnotationFragments(a);
+  const fragmentsB = getAnnotationFragments(b);
+  return fragmentsA.length === fragmentsB.length &&
+    fragmentsA.every((fragment, i) => fragment.start === fragmentsB[i].start && fragment.end === fragmentsB[i].end);
+};
+
+// Identify an annotation by its span, type and ID, so resolutions survive recomputing the disagreements
+const describeForKey = (annotation) => (annotation
+  ? [getAnnotationFragments(annotation).map(({ start, end }) => `${start}-${end}`).join(','), annotation.type, annotation.normalizedId].join('|')
+  : '');
+
+/**
+ * Compare two versions of a document's annotations. Annotations that agree on span, type and
+ * normalized ID are agreed; the rest are paired up as disagreements: first same-span pairs (type or ID
+ * mismatch), then overlapping pairs of the same type and finally any overlapping pairs (boundary mismatch).
+ * Whatever is left is only in A or only in B.
+ * @param {Array} annotationsA - Annotations of version A
+ * @param {Array} annotationsB - Annotations of version B
+ * @returns {Object} { agreed, disagreements }, where agreed holds A's annotations and every disagreement
+ *   is { key, kind, a, b, start, end } with a or b null if the annotation is only in the other version
+ */
+export const findDisagreements = (annotationsA, annotationsB) => {
+  const exact = matchAnnotations(annotationsA, annotationsB, { mode: 'strict', criterion: 'typeId' });
+  const sameSpans = matchAnnotations(exact.onlyA, exact.onlyB, { mode: 'strict', criterion: 'span' });
+  const sameTypes = matchAnnotations(sameSpans.onlyA, sameSpans.onlyB, { mode: 'overlap', criterion: 'type' });
+  const overlapping = matchAnnotations(sameTypes.onlyA, sameTypes.onlyB, { mode: 'overlap', criterion: 'span' });
+
+  const classify = ({ a, b }) => {
+    if (!sameSpan(a, b)) return 'boundary';
+    return a.type !== b.type ? 'type' : 'id';
+  };
+
+  const disagreements = [
+    ...[...sameSpans.pairs, ...sameTypes.pairs, ...overlapping.pairs].map(pair => ({ ...pair, kind: classify(pair) })),
+    ...overlapping.onlyA.map(a => ({ a, b: null, kind: 'onlyA' })),
+    ...overlapping.onlyB.map(b => ({ a: null, b, kind: 'onlyB' }))
+  ].map(({ a, b, kind }) => ({
+    key: `${kind}:${describeForKey(a)}:${describeForKey(b)}`,
+    kind,
+    a,
+    b,
+    start: Math.min(a?.start ?? Infinity, b?.start ?? Infinity),
+    end: Math.max(a?.end ?? -Infinity, b?.end ?? -Infinity)
+  }));
+
+  disagreements.sort((x, y) => x.start - y.start || x.end - y.end);
+  return { agreed: exact.pairs.map(({ a }) => a), disagreements };
+};
+
+/**
+ * Get the annotation a resolution keeps for a disagreement
+ * @param {Object} disagreement - Disagreement from findDisagreements
+ * @param {Object} resolution - { choice: 'a' | 'b' | 'none' | 'custom', annotation } (annotation for custom),
+ *   or undefined while unresolved
+ * @returns {Object|null} The annotation to keep, or null for none. Unresolved disagreements keep A's version.
+ */
+export const resolveDisagreement = (disagreement, resolution) => {
+  switch (resolution?.choice) {
+    case 'b':
+      return disagreement.b;
+    case 'none':
+      return null;
+    case 'custom':
+      return resolution.annotation;
+    default:
+      return disagreement.a;
+  }
+};
+
+/**
+ * Merge the agreed annotations of a document with the resolutions of its disagreements
+ * @param {Object} diff - Result of findDisagreements
+ * @param {Object} resolutions - Resolutions by disagreement key
+ * @returns {Object} { annotations, unresolved } with the merged annotations in text order
+ */
+export const mergeAnnotations = (diff, resolutions = {}) => {
+  const resolved = diff.disagreements.map(disagreement => resolveDisagreement(disagreement, resolutions[disagreement.key]));
+  const annotations = [...diff.agreed, ...resolved.filter(Boolean)].sort((a, b) => a.start - b.start || a.end - b.end);
+  return {
+    annotations,
+    unresolved: diff.disagreements.filter(disagreement => !resolutions[disagreement.key]).length
+  };
+};
+
+/**
+ * Compare the documents of two annotation sets that share an ID and the same text
+ * @param {Array} documentsA - Documents of version A
+ * @param {Array} documentsB - Documents of version B
+ * @returns {Array} [{ docA, docB, sameText, diff }] for every shared document, with diff null where the text differs
+ */
+export const diffDocuments = (documentsA, documentsB) => {
+  return pairDocuments(documentsA, documentsB).shared.map(entry => ({
+    ...entry,
+    diff: entry.sameText ? findDisagreements(entry.docA.annotations, entry.docB.annotations) : null
+  }));
+};
+
+// Take an annotation from B (or a custom one) into A's document, without the IDs B's file gave it, which could clash with A's
+const adoptAnnotation = (annotation, docId) => {
+  const { biocId: _biocId, bratId: _bratId, pubtatorSource: _pubtatorSource, ...rest } = annotation;
+  return { ...rest, id: docId };
+};
+
+const ADJUDICATION_NOTE_PREFIX = 'Adjudication:';
+
+// Concept IDs annotated in a document, which relations refer to
+const annotatedConcepts = (annotations) => new Set(annotations.flatMap(annotation => splitNormalizedIds(annotation.normalizedId)));
+
+/**
+ * Build the merged gold documents: A's documents, with the annotations of every document that B
+ * shares (with the same text) replaced by the agreed annotations plus the resolved disagreements.
+ * A's passages and metadata are kept. Relations whose concept was annotated in A but no longer is
+ * after merging are left out and reported. Documents with unresolved disagreements keep A's version
+ * of them and are marked as in progress, with a review note saying so that replaces the one of an earlier merge.
+ * @param {Array} documentsA - Documents of version A
+ * @param {Array} diffs - Result of diffDocuments
+ * @param {Object} resolutions - Resolutions by document ID, then by disagreement key
+ * @returns {Object} { documents, unresolved, droppedRelations } with the number of disagreements left
+ *   unresolved and the left-out relations as { docId, relation }
+ */
+export const buildMergedDocuments = (documentsA, diffs, resolutions) => {
+  const diffsById = new Map(diffs.filter(({ diff }) => diff).map(({ docA, diff }) => [docA.id, diff]));
+  let unresolved = 0;
+  const droppedRelations = [];
+
+  const documents = documentsA.map(doc => {
+    const diff = diffsById.get(doc.id);
+    if (!diff) return doc;
+    const merged = mergeAnnotations(diff, resolutions[doc.id]);
+    unresolved += merged.unresolved;
+
+    // A's own annotations are kept as they are, so the merged set can be diffed against them
+    const own = new Set(doc.annotations);
+    const annotations = merged.annotations.map(annotation => (own.has(annotation) ? annotation : adoptAnnotation(annotation, doc.id)));
+
+    const conceptsBefore = annotatedConcepts(doc.annotations);
+    const conceptsAfter = annotatedConcepts(annotations);
+    // A multi-ID argument still holds while any of its concepts is annotated
+    const isDangling = (arg) => {
+      const conceptIds = splitNormalizedIds(arg);
+      return conceptIds.some(id => conceptsBefore.has(id)) && !conceptIds.some(id => conceptsAfter.has(id));
+    };
+    const dropped = (doc.relations || []).filter(relation => isDangling(relation.arg1) || isDangling(relation.arg2));
+    dropped.forEach(relation => droppedRelations.push({ docId: doc.id, relation }));
+
+    const mergedDoc = {
+      ...doc,
+      annotations,
+      relations: dropped.length > 0 ? doc.relations.filter(relation => !dropped.includes(relation)) : doc.relations
+    };
+    // The note of an earlier merge is replaced, not stacked
+    const otherNotes = (doc.review?.note || '').split('\n').filter(line => line && !line.startsWith(ADJUDICATION_NOTE_PREFIX));
+    if (merged.unresolved > 0) {
+      const note = `${ADJUDICATION_NOTE_PREFIX} ${merged.unresolved} disagreement${merged.unresolved === 1 ? '' : 's'} left unresolved, A's version kept`;
+      mergedDoc.review = { status: 'in_progress', note: [...otherNotes, note].join('\n') };
+    } else if (doc.review?.note && otherNotes.join('\n') !== doc.review.note) {
+      mergedDoc.review = { ...doc.review, note: otherNotes.join('\n') };
+    }
+    return mergedDoc;
+  });
+
+  return { documents, unresolved, droppedRelations };
+};
@@ -0,0 +1,328 @@
+import { buildPassageText, getAnnotationFragments, splitNormalizedIds } from './documentUtils';
+import { tokenize } from './conllUtils';
+import { csvRows } from './statsUtils';
+
+/**
+ * How spans have to agree for two annotations to match
+ */
+export const SPAN_MODES = {
+  strict: 'Strict (same offsets)',
+  overlap: 'Overlapping'
+};
+
+/**
+ * What else has to agree for two annotations to match
+ */
+export const MATCH_CRITERIA = {
+  span: 'Span only',
+  type: 'Span and type',
+  typeId: 'Span, type and normalized ID'
+};
+
+// Label of tokens outside any annotation, for kappa
+const OUTSIDE = 'O';
+
+// Normalized IDs agree if they list the same IDs, in any order
+const sameIds = (a, b) => {
+  const idsA = splitNormalizedIds(a).sort();
+  const idsB = splitNormalizedIds(b).sort();
+  return idsA.length === idsB.length && idsA.every((id, i) => id === idsB[i]);
+};
+
+/**
+ * Measure how much two annotations' spans agree
+ * @param {Object} a - Annotation
+ * @param {Object} b - Annotation
+ * @param {string} mode - Key into SPAN_MODES
+ * @returns {number} Overlapping characters (for strict matching, the length if all fragments are equal), 0 if they don't match
+ */
+const spanAgreement = (a, b, mode) => {
+  const fragmentsA = getAnnotationFragments(a);
+  const fragmentsB = getAnnotationFragments(b);
+
+  if (mode === 'strict') {
+    const equal = fragmentsA.length === fragmentsB.length &&
+      fragmentsA.every((fragment, i) => fragment.start === fragmentsB[i].start && fragment.end === fragmentsB[i].end);
+    return equal ? a.end - a.start || 1 : 0;
+  }
+
+  let overlap = 0;
+  for (const fragmentA of fragmentsA) {
+    for (const fragmentB of fragmentsB) {
+      overlap += Math.max(0, Math.min(fragmentA.end, fragmentB.end) - Math.max(fragmentA.start, fragmentB.start));
+    }
+  }
+  return overlap;
+};
+
+/**
+ * Pair the annotations of two annotators one to one. Going through A's annotations in text order,
+ * each is paired with the unpaired annotation of B that matches it with the largest overlap.
+ * @param {Array} annotationsA - Annotations of annotator A
+ * @param {Array} annotationsB - Annotations of annotator B
+ * @param {Object} options - mode (key into SPAN_MODES) and criterion (key into MATCH_CRITERIA)
+ * @returns {Object} { pairs: [{ a, b }], onlyA, onlyB }
+ */
+export const matchAnnotations = (annotationsA, annotationsB, { mode = 'strict', criterion = 'type' } = {}) => {
+  const unpairedB = new Set(annotationsB);
+  const pairs = [];
+  const onlyA = [];
+
+  for (const a of [...annotationsA].sort((x, y) => x.start - y.start || x.end - y.end)) {
+    let best = null;
+    let bestAgreement = 0;
+    for (const b of unpairedB) {
+      if (criterion !== 'span' && a.type !== b.type) continue;
+      if (criterion === 'typeId' && !sameIds(a.normalizedId, b.normalizedId)) continue;
+      const agreement = spanAgreement(a, b, mode);
+      if (agreement > bestAgreement) {
+        best = b;
+        bestAgreement = agreement;
+      }
+    }
+
+    if (best) {
+      pairs.push({ a, b: best });
+      unpairedB.delete(best);
+    } else {
+      onlyA.push(a);
+    }
+  }
+
+  return { pairs, onlyA, onlyB: [...unpairedB] };
+};
+
+/**
+ * Precision, recall and F1 of annotator B against annotator A
+ * @param {number} matched - Matched annotations
+ * @param {number} countA - Annotations of A
+ * @param {number} countB - Annotations of B
+ * @returns {Object} { countA, countB, matched, precision, recall, f1 }, with null for undefined ratios
+ */
+const score = (matched, countA, countB) => {
+  const precision = countB > 0 ? matched / countB : null;
+  const recall = countA > 0 ? matched / countA : null;
+  // The harmonic mean of precision and recall, also defined when one annotator has no annotations
+  const f1 = countA + countB > 0 ? (2 * matched) / (countA + countB) : null;
+  return { countA, countB, matched, precision, recall, f1 };
+};
+
+// Add up matched and total counts
+const addCounts = (total, counts) => ({
+  matched: total.matched + counts.matched,
+  countA: total.countA + counts.countA,
+  countB: total.countB + counts.countB
+});
+
+/**
+ * Pair up the documents both files contain, by document ID
+ * @param {Array} documentsA - Documents of annotator A
+ * @param {Array} documentsB - Documents of annotator B
+ * @returns {Object} { shared: [{ docA, docB, sameText }], onlyA, onlyB } with the IDs of unshared documents
+ */
+export const pairDocuments = (documentsA, documentsB) => {
+  const byIdB = new Map(documentsB.map(doc => [doc.id, doc]));
+  const idsA = new Set(documentsA.map(doc => doc.id));
+
+  const shared = documentsA
+    .filter(doc => byIdB.has(doc.id))
+    .map(docA => {
+      const docB = byIdB.get(docA.id);
+      return { docA, docB, sameText: buildPassageText(docA.passages) === buildPassageText(docB.passages) };
+    });
+
+  return {
+    shared,
+    onlyA: documentsA.filter(doc => !byIdB.has(doc.id)).map(doc => doc.id),
+    onlyB: documentsB.filter(doc => !idsA.has(doc.id)).map(doc => doc.id)
+  };
+};
+
+/**
+ * Label every token of a document with the type of the innermost annotation covering it
+ * @param {Array} tokens - Tokens from tokenize
+ * @param {number} length - Length of the document text
+ * @param {Array} annotations - Annotations of the document
+ * @returns {Array} Label of each token, OUTSIDE if no annotation covers it
+ */
+const labelTokens = (tokens, length, annotations) => {
+  const labels = new Array(length).fill(OUTSIDE);
+  // Longer annotations first, so shorter (inner) ones overwrite them
+  const byLength = [...annotations].sort((a, b) => (b.end - b.start) - (a.end - a.start));
+  for (const annotation of byLength) {
+    for (const fragment of getAnnotationFragments(annotation)) {
+      labels.fill(annotation.type, Math.max(0, fragment.start), Math.min(length, fragment.end));
+    }
+  }
+
+  return tokens.map(token => {
+    for (let i = token.start; i < token.end; i++) {
+      if (labels[i] !== OUTSIDE) return labels[i];
+    }
+    return OUTSIDE;
+  });
+};
+
+/**
+ * Cohen's kappa of two label sequences
+ * @param {Array} labelsA - Labels of annotator A
+ * @param {Array} labelsB - Labels of annotator B
+ * @returns {number|null} Kappa, or null if chance agreement is already perfect (e.g. no labels at all)
+ */
+export const cohensKappa = (labelsA, labelsB) => {
+  const total = labelsA.length;
+  if (total === 0) return null;
+
+  let agreed = 0;
+  const countsA = new Map();
+  const countsB = new Map();
+  labelsA.forEach((label, i) => {
+    if (label === labelsB[i]) agreed++;
+    countsA.set(label, (countsA.get(label) || 0) + 1);
+    countsB.set(labelsB[i], (countsB.get(labelsB[i]) || 0) + 1);
+  });
+
+  const observed = agreed / total;
+  let expected = 0;
+  for (const [label, count] of countsA) {
+    expected += (count / total) * ((countsB.get(label) || 0) / total);
+  }
+  return expected === 1 ? null : (observed - expected) / (1 - expected);
+};
+
+/**
+ * Compute token-level kappa over the documents whose text is the same in both files: every token
+ * is labeled with the entity type covering it, or as outside. Kappa is given over all labels and,
+ * per type, for the type against everything else.
+ * @param {Array} shared - Shared documents from pairDocuments
+ * @param {Array} types - Entity types to report
+ * @returns {Object} { tokens, overall, byType: { type: kappa } }
+ */
+const computeKappa = (shared, types) => {
+  const labelsA = [];
+  const labelsB = [];
+
+  for (const { docA, docB, sameText } of shared) {
+    if (!sameText) continue;
+    const text = buildPassageText(docA.passages);
+    const tokens = tokenize(text);
+    // Appended one by one, since long documents have too many tokens to spread into push
+    labelTokens(tokens, text.length, docA.annotations).forEach(label => labelsA.push(label));
+    labelTokens(tokens, text.length, docB.annotations).forEach(label => labelsB.push(label));
+  }
+
+  const byType = {};
+  for (const type of types) {
+    byType[type] = cohensKappa(labelsA.map(label => label === type), labelsB.map(label => label === type));
+  }
+  return { tokens: labelsA.length, overall: cohensKappa(labelsA, labelsB), byType };
+};
+
+/**
+ * Compare two annotators' documents. Annotator A (the loaded file) serves as the reference:
+ * precision is the share of B's annotations matched, recall the share of A's.
+ * Documents are compared by ID; offsets are only comparable where the texts are the same,
+ * so documents whose text differs are counted but flagged.
+ * @param {Array} documentsA - Documents of annotator A
+ * @param {Array} documentsB - Documents of annotator B
+ * @param {Object} options - mode (key into SPAN_MODES) and criterion (key into MATCH_CRITERIA)
+ *   for the per-type and per-document breakdowns
+ * @returns {Object} { mode, criterion, documents: { shared, onlyA, onlyB, textDiffers }, matrix, overall,
+ *   byType, byDocument, kappa }, where matrix holds the overall scores for every mode and criterion
+ *   and byType compares the annotations of each type on their own
+ */
+export const computeAgreement = (documentsA, documentsB, { mode = 'strict', criterion = 'type' } = {}) => {
+  const { shared, onlyA, onlyB } = pairDocuments(documentsA, documentsB);
+  const types = [...new Set(shared.flatMap(({ docA, docB }) => [...docA.annotations, ...docB.annotations].map(anno => anno.type)))].sort();
+  const empty = { matched: 0, countA: 0, countB: 0 };
+
+  const countMatches = (annotationsA, annotationsB, options) => ({
+    matched: matchAnnotations(annotationsA, annotationsB, options).pairs.length,
+    countA: annotationsA.length,
+    countB: annotationsB.length
+  });
+
+  const matrix = [];
+  for (const matrixMode of Object.keys(SPAN_MODES)) {
+    for (const matrixCriterion of Object.keys(MATCH_CRITERIA)) {
+      const counts = shared.reduce(
+        (total, { docA, docB }) => addCounts(total, countMatches(docA.annotations, docB.annotations, { mode: matrixMode, criterion: matrixCriterion })),
+        empty
+      );
+      matrix.push({ mode: matrixMode, criterion: matrixCriterion, ...score(counts.matched, counts.countA, counts.countB) });
+    }
+  }
+
+  const byDocument = shared.map(({ docA, docB, sameText }) => {
+    const counts = countMatches(docA.annotations, docB.annotations, { mode, criterion });
+    return { id: docA.id, sameText, ...score(counts.matched, counts.countA, counts.countB) };
+  });
+
+  const byType = types.map(type => {
+    const counts = shared.reduce(
+      (total, { docA, docB }) => addCounts(total, countMatches(
+        docA.annotations.filter(anno => anno.type === type),
+        docB.annotations.filter(anno => anno.type === type),
+        { mode, criterion }
+      )),
+      empty
+    );
+    return { type, ...score(counts.matched, counts.countA, counts.countB) };
+  });
+
+  return {
+    mode,
+    criterion,
+    documents: {
+      shared: shared.length,
+      onlyA,
+      onlyB,
+      textDiffers: shared.filter(({ sameText }) => !sameText).map(({ docA }) => docA.id)
+    },
+    matrix,
+    overall: matrix.find(entry => entry.mode === mode && entry.criterion === criterion),
+    byType,
+    byDocument,
+    kappa: computeKappa(shared, types)
+  };
+};
+
+// Format a ratio for CSV, leaving undefined ones empty
+const ratio = (value) => (value === null ? '' : value.toFixed(4));
+
+/**
+ * Format an agreement report as CSV, with one blank-line separated table per section
+ * @param {Object} report - Report from computeAgreement
+ * @returns {string} CSV content
+ */
+export const agreementToCsv = (report) => {
+  const scoreColumns = ['annotations_a', 'annotations_b', 'matched', 'precision', 'recall', 'f1'];
+  const scoreFields = (entry) => [entry.countA, entry.countB, entry.matched, ratio(entry.precision), ratio(entry.recall), ratio(entry.f1)];
+
+  const matrix = [
+    ['span_mode', 'criterion', ...scoreColumns],
+    ...report.matrix.map(entry => [entry.mode, entry.criterion, ...scoreFields(entry)])
+  ];
+
+  const types = [
+    ['span_mode', 'criterion', 'type', ...scoreColumns, 'token_kappa'],
+    ...report.byType.map(entry => [report.mode, report.criterion, entry.type, ...scoreFields(entry), ratio(report.kappa.byType[entry.type] ?? null)])
+  ];
+
+  const documents = [
+    ['span_mode', 'criterion', 'document_id', 'same_text', ...scoreColumns],
+    ...report.byDocument.map(entry => [report.mode, report.criterion, entry.id, entry.sameText, ...scoreFields(entry)])
+  ];
+
+  const summary = [
+    ['metric', 'value'],
+    ['shared_documents', report.documents.shared],
+    ['documents_only_in_a', report.documents.onlyA.length],
+    ['documents_only_in_b', report.documents.onlyB.length],
+    ['documents_with_different_text', report.documents.textDiffers.length],
+    ['kappa_tokens', report.kappa.tokens],
+    ['token_kappa', ratio(report.kappa.overall)]
+  ];
+
+  return [summary, matrix, types, documents].map(csvRows).join('\n\n') + '\n';
+};
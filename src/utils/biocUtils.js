@@ -0,0 +1,585 @@
+import { createPassage, getAnnotationFragments } from './documentUtils';
+import { readReviewInfons, writeReviewInfons } from './reviewUtils';
+
+/**
+ * BioC support. BioC files are first read into a plain collection object with the
+ * same shape as BioC JSON ({ source, date, key, infons, documents: [...] }), which is
+ * then mapped onto the editor's document model. Passage offsets and every infon are
+ * kept on the model so that a BioC file can be saved again without losing anything.
+ */
+
+// Infon keys that hold the two arguments of a relation, in order of preference
+const RELATION_ARGUMENT_KEYS = [
+  ['entity1', 'entity2'],
+  ['role1', 'role2'],
+  ['Chemical', 'Disease'],
+  ['Chemical', 'Gene'],
+  ['Gene', 'Disease']
+];
+
+// Keys with a fixed meaning in BioC JSON objects; any other keys (such as the sentences of a passage)
+// are carried along untouched
+const COLLECTION_KEYS = ['source', 'date', 'key', 'infons', 'documents'];
+const DOCUMENT_KEYS = ['id', 'infons', 'passages', 'relations'];
+const PASSAGE_KEYS = ['offset', 'infons', 'text', 'annotations', 'relations'];
+
+// Helper function to collect the keys of an object that the model doesn't know about
+const pickExtraFields = (object, knownKeys) => {
+  const extra = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (!knownKeys.includes(key)) {
+      extra[key] = value;
+    }
+  }
+  return extra;
+};
+
+/**
+ * Read a concept ID from a relation argument infon. PubTator3 stores roles as objects
+ * ({ identifier, type, ... }) or as "Type|ID" strings; other corpora use the plain ID.
+ */
+const readArgumentValue = (value) => {
+  if (value && typeof value === 'object') {
+    return value.identifier || value.accession || '';
+  }
+  const text = String(value);
+  return text.includes('|') ? text.substring(text.lastIndexOf('|') + 1) : text;
+};
+
+/**
+ * Write a concept ID back into a relation argument infon, keeping its original shape
+ */
+const writeArgumentValue = (original, conceptId) => {
+  if (original && typeof original === 'object') {
+    return { ...original, identifier: conceptId };
+  }
+  if (typeof original === 'string' && original.includes('|')) {
+    return original.substring(0, original.lastIndexOf('|') + 1) + conceptId;
+  }
+  return conceptId;
+};
+
+/**
+ * Resolve the two concept IDs a BioC relation connects
+ * @param {Object} relation - BioC relation object
+ * @param {Map} annotationsById - BioC annotation ID to model annotation
+ * @returns {Object} arg1, arg2 and the infon keys they were read from (if any)
+ */
+const resolveRelationArguments = (relation, annotationsById) => {
+  const infons = relation.infons || {};
+
+  for (const [key1, key2] of RELATION_ARGUMENT_KEYS) {
+    if (infons[key1] !== undefined && infons[key2] !== undefined) {
+      return {
+        arg1: readArgumentValue(infons[key1]),
+        arg2: readArgumentValue(infons[key2]),
+        argumentKeys: [key1, key2]
+      };
+    }
+  }
+
+  // Fall back to the nodes, which point at annotations
+  const [node1, node2] = (relation.nodes || []).map(node => {
+    const annotation = annotationsById.get(node.refid);
+    return annotation?.normalizedId || node.refid;
+  });
+  return { arg1: node1 || '', arg2: node2 || '', argumentKeys: null };
+};
+
+/**
+ * Map a BioC collection object onto the editor document model
+ * @param {Object} collection - BioC collection in BioC JSON shape
+ * @returns {Object} Parsed documents, entity types, relation types and collection metadata
+ */
+export const biocCollectionToDocuments = (collection) => {
+  const entityTypes = new Set();
+  const relationTypes = new Set();
+
+  const docs = (collection.documents || []).map(biocDoc => {
+    const annotations = [];
+    const relations = [];
+    const annotationsById = new Map();
+
+    const passages = (biocDoc.passages || []).map((passage, index) => ({
+      ...createPassage(passage.text || '', passage.offset || 0, passage.infons || {}, index),
+      biocExtra: pickExtraFields(passage, PASSAGE_KEYS)
+    }));
+
+    (biocDoc.passages || []).forEach(passage => {
+      for (const biocAnno of passage.annotations || []) {
+        const infons = { ...(biocAnno.infons || {}) };
+        const locations = biocAnno.locations || [];
+        const start = locations.length > 0 ? Math.min(...locations.map(loc => loc.offset)) : passage.offset || 0;
+        const end = locations.length > 0 ? Math.max(...locations.map(loc => loc.offset + loc.length)) : start;
+
+        const annotation = {
+          id: biocDoc.id,
+          start,
+          end,
+          text: biocAnno.text || '',
+          type: infons.type || '',
+          normalizedId: infons.identifier || null,
+          biocId: biocAnno.id,
+          infons
+        };
+
+        // Several locations make a discontinuous annotation
+        if (locations.length > 1) {
+          annotation.fragments = locations.map(loc => ({ start: loc.offset, end: loc.offset + loc.length }));
+        }
+
+        entityTypes.add(annotation.type);
+        annotations.push(annotation);
+        annotationsById.set(biocAnno.id, annotation);
+      }
+    });
+
+    const addRelation = (biocRelation, passageIndex) => {
+      const infons = { ...(biocRelation.infons || {}) };
+      const typeKey = infons.type !== undefined ? 'type' : (infons.relation !== undefined ? 'relation' : 'type');
+      const { arg1, arg2, argumentKeys } = resolveRelationArguments(biocRelation, annotationsById);
+
+      relationTypes.add(infons[typeKey] || '');
+      relations.push({
+        id: biocDoc.id,
+        type: infons[typeKey] || '',
+        arg1,
+        arg2,
+        extraColumns: [],
+        biocId: biocRelation.id,
+        infons,
+        nodes: (biocRelation.nodes || []).map(node => ({ refid: node.refid, role: node.role })),
+        biocTypeKey: typeKey,
+        biocArgumentKeys: argumentKeys,
+        biocOriginalArgs: [arg1, arg2],
+        biocPassageIndex: passageIndex
+      });
+    };
+
+    (biocDoc.passages || []).forEach((passage, passageIndex) => {
+      for (const biocRelation of passage.relations || []) {
+        addRelation(biocRelation, passageIndex);
+      }
+    });
+    for (const biocRelation of biocDoc.relations || []) {
+      addRelation(biocRelation, null);
+    }
+
+    annotations.sort((a, b) => a.start - b.start);
+    // The review status travels in the document infons
+    const { review, infons } = readReviewInfons(biocDoc.infons || {});
+
+    return {
+      id: biocDoc.id,
+      annotations,
+      relations,
+      passages,
+      infons,
+      review,
+      biocExtra: pickExtraFields(biocDoc, DOCUMENT_KEYS)
+    };
+  });
+
+  return {
+    docs,
+    entityTypes: [...entityTypes],
+    relationTypes: [...relationTypes],
+    collection: {
+      source: collection.source || '',
+      date: collection.date || '',
+      key: collection.key || '',
+      infons: collection.infons || {},
+      biocExtra: pickExtraFields(collection, COLLECTION_KEYS),
+      // Elements of a BioC XML collection that BioC doesn't define, as raw XML
+      xmlExtra: collection.xmlExtra || []
+    }
+  };
+};
+
+/**
+ * Find the passage an offset falls in
+ */
+const findPassageIndex = (passages, offset) => {
+  for (let i = passages.length - 1; i >= 0; i--) {
+    if (offset >= passages[i].offset) return i;
+  }
+  return 0;
+};
+
+/**
+ * Map the editor document model back onto a BioC collection object
+ * @param {Array} documents - Array of document objects
+ * @param {Object} collectionInfo - Collection metadata (source, date, key, infons) from the loaded file
+ * @returns {Object} BioC collection in BioC JSON shape
+ */
+export const documentsToBiocCollection = (documents, collectionInfo = {}) => {
+  const biocDocuments = documents.map(doc => {
+    const passages = doc.passages.map(passage => ({
+      infons: { ...passage.infons },
+      offset: passage.offset,
+      text: passage.text,
+      ...(passage.biocExtra || {}),
+      annotations: [],
+      relations: []
+    }));
+
+    // New annotations get the next free numeric ID
+    const usedIds = new Set(doc.annotations.map(anno => anno.biocId).filter(Boolean));
+    let nextId = 0;
+    const createId = () => {
+      while (usedIds.has(String(nextId))) nextId++;
+      usedIds.add(String(nextId));
+      return String(nextId);
+    };
+
+    const biocIds = new Map();
+    for (const anno of doc.annotations) {
+      const infons = { ...(anno.infons || {}), type: anno.type };
+      if (anno.normalizedId) {
+        infons.identifier = anno.normalizedId;
+      } else {
+        delete infons.identifier;
+      }
+
+      // One location per fragment of a discontinuous annotation
+      const locations = getAnnotationFragments(anno)
+        .map(fragment => ({ offset: fragment.start, length: fragment.end - fragment.start }));
+
+      const biocId = anno.biocId || createId();
+      biocIds.set(anno, biocId);
+      passages[findPassageIndex(passages, anno.start)].annotations.push({
+        id: biocId,
+        infons,
+        text: anno.text,
+        locations
+      });
+    }
+
+    // Point relation nodes at the first mention of each concept
+    const findMentionId = (conceptId) => {
+      const anno = doc.annotations.find(a => a.normalizedId === conceptId);
+      return anno ? biocIds.get(anno) : conceptId;
+    };
+
+    const relations = [];
+    (doc.relations || []).forEach((relation, index) => {
+      const infons = { ...(relation.infons || {}) };
+      infons[relation.biocTypeKey || 'type'] = relation.type;
+
+      const argumentKeys = relation.biocArgumentKeys || (relation.nodes?.length ? null : ['entity1', 'entity2']);
+      if (argumentKeys) {
+        infons[argumentKeys[0]] = writeArgumentValue(infons[argumentKeys[0]], relation.arg1);
+        infons[argumentKeys[1]] = writeArgumentValue(infons[argumentKeys[1]], relation.arg2);
+      }
+
+      const argsUnchanged = relation.biocOriginalArgs &&
+        relation.biocOriginalArgs[0] === relation.arg1 &&
+        relation.biocOriginalArgs[1] === relation.arg2;
+      const nodes = argsUnchanged && relation.nodes
+        ? relation.nodes
+        : [
+          { refid: findMentionId(relation.arg1), role: relation.nodes?.[0]?.role || 'Arg1' },
+          { refid: findMentionId(relation.arg2), role: relation.nodes?.[1]?.role || 'Arg2' }
+        ];
+
+      const biocRelation = {
+        id: relation.biocId || `R${index}`,
+        infons,
+        nodes
+      };
+
+      const passageIndex = relation.biocPassageIndex;
+      if (passageIndex !== null && passageIndex !== undefined && passages[passageIndex]) {
+        passages[passageIndex].relations.push(biocRelation);
+      } else {
+        relations.push(biocRelation);
+      }
+    });
+
+    return {
+      id: doc.id,
+      infons: writeReviewInfons({ ...(doc.infons || {}) }, doc),
+      passages,
+      relations,
+      ...(doc.biocExtra || {})
+    };
+  });
+
+  return {
+    source: collectionInfo.source || 'PubTator Annotation Editor',
+    date: collectionInfo.date || new Date().toISOString().slice(0, 10).replace(/-/g, ''),
+    key: collectionInfo.key || 'BioC.key',
+    infons: { ...(collectionInfo.infons || {}) },
+    ...(collectionInfo.biocExtra || {}),
+    documents: biocDocuments
+  };
+};
+
+// Elements BioC defines for a collection; any others are kept as raw XML
+const COLLECTION_XML_ELEMENTS = ['source', 'date', 'key', 'infon', 'document'];
+
+// Helper function to get the direct child elements with a given tag name
+const childElements = (element, tagName) => {
+  return [...element.children].filter(child => child.tagName === tagName);
+};
+
+// Helper function to get the text content of the first direct child with a given tag name
+const childText = (element, tagName) => {
+  const child = childElements(element, tagName)[0];
+  return child ? child.textContent : '';
+};
+
+// Helper function to read the <infon key="...">value</infon> children of an element
+const readInfons = (element) => {
+  const infons = {};
+  for (const infon of childElements(element, 'infon')) {
+    infons[infon.getAttribute('key')] = infon.textContent;
+  }
+  return infons;
+};
+
+const readAnnotation = (element) => ({
+  id: element.getAttribute('id'),
+  infons: readInfons(element),
+  text: childText(element, 'text'),
+  locations: childElements(element, 'location').map(loc => ({
+    offset: parseInt(loc.getAttribute('offset')),
+    length: parseInt(loc.getAttribute('length'))
+  }))
+});
+
+const readRelation = (element) => ({
+  id: element.getAttribute('id'),
+  infons: readInfons(element),
+  nodes: childElements(element, 'node').map(node => ({
+    refid: node.getAttribute('refid'),
+    role: node.getAttribute('role') || ''
+  }))
+});
+
+/**
+ * Parse BioC XML content into structured documents
+ * @param {string} content - The BioC XML content
+ * @returns {Object} Parsed documents, entity types, relation types and collection metadata
+ */
+export const parseBiocXml = (content) => {
+  const xml = new DOMParser().parseFromString(content, 'application/xml');
+  const parseError = xml.getElementsByTagName('parsererror')[0];
+  if (parseError) {
+    throw new Error(`Invalid BioC XML: ${parseError.textContent}`);
+  }
+
+  const root = xml.documentElement;
+  if (root.tagName !== 'collection') {
+    throw new Error('Invalid BioC XML: missing <collection> root element');
+  }
+
+  const collection = {
+    source: childText(root, 'source'),
+    date: childText(root, 'date'),
+    key: childText(root, 'key'),
+    infons: readInfons(root),
+    documents: childElements(root, 'document').map(docElement => ({
+      id: childText(docElement, 'id'),
+      infons: readInfons(docElement),
+      passages: childElements(docElement, 'passage').map(passageElement => ({
+        offset: parseInt(childText(passageElement, 'offset')) || 0,
+        infons: readInfons(passageElement),
+        text: childText(passageElement, 'text'),
+        annotations: childElements(passageElement, 'annotation').map(readAnnotation),
+        relations: childElements(passageElement, 'relation').map(readRelation),
+        // Sentences are kept as they are, in their BioC JSON shape
+        ...(childElements(passageElement, 'sentence').length > 0 && {
+          sentences: childElements(passageElement, 'sentence').map(sentenceElement => ({
+            offset: parseInt(childText(sentenceElement, 'offset')) || 0,
+            infons: readInfons(sentenceElement),
+            text: childText(sentenceElement, 'text'),
+            annotations: childElements(sentenceElement, 'annotation').map(readAnnotation),
+            relations: childElements(sentenceElement, 'relation').map(readRelation)
+          }))
+        })
+      })),
+      relations: childElements(docElement, 'relation').map(readRelation)
+    })),
+    xmlExtra: [...root.children]
+      .filter(child => !COLLECTION_XML_ELEMENTS.includes(child.tagName))
+      .map(child => new XMLSerializer().serializeToString(child))
+  };
+
+  return biocCollectionToDocuments(collection);
+};
+
+// Helper function to escape text for use in XML content and attributes
+const escapeXml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+const writeInfons = (infons, indent) => {
+  return Object.entries(infons)
+    .map(([key, value]) => `${indent}<infon key="${escapeXml(key)}">${escapeXml(value)}</infon>\n`)
+    .join('');
+};
+
+const writeAnnotation = (anno, indent) => {
+  let xml = `${indent}<annotation id="${escapeXml(anno.id)}">\n`;
+  xml += writeInfons(anno.infons, indent + '  ');
+  for (const loc of anno.locations) {
+    xml += `${indent}  <location offset="${loc.offset}" length="${loc.length}"/>\n`;
+  }
+  xml += `${indent}  <text>${escapeXml(anno.text)}</text>\n`;
+  xml += `${indent}</annotation>\n`;
+  return xml;
+};
+
+const writeRelation = (relation, indent) => {
+  let xml = `${indent}<relation id="${escapeXml(relation.id)}">\n`;
+  xml += writeInfons(relation.infons, indent + '  ');
+  for (const node of relation.nodes) {
+    xml += `${indent}  <node refid="${escapeXml(node.refid)}" role="${escapeXml(node.role)}"/>\n`;
+  }
+  xml += `${indent}</relation>\n`;
+  return xml;
+};
+
+/**
+ * Generate BioC XML content from structured documents
+ * @param {Array} documents - Array of document objects
+ * @param {Object} collectionInfo - Collection metadata from the loaded file
+ * @returns {string} BioC XML content
+ */
+export const generateBiocXml = (documents, collectionInfo = {}) => {
+  const collection = documentsToBiocCollection(documents, collectionInfo);
+
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += '<!DOCTYPE collection SYSTEM "BioC.dtd">\n';
+  xml += '<collection>\n';
+  xml += `  <source>${escapeXml(collection.source)}</source>\n`;
+  xml += `  <date>${escapeXml(collection.date)}</date>\n`;
+  xml += `  <key>${escapeXml(collection.key)}</key>\n`;
+  xml += writeInfons(collection.infons, '  ');
+  for (const raw of collectionInfo.xmlExtra || []) {
+    xml += `  ${raw}\n`;
+  }
+
+  for (const doc of collection.documents) {
+    xml += '  <document>\n';
+    xml += `    <id>${escapeXml(doc.id)}</id>\n`;
+    xml += writeInfons(doc.infons, '    ');
+
+    for (const passage of doc.passages) {
+      xml += '    <passage>\n';
+      xml += writeInfons(passage.infons, '      ');
+      xml += `      <offset>${passage.offset}</offset>\n`;
+      xml += `      <text>${escapeXml(passage.text)}</text>\n`;
+
+      for (const anno of passage.annotations) {
+        xml += writeAnnotation(anno, '      ');
+      }
+
+      for (const sentence of passage.sentences || []) {
+        xml += '      <sentence>\n';
+        xml += writeInfons(sentence.infons || {}, '        ');
+        xml += `        <offset>${sentence.offset}</offset>\n`;
+        xml += `        <text>${escapeXml(sentence.text || '')}</text>\n`;
+        for (const anno of sentence.annotations || []) {
+          xml += writeAnnotation(anno, '        ');
+        }
+        for (const relation of sentence.relations || []) {
+          xml += writeRelation(relation, '        ');
+        }
+        xml += '      </sentence>\n';
+      }
+
+      for (const relation of passage.relations) {
+        xml += writeRelation(relation, '      ');
+      }
+      xml += '    </passage>\n';
+    }
+
+    for (const relation of doc.relations) {
+      xml += writeRelation(relation, '    ');
+    }
+    xml += '  </document>\n';
+  }
+
+  xml += '</collection>\n';
+  return xml;
+};
+
+/**
+ * Parse BioC JSON content into structured documents
+ * @param {string} content - The BioC JSON content
+ * @returns {Object} Parsed documents, entity types, relation types and collection metadata
+ */
+export const parseBiocJson = (content) => {
+  const collection = JSON.parse(content);
+  if (!Array.isArray(collection.documents)) {
+    throw new Error('Invalid BioC JSON: missing "documents" array');
+  }
+  return biocCollectionToDocuments(collection);
+};
+
+/**
+ * Generate BioC JSON content from structured documents
+ * @param {Array} documents - Array of document objects
+ * @param {Object} collectionInfo - Collection metadata from the loaded file
+ * @returns {string} BioC JSON content
+ */
+export const generateBiocJson = (documents, collectionInfo = {}) => {
+  return JSON.stringify(documentsToBiocCollection(documents, collectionInfo), null, 2) + '\n';
+};
+
+/**
+ * Parse the JSON returned by the PubTator3 export API. Current responses wrap the documents
+ * in {"PubTator3": [...]}, while older PubTator Central exports put one document per line.
+ * @param {string} content - The PubTator3 JSON content
+ * @returns {Object} Parsed documents, entity types, relation types and collection metadata
+ */
+export const parsePubtator3Json = (content) => {
+  let biocDocuments;
+  let layout;
+
+  try {
+    const parsed = JSON.parse(content);
+    if (Array.isArray(parsed)) {
+      biocDocuments = parsed;
+      layout = 'array';
+    } else if (Array.isArray(parsed.PubTator3)) {
+      biocDocuments = parsed.PubTator3;
+      layout = 'wrapped';
+    } else {
+      biocDocuments = [parsed];
+      layout = 'lines';
+    }
+  } catch {
+    biocDocuments = content.split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => JSON.parse(line));
+    layout = 'lines';
+  }
+
+  const result = biocCollectionToDocuments({ documents: biocDocuments });
+  return { ...result, collection: { ...result.collection, pubtator3Layout: layout } };
+};
+
+/**
+ * Generate PubTator3 export JSON from structured documents, in the layout of the loaded file
+ * @param {Array} documents - Array of document objects
+ * @param {Object} collectionInfo - Collection metadata from the loaded file
+ * @returns {string} PubTator3 JSON content
+ */
+export const generatePubtator3Json = (documents, collectionInfo = {}) => {
+  const { documents: biocDocuments } = documentsToBiocCollection(documents, collectionInfo);
+
+  if (collectionInfo.pubtator3Layout === 'lines') {
+    return biocDocuments.map(doc => JSON.stringify(doc)).join('\n') + '\n';
+  }
+  if (collectionInfo.pubtator3Layout === 'array') {
+    return JSON.stringify(biocDocuments);
+  }
+  return JSON.stringify({ PubTator3: biocDocuments });
+};
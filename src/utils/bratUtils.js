@@ -0,0 +1,293 @@
+import { buildPassageText, createPassage, getAnnotationFragments, splitNormalizedIds } from './documentUtils';
+
+// BRAT needs a namespace on every normalization; PubTator uses bare IDs for these types
+const BARE_ID_NAMESPACES = { Gene: 'NCBIGene', Species: 'NCBITaxon' };
+const DEFAULT_NAMESPACE = 'PubTator';
+
+/**
+ * Turn a BRAT normalization reference (db:id) into a normalized ID
+ */
+const referenceToNormalizedId = (reference) => {
+  const separator = reference.indexOf(':');
+  if (separator === -1) return reference;
+
+  const namespace = reference.substring(0, separator);
+  const isBareNamespace = namespace === DEFAULT_NAMESPACE || Object.values(BARE_ID_NAMESPACES).includes(namespace);
+  return isBareNamespace ? reference.substring(separator + 1) : reference;
+};
+
+/**
+ * Turn a normalized ID into a BRAT normalization reference (db:id)
+ */
+const normalizedIdToReference = (normalizedId, type) => {
+  if (normalizedId.includes(':')) return normalizedId;
+  return `${BARE_ID_NAMESPACES[type] || DEFAULT_NAMESPACE}:${normalizedId}`;
+};
+
+/**
+ * Parse the spans of a text-bound annotation, e.g. "0 5;10 15"
+ */
+const parseSpans = (spanText) => {
+  return spanText.split(';').map(span => {
+    const [start, end] = span.trim().split(' ').map(value => parseInt(value));
+    return { start, end };
+  });
+};
+
+/**
+ * Parse the .ann content of one document
+ * @param {string} docId - Document ID (the base name of the file pair)
+ * @param {string} text - Content of the .txt file
+ * @param {string} annContent - Content of the .ann file
+ * @returns {Object} Document object
+ */
+const parseAnnFile = (docId, text, annContent) => {
+  const annotations = [];
+  const relations = [];
+  const extraLines = [];
+  const annotationsById = new Map();
+  const normalizations = [];
+  const notes = [];
+
+  for (const line of annContent.split(/\r?\n/)) {
+    if (line.trim() === '') continue;
+
+    const [bratId, body = '', ...rest] = line.split('\t');
+    const tail = rest.join('\t');
+
+    if (bratId.startsWith('T')) {
+      // Text-bound annotation: T1<TAB>Type start end[;start end]<TAB>text
+      const firstSpace = body.indexOf(' ');
+      const type = body.substring(0, firstSpace);
+      const spans = parseSpans(body.substring(firstSpace + 1));
+
+      const annotation = {
+        id: docId,
+        start: Math.min(...spans.map(span => span.start)),
+        end: Math.max(...spans.map(span => span.end)),
+        text: tail,
+        type,
+        normalizedId: null,
+        bratId
+      };
+
+      // Several spans make a discontinuous annotation
+      if (spans.length > 1) {
+        annotation.fragments = spans;
+      }
+
+      annotations.push(annotation);
+      annotationsById.set(bratId, annotation);
+    } else if (bratId.startsWith('R')) {
+      // Relation: R1<TAB>Type Arg1:T1 Arg2:T2
+      const [type, ...args] = body.split(' ');
+      const roles = args.map(arg => arg.substring(0, arg.indexOf(':')));
+      const refs = args.map(arg => arg.substring(arg.indexOf(':') + 1));
+      relations.push({ id: docId, type, bratId, bratRoles: roles, bratRefs: refs, extraColumns: [] });
+    } else if (bratId.startsWith('N')) {
+      // Normalization: N1<TAB>Reference T1 db:id<TAB>name
+      const [, target, reference] = body.split(' ');
+      normalizations.push({ target, reference });
+    } else if (bratId.startsWith('#')) {
+      // Note: #1<TAB>AnnotatorNotes T1<TAB>text
+      const [, target] = body.split(' ');
+      notes.push({ target, text: tail, line });
+    } else {
+      // Events, attributes and equivalences aren't part of the model, but are kept for export
+      extraLines.push(line);
+    }
+  }
+
+  for (const { target, reference } of normalizations) {
+    const annotation = annotationsById.get(target);
+    if (!annotation) continue;
+    const normalizedId = referenceToNormalizedId(reference);
+    annotation.normalizedId = annotation.normalizedId ? `${annotation.normalizedId};${normalizedId}` : normalizedId;
+  }
+
+  // Relation arguments are concept IDs in the model, so resolve the annotation references
+  for (const relation of relations) {
+    const [arg1, arg2] = relation.bratRefs.map(ref => annotationsById.get(ref)?.normalizedId || ref);
+    relation.arg1 = arg1 || '';
+    relation.arg2 = arg2 || '';
+    relation.bratOriginalArgs = [relation.arg1, relation.arg2];
+  }
+
+  for (const { target, text: noteText, line } of notes) {
+    const annotation = annotationsById.get(target);
+    const relation = relations.find(rel => rel.bratId === target);
+    if (annotation) {
+      annotation.comment = noteText;
+    } else if (relation) {
+      relation.comment = noteText;
+    } else {
+      extraLines.push(line);
+    }
+  }
+
+  annotations.sort((a, b) => a.start - b.start);
+
+  return {
+    id: docId,
+    passages: [createPassage(text, 0, { type: 'text' }, 0)],
+    annotations,
+    relations,
+    bratExtraLines: extraLines
+  };
+};
+
+// Helper function to strip the extension from a filename
+const getBaseName = (filename) => {
+  return filename.includes('.') ? filename.substring(0, filename.lastIndexOf('.')) : filename;
+};
+
+/**
+ * Parse a set of BRAT standoff files into structured documents. Files are paired by
+ * base name (PMID.txt + PMID.ann); a .txt without .ann becomes an unannotated document.
+ * @param {Array} files - Array of { name, content } objects
+ * @returns {Object} Parsed documents, entity types and relation types
+ */
+export const parseBrat = (files) => {
+  const texts = new Map();
+  const anns = new Map();
+
+  for (const file of files) {
+    const baseName = getBaseName(file.name);
+    if (file.name.toLowerCase().endsWith('.ann')) {
+      anns.set(baseName, file.content);
+    } else {
+      texts.set(baseName, file.content);
+    }
+  }
+
+  const docs = [...texts.keys()]
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(baseName => parseAnnFile(baseName, texts.get(baseName), anns.get(baseName) || ''));
+
+  const missingText = [...anns.keys()].filter(baseName => !texts.has(baseName));
+  if (missingText.length > 0) {
+    throw new Error(`Missing .txt file for ${missingText.map(name => `${name}.ann`).join(', ')}`);
+  }
+
+  const entityTypes = new Set(docs.flatMap(doc => doc.annotations.map(anno => anno.type)));
+  const relationTypes = new Set(docs.flatMap(doc => doc.relations.map(rel => rel.type)));
+
+  return { docs, entityTypes: [...entityTypes], relationTypes: [...relationTypes], collection: null };
+};
+
+// BRAT types are single tokens
+const toBratType = (type) => type.replace(/\s+/g, '_');
+
+/**
+ * Generate the .ann content of one document
+ * @param {Object} doc - Document object
+ * @param {Array} warnings - Array that messages about things BRAT can't express are added to
+ * @returns {string} .ann file content
+ */
+const generateAnnFile = (doc, warnings) => {
+  const lines = [];
+
+  // Existing IDs are kept so that events and attributes carried along still point at the right annotation
+  const usedIds = new Set(doc.annotations.map(anno => anno.bratId).filter(Boolean));
+  let nextId = 1;
+  const bratIds = new Map();
+  for (const anno of doc.annotations) {
+    let bratId = anno.bratId;
+    if (!bratId) {
+      while (usedIds.has(`T${nextId}`)) nextId++;
+      bratId = `T${nextId}`;
+      usedIds.add(bratId);
+    }
+    bratIds.set(anno, bratId);
+  }
+
+  let normalizationCount = 0;
+  const noteLines = [];
+
+  // Notes kept verbatim (e.g. on events) keep their IDs, so new notes are numbered around them
+  const usedNoteIds = new Set((doc.bratExtraLines || []).map(line => line.split('\t')[0]).filter(id => id.startsWith('#')));
+  let nextNoteId = 1;
+  const addNote = (targetId, comment) => {
+    while (usedNoteIds.has(`#${nextNoteId}`)) nextNoteId++;
+    usedNoteIds.add(`#${nextNoteId}`);
+    noteLines.push(`#${nextNoteId}\tAnnotatorNotes ${targetId}\t${comment.replace(/\n/g, ' ')}`);
+  };
+
+  for (const anno of doc.annotations) {
+    const bratId = bratIds.get(anno);
+
+    const spanText = getAnnotationFragments(anno).map(span => `${span.start} ${span.end}`).join(';');
+
+    lines.push(`${bratId}\t${toBratType(anno.type)} ${spanText}\t${anno.text.replace(/\n/g, ' ')}`);
+
+    for (const normalizedId of splitNormalizedIds(anno.normalizedId)) {
+      normalizationCount++;
+      lines.push(`N${normalizationCount}\tReference ${bratId} ${normalizedIdToReference(normalizedId, anno.type)}\t${anno.text.replace(/\n/g, ' ')}`);
+    }
+
+    if (anno.comment) {
+      addNote(bratId, anno.comment);
+    }
+  }
+
+  // Relations point at annotations, so pick the first mention of each concept. Mentions may list several
+  // IDs, separated by ";" or, in some corpora, by "|" or ","
+  const hasConcept = (anno, conceptId) => anno.normalizedId === conceptId ||
+    splitNormalizedIds(anno.normalizedId).some(id => id === conceptId || id.split(/[|,]/).includes(conceptId));
+  const findMentionId = (conceptId) => {
+    const anno = doc.annotations.find(a => hasConcept(a, conceptId));
+    return anno ? bratIds.get(anno) : null;
+  };
+
+  const usedRelationIds = new Set((doc.relations || []).map(rel => rel.bratId).filter(Boolean));
+  const exportedIds = new Set(bratIds.values());
+  let nextRelationId = 1;
+  for (const relation of doc.relations || []) {
+    // The stored references only hold while the annotations they point at are still there
+    const argsUnchanged = relation.bratOriginalArgs &&
+      relation.bratOriginalArgs[0] === relation.arg1 &&
+      relation.bratOriginalArgs[1] === relation.arg2 &&
+      relation.bratRefs.every(ref => exportedIds.has(ref));
+    const refs = argsUnchanged
+      ? relation.bratRefs
+      : [findMentionId(relation.arg1), findMentionId(relation.arg2)];
+
+    if (!refs[0] || !refs[1]) {
+      warnings.push(`${doc.id}: relation ${relation.type} between ${relation.arg1} and ${relation.arg2} has no annotated mention and was left out`);
+      continue;
+    }
+
+    let bratId = relation.bratId;
+    if (!bratId) {
+      while (usedRelationIds.has(`R${nextRelationId}`)) nextRelationId++;
+      bratId = `R${nextRelationId}`;
+      usedRelationIds.add(bratId);
+    }
+
+    const roles = relation.bratRoles || ['Arg1', 'Arg2'];
+    lines.push(`${bratId}\t${toBratType(relation.type)} ${roles[0]}:${refs[0]} ${roles[1]}:${refs[1]}`);
+
+    if (relation.comment) {
+      addNote(bratId, relation.comment);
+    }
+  }
+
+  return [...lines, ...(doc.bratExtraLines || []), ...noteLines].map(line => line + '\n').join('');
+};
+
+/**
+ * Generate BRAT standoff files from structured documents
+ * @param {Array} documents - Array of document objects
+ * @returns {Object} files (array of { name, content }) and warnings about content BRAT can't express
+ */
+export const generateBrat = (documents) => {
+  const files = [];
+  const warnings = [];
+
+  for (const doc of documents) {
+    files.push({ name: `${doc.id}.txt`, content: buildPassageText(doc.passages) });
+    files.push({ name: `${doc.id}.ann`, content: generateAnnFile(doc, warnings) });
+  }
+
+  return { files, warnings };
+};
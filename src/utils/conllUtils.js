@@ -0,0 +1,186 @@
+import { buildPassageText, getAnnotationFragments } from './documentUtils';
+
+/**
+ * Ways of choosing between annotations that cover the same tokens
+ */
+export const OVERLAP_STRATEGIES = {
+  longest: 'Keep the longest annotation',
+  shortest: 'Keep the shortest annotation',
+  first: 'Keep the annotation that starts first'
+};
+
+// Tokens are runs of letters/digits, or single punctuation characters
+const TOKEN_PATTERN = /[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu;
+
+/**
+ * Split text into tokens with their character offsets
+ * @param {string} text - Text to tokenize
+ * @returns {Array} Tokens as { text, start, end }
+ */
+export const tokenize = (text) => {
+  const tokens = [];
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+};
+
+/**
+ * Group tokens into sentences. A sentence ends at ".", "!" or "?" followed by a token
+ * starting with an upper-case letter or digit, and always at a passage boundary.
+ * @param {Array} tokens - Tokens of the document
+ * @param {Array} passages - Passages of the document
+ * @param {boolean} splitSentences - Whether to split inside passages at all
+ * @returns {Array} Array of token arrays
+ */
+const groupSentences = (tokens, passages, splitSentences) => {
+  const passageIndexOf = (token) => {
+    let index = 0;
+    passages.forEach((passage, i) => {
+      if (token.start >= passage.offset) index = i;
+    });
+    return index;
+  };
+
+  const sentences = [];
+  let current = [];
+
+  tokens.forEach((token, i) => {
+    if (current.length > 0 && passageIndexOf(token) !== passageIndexOf(tokens[i - 1])) {
+      sentences.push(current);
+      current = [];
+    }
+
+    current.push(token);
+
+    const next = tokens[i + 1];
+    if (splitSentences && /^[.!?]$/.test(token.text) && next && /^[\p{Lu}\p{N}]/u.test(next.text)) {
+      sentences.push(current);
+      current = [];
+    }
+  });
+
+  if (current.length > 0) {
+    sentences.push(current);
+  }
+  return sentences;
+};
+
+/**
+ * Order annotations so that the preferred one of any overlapping group comes first
+ */
+const sortByStrategy = (annotations, overlapStrategy) => {
+  const length = (anno) => anno.end - anno.start;
+  const sorted = [...annotations];
+  if (overlapStrategy === 'shortest') {
+    sorted.sort((a, b) => length(a) - length(b) || a.start - b.start);
+  } else if (overlapStrategy === 'first') {
+    sorted.sort((a, b) => a.start - b.start || length(b) - length(a));
+  } else {
+    sorted.sort((a, b) => length(b) - length(a) || a.start - b.start);
+  }
+  return sorted;
+};
+
+// CoNLL labels are single tokens
+const toLabel = (type) => type.replace(/\s+/g, '_');
+
+/**
+ * Convert one document into tagged sentences
+ * @param {Object} doc - Document object
+ * @param {Object} options - scheme ('IOB2' | 'BIOES'), splitSentences, overlapStrategy
+ * @param {Array} issues - Array that boundary and overlap problems are added to
+ * @returns {Array} Sentences as arrays of { text, start, end, tag }
+ */
+const tagDocument = (doc, options, issues) => {
+  const text = buildPassageText(doc.passages);
+  const tokens = tokenize(text);
+  const tags = tokens.map(() => 'O');
+  const owner = tokens.map(() => null);
+
+  for (const anno of sortByStrategy(doc.annotations, options.overlapStrategy)) {
+    // Every token each fragment touches, even partially
+    const fragments = getAnnotationFragments(anno);
+    const coveredByFragment = fragments.map(fragment => {
+      const covered = [];
+      tokens.forEach((token, i) => {
+        if (token.start < fragment.end && token.end > fragment.start) covered.push(i);
+      });
+      return covered;
+    });
+    const covered = coveredByFragment.flat();
+
+    if (covered.length === 0) {
+      issues.push({ docId: doc.id, annotation: anno, reason: 'No tokens inside the annotation' });
+      continue;
+    }
+
+    const misaligned = fragments.some((fragment, index) => {
+      const fragmentTokens = coveredByFragment[index];
+      return fragmentTokens.length > 0 &&
+        (tokens[fragmentTokens[0]].start !== fragment.start || tokens[fragmentTokens[fragmentTokens.length - 1]].end !== fragment.end);
+    });
+    if (misaligned) {
+      issues.push({ docId: doc.id, annotation: anno, reason: 'Boundary falls inside a token' });
+    }
+
+    const conflict = covered.find(i => owner[i] !== null);
+    if (conflict !== undefined) {
+      const kept = owner[conflict];
+      issues.push({
+        docId: doc.id,
+        annotation: anno,
+        reason: `Overlaps "${kept.text}" (${kept.type}) and was dropped`
+      });
+      continue;
+    }
+
+    // IOB tags can't link fragments, so each fragment becomes an entity of its own
+    if (fragments.length > 1) {
+      issues.push({ docId: doc.id, annotation: anno, reason: `Discontinuous annotation tagged as ${fragments.length} separate entities` });
+    }
+
+    const label = toLabel(anno.type);
+    for (const fragmentTokens of coveredByFragment) {
+      fragmentTokens.forEach((tokenIndex, position) => {
+        owner[tokenIndex] = anno;
+        const isFirst = position === 0;
+        const isLast = position === fragmentTokens.length - 1;
+
+        if (options.scheme === 'BIOES') {
+          if (isFirst && isLast) tags[tokenIndex] = `S-${label}`;
+          else if (isFirst) tags[tokenIndex] = `B-${label}`;
+          else if (isLast) tags[tokenIndex] = `E-${label}`;
+          else tags[tokenIndex] = `I-${label}`;
+        } else {
+          tags[tokenIndex] = isFirst ? `B-${label}` : `I-${label}`;
+        }
+      });
+    }
+  }
+
+  const taggedTokens = tokens.map((token, i) => ({ ...token, tag: tags[i] }));
+  return groupSentences(taggedTokens, doc.passages, options.splitSentences);
+};
+
+/**
+ * Generate token-level CoNLL content (one "token<TAB>tag" per line, a blank line after each
+ * sentence and a -DOCSTART- line before each document) for NER training
+ * @param {Array} documents - Array of document objects
+ * @param {Object} options - scheme ('IOB2' | 'BIOES'), splitSentences, overlapStrategy
+ * @returns {Object} CoNLL content and the list of annotations that could not be tagged exactly
+ */
+export const generateConll = (documents, options = {}) => {
+  const settings = { scheme: 'IOB2', splitSentences: true, overlapStrategy: 'longest', ...options };
+  const issues = [];
+  let content = '';
+
+  for (const doc of documents) {
+    content += `-DOCSTART- ${doc.id}\tO\n\n`;
+    for (const sentence of tagDocument(doc, settings, issues)) {
+      content += sentence.map(token => `${token.text}\t${token.tag}`).join('\n') + '\n\n';
+    }
+  }
+
+  return { content, issues };
+};
@@ -0,0 +1,193 @@
+import { buildPassageText, isDiscontinuous } from './documentUtils';
+import { escapeRegExp, isSuggestibleText } from './searchUtils';
+
+/**
+ * Kinds of inconsistencies the checker reports
+ */
+export const INCONSISTENCY_KINDS = {
+  textType: 'Same text, different types',
+  textId: 'Same text, different normalized IDs',
+  idType: 'Same normalized ID, different types',
+  unannotated: 'Annotated elsewhere, not here'
+};
+
+// Placeholder PubTator uses for a missing normalized ID
+const normalizeId = (normalizedId) => (normalizedId && normalizedId !== '-' ? normalizedId : null);
+
+/**
+ * Group annotation references by a value and pick the majority
+ * @param {Array} refs - Annotation references as { docIndex, annotationIndex, annotation }
+ * @param {Function} getValue - Value to group by
+ * @returns {Object} { variants: [{ value, count, refs }] sorted by count, majority }
+ */
+const groupVariants = (refs, getValue) => {
+  const byValue = new Map();
+  for (const ref of refs) {
+    const value = getValue(ref.annotation);
+    if (!byValue.has(value)) {
+      byValue.set(value, []);
+    }
+    byValue.get(value).push(ref);
+  }
+
+  const variants = [...byValue.entries()]
+    .map(([value, valueRefs]) => ({ value, count: valueRefs.length, refs: valueRefs }))
+    .sort((a, b) => b.count - a.count);
+  // A missing ID is an omission rather than a competing choice, so it never wins the majority
+  const majority = (variants.find(variant => variant.value !== null) || variants[0]).value;
+  return { variants, majority };
+};
+
+/**
+ * Find unannotated occurrences of annotated strings, in one pass per document
+ * @param {Array} documents - Array of document objects
+ * @param {Map} textGroups - Lowercase annotated text to its annotation references
+ * @returns {Map} Lowercase text to occurrences as { docIndex, docId, start, end, text }
+ */
+const findUnannotatedOccurrences = (documents, textGroups) => {
+  const occurrences = new Map();
+  const terms = [...textGroups.keys()]
+    .filter(isSuggestibleText)
+    .sort((a, b) => b.length - a.length);
+  if (terms.length === 0) return occurrences;
+
+  // Longest terms first, so the alternation prefers the longest string at each position
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+  documents.forEach((doc, docIndex) => {
+    const text = buildPassageText(doc.passages);
+    const rejected = new Set((doc.rejectedMatches || []).map(match => `${match.start}-${match.end}`));
+    let match;
+
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      const key = match[0].toLowerCase();
+      if (!textGroups.has(key) || rejected.has(`${start}-${end}`)) continue;
+
+      const isCovered = doc.annotations.some(anno => anno.start < end && anno.end > start);
+      if (isCovered) continue;
+
+      if (!occurrences.has(key)) {
+        occurrences.set(key, []);
+      }
+      occurrences.get(key).push({ docIndex, docId: doc.id, start, end, text: match[0] });
+    }
+  });
+
+  return occurrences;
+};
+
+/**
+ * Check that the same strings and normalized IDs are annotated the same way in every document
+ * @param {Array} documents - Array of document objects
+ * @returns {Array} Inconsistencies as { kind, key, variants, majority }. Variants group the annotations
+ *   by the disputed value ({ value, count, refs }, where refs are { docIndex, docId, annotationIndex, annotation }).
+ *   Unannotated findings also list the missing occurrences and the type and ID to annotate them with.
+ */
+export const findInconsistencies = (documents) => {
+  const textGroups = new Map();
+  const idGroups = new Map();
+
+  documents.forEach((doc, docIndex) => {
+    doc.annotations.forEach((annotation, annotationIndex) => {
+      const ref = { docIndex, docId: doc.id, annotationIndex, annotation };
+      const textKey = annotation.text.toLowerCase();
+      if (!textGroups.has(textKey)) {
+        textGroups.set(textKey, []);
+      }
+      textGroups.get(textKey).push(ref);
+
+      const id = normalizeId(annotation.normalizedId);
+      if (id) {
+        if (!idGroups.has(id)) {
+          idGroups.set(id, []);
+        }
+        idGroups.get(id).push(ref);
+      }
+    });
+  });
+
+  const findings = [];
+
+  for (const [key, refs] of textGroups) {
+    const byType = groupVariants(refs, anno => anno.type);
+    if (byType.variants.length > 1) {
+      findings.push({ kind: 'textType', key, ...byType });
+    }
+
+    // IDs are only compared between annotations of the same type
+    const sameType = refs.filter(ref => ref.annotation.type === byType.majority);
+    const byId = groupVariants(sameType, anno => normalizeId(anno.normalizedId));
+    if (byId.variants.length > 1) {
+      findings.push({ kind: 'textId', key, type: byType.majority, ...byId });
+    }
+  }
+
+  for (const [key, refs] of idGroups) {
+    const byType = groupVariants(refs, anno => anno.type);
+    if (byType.variants.length > 1) {
+      findings.push({ kind: 'idType', key, ...byType });
+    }
+  }
+
+  // Discontinuous annotations don't appear as one contiguous string in the text
+  const continuousGroups = new Map();
+  for (const [key, refs] of textGroups) {
+    const continuous = refs.filter(ref => !isDiscontinuous(ref.annotation));
+    if (continuous.length > 0) {
+      continuousGroups.set(key, continuous);
+    }
+  }
+
+  for (const [key, missing] of findUnannotatedOccurrences(documents, continuousGroups)) {
+    const refs = continuousGroups.get(key);
+    const { majority: type } = groupVariants(refs, anno => anno.type);
+    const { majority: normalizedId } = groupVariants(
+      refs.filter(ref => ref.annotation.type === type),
+      anno => normalizeId(anno.normalizedId)
+    );
+    findings.push({
+      kind: 'unannotated',
+      key,
+      variants: [{ value: type, count: refs.length, refs }],
+      majority: type,
+      normalizedId,
+      missing
+    });
+  }
+
+  return findings;
+};
+
+/**
+ * Turn an inconsistency into the annotation changes that resolve it with one value
+ * @param {Object} finding - Finding from findInconsistencies
+ * @param {string|null} value - Value to settle on, the majority by default
+ * @returns {Array} Changes as { docIndex, annotationIndex?, annotation }
+ */
+export const getConsistencyChanges = (finding, value = finding.majority) => {
+  if (finding.kind === 'unannotated') {
+    return finding.missing.map(occurrence => ({
+      docIndex: occurrence.docIndex,
+      annotation: {
+        start: occurrence.start,
+        end: occurrence.end,
+        text: occurrence.text,
+        type: value,
+        normalizedId: finding.normalizedId
+      }
+    }));
+  }
+
+  const field = finding.kind === 'textId' ? 'normalizedId' : 'type';
+  return finding.variants
+    .filter(variant => variant.value !== value)
+    .flatMap(variant => variant.refs)
+    .map(({ docIndex, annotationIndex, annotation }) => ({
+      docIndex,
+      annotationIndex,
+      annotation: { ...annotation, [field]: value }
+    }));
+};
@@ -0,0 +1,297 @@
+/**
+ * Dictionary (gazetteer) pre-annotation. A dictionary is a list of entries { term, type, normalizedId },
+ * with one entry per synonym. Matching runs over a sorted array of normalized terms, narrowing the range
+ * of candidate terms one character at a time, so it stays fast on dictionaries with hundreds of
+ * thousands of terms without building a character trie.
+ */
+
+// OBO synonym scopes that name the same concept (BROAD and NARROW ones don't)
+const OBO_SYNONYM_SCOPES = ['EXACT', 'RELATED'];
+
+// Shortest term worth matching; single characters match almost everywhere
+const MIN_TERM_LENGTH = 2;
+
+const isWordChar = (char) => char !== undefined && /[\p{L}\p{N}]/u.test(char);
+
+/**
+ * Lowercase text without changing its length, so offsets in the lowercased text stay valid
+ * @param {string} text - Text to lowercase
+ * @returns {string} Lowercased text
+ */
+const lowercaseKeepingOffsets = (text) => {
+  const lowered = text.toLowerCase();
+  if (lowered.length === text.length) return lowered;
+  return Array.from(text, char => {
+    const lower = char.toLowerCase();
+    return lower.length === char.length ? lower : char;
+  }).join('');
+};
+
+/**
+ * Normalize a term for lookup
+ * @param {string} term - Dictionary term
+ * @param {boolean} caseSensitive - Whether case is kept
+ * @returns {string} Term with collapsed whitespace, lowercased unless case-sensitive
+ */
+const normalizeTerm = (term, caseSensitive) => {
+  const collapsed = term.trim().replace(/\s+/g, ' ');
+  return caseSensitive ? collapsed : lowercaseKeepingOffsets(collapsed);
+};
+
+/**
+ * Split a CSV line into fields, honoring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {Array} Fields
+ */
+export const splitCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+};
+
+/**
+ * Parse an OBO ontology, taking the name and EXACT/RELATED synonyms of every non-obsolete term.
+ * The term's namespace, if any, serves as its type.
+ * @param {string} content - OBO file content
+ * @returns {Array} Dictionary entries
+ */
+const parseObo = (content) => {
+  const entries = [];
+  let term = null;
+
+  const flush = () => {
+    if (term && term.id && !term.obsolete) {
+      for (const name of [term.name, ...term.synonyms]) {
+        if (name) entries.push({ term: name, type: term.namespace, normalizedId: term.id });
+      }
+    }
+    term = null;
+  };
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (line.startsWith('[')) {
+      flush();
+      if (line === '[Term]') {
+        term = { id: '', name: '', namespace: '', synonyms: [], obsolete: false };
+      }
+      continue;
+    }
+    if (!term) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const tag = line.substring(0, separator);
+    const value = line.substring(separator + 1).trim();
+
+    if (tag === 'id') {
+      term.id = value;
+    } else if (tag === 'name') {
+      term.name = value;
+    } else if (tag === 'namespace') {
+      term.namespace = value;
+    } else if (tag === 'is_obsolete') {
+      term.obsolete = value === 'true';
+    } else if (tag === 'synonym') {
+      const match = value.match(/^"((?:[^"\\]|\\.)*)"\s+(\w+)/);
+      if (match && OBO_SYNONYM_SCOPES.includes(match[2])) {
+        term.synonyms.push(match[1].replace(/\\(.)/g, '$1'));
+      }
+    }
+  }
+  flush();
+
+  return entries;
+};
+
+/**
+ * Parse a TSV or CSV dictionary with the columns term, type, ID and optionally synonyms separated by "|".
+ * Blank lines, lines starting with "#" and a header row starting with "term" or "name" are skipped.
+ * @param {string} content - File content
+ * @param {string} delimiter - '\t' or ','
+ * @returns {Array} Dictionary entries
+ */
+const parseDelimited = (content, delimiter) => {
+  const entries = [];
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.startsWith('#')) return;
+
+    const [term = '', type = '', normalizedId = '', synonyms = ''] = (delimiter === ',' ? splitCsvLine(line) : line.split('\t'))
+      .map(field => field.trim());
+    if (index === 0 && ['term', 'name'].includes(term.toLowerCase())) return;
+
+    for (const name of [term, ...synonyms.split('|')]) {
+      if (name.trim()) {
+        entries.push({ term: name.trim(), type, normalizedId: normalizedId || null });
+      }
+    }
+  });
+
+  return entries;
+};
+
+/**
+ * Parse a dictionary file, choosing the format from the filename and content.
+ * Entries the file gives no type have an empty type.
+ * @param {string} content - File content
+ * @param {string} filename - Name of the file
+ * @returns {Object} { entries, format } with format 'obo', 'tsv' or 'csv'
+ */
+export const parseDictionary = (content, filename = '') => {
+  const lowerName = filename.toLowerCase();
+  if (lowerName.endsWith('.obo') || /^\[Term\]/m.test(content)) {
+    return { entries: parseObo(content), format: 'obo' };
+  }
+
+  const firstLine = content.split('\n', 1)[0];
+  const isCsv = lowerName.endsWith('.csv') || (!firstLine.includes('\t') && firstLine.includes(','));
+  return isCsv
+    ? { entries: parseDelimited(content, ','), format: 'csv' }
+    : { entries: parseDelimited(content, '\t'), format: 'tsv' };
+};
+
+/**
+ * Build the lookup structure for a dictionary
+ * @param {Array} entries - Dictionary entries
+ * @param {Object} options - caseSensitive (default false)
+ * @returns {Object} Index with the sorted terms, the entry of each term, ranges of terms by first
+ *   character, and the number of terms that had several entries (the first one is used)
+ */
+export const createDictionaryIndex = (entries, { caseSensitive = false } = {}) => {
+  const entriesByKey = new Map();
+  let conflicts = 0;
+
+  for (const entry of entries) {
+    const key = normalizeTerm(entry.term, caseSensitive);
+    if (key.length < MIN_TERM_LENGTH) continue;
+
+    const existing = entriesByKey.get(key);
+    if (!existing) {
+      entriesByKey.set(key, entry);
+    } else if (existing.type !== entry.type || existing.normalizedId !== entry.normalizedId) {
+      conflicts++;
+    }
+  }
+
+  // Sorted by UTF-16 code units, the order the range narrowing compares in
+  const keys = [...entriesByKey.keys()].sort();
+  const firstCharRanges = new Map();
+  keys.forEach((key, index) => {
+    const code = key.charCodeAt(0);
+    const range = firstCharRanges.get(code);
+    if (range) {
+      range[1] = index + 1;
+    } else {
+      firstCharRanges.set(code, [index, index + 1]);
+    }
+  });
+
+  return { keys, entriesByKey, firstCharRanges, caseSensitive, conflicts };
+};
+
+// Character code of a key at a position, -1 past its end so that shorter keys sort first
+const codeAt = (key, position) => (position < key.length ? key.charCodeAt(position) : -1);
+
+// First index in [lo, hi) whose key has a code of at least `code` at `position`
+const lowerBound = (keys, lo, hi, position, code) => {
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (codeAt(keys[mid], position) < code) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+  return lo;
+};
+
+// First index in [lo, hi) whose key has a code greater than `code` at `position`
+const upperBound = (keys, lo, hi, position, code) => {
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (codeAt(keys[mid], position) <= code) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+  return lo;
+};
+
+/**
+ * Find dictionary terms in a text. Matches never overlap: scanning from left to right,
+ * the longest term starting at a position wins and scanning continues after it.
+ * @param {Object} index - Index from createDictionaryIndex
+ * @param {string} text - Text to search
+ * @param {Object} options - wholeWord (default true): matches may not start or end inside a word
+ * @returns {Array} Matches as { start, end, text, type, normalizedId, source: 'dictionary' }
+ */
+export const findDictionaryMatches = (index, text, { wholeWord = true } = {}) => {
+  const { keys, entriesByKey, firstCharRanges, caseSensitive } = index;
+  const searchText = caseSensitive ? text : lowercaseKeepingOffsets(text);
+  const matches = [];
+  let start = 0;
+
+  while (start < text.length) {
+    const range = firstCharRanges.get(searchText.charCodeAt(start));
+    if (!range || (wholeWord && isWordChar(text[start - 1]) && isWordChar(text[start]))) {
+      start++;
+      continue;
+    }
+
+    let [lo, hi] = range;
+    let bestEnd = -1;
+    let bestKey = null;
+
+    for (let position = 0; start + position < text.length; position++) {
+      if (position > 0) {
+        const code = searchText.charCodeAt(start + position);
+        lo = lowerBound(keys, lo, hi, position, code);
+        hi = upperBound(keys, lo, hi, position, code);
+        if (lo >= hi) break;
+      }
+
+      // The shortest key in the range is the prefix itself, if it is a term
+      const end = start + position + 1;
+      if (keys[lo].length === position + 1 && (!wholeWord || !(isWordChar(text[end - 1]) && isWordChar(text[end])))) {
+        bestEnd = end;
+        bestKey = keys[lo];
+      }
+    }
+
+    if (bestEnd === -1) {
+      start++;
+      continue;
+    }
+
+    const { type, normalizedId } = entriesByKey.get(bestKey);
+    matches.push({ start, end: bestEnd, text: text.substring(start, bestEnd), type, normalizedId, source: 'dictionary' });
+    start = bestEnd;
+  }
+
+  return matches;
+};
@@ -0,0 +1,146 @@
+/**
+ * Helpers for the document model shared by all file formats. A document is
+ * { id, passages, annotations, relations }, where each passage is
+ * { label, offset, text, infons } and annotation offsets are global across
+ * the document, as in BioC. A discontinuous annotation additionally has
+ * fragments: [{ start, end }], with start and end covering all of them.
+ * rejectedMatches: [{ start, end }] lists potential matches the user doesn't want suggested again.
+ * review: { status, note } records how far the document has been curated (see reviewUtils).
+ */
+
+/**
+ * Pick a heading for a passage from its infons
+ * @param {Object} infons - Passage infons
+ * @param {number} index - Position of the passage in the document
+ * @returns {string} Passage label
+ */
+export const getPassageLabel = (infons, index) => {
+  return infons.section_type || infons.type || `Passage ${index + 1}`;
+};
+
+/**
+ * Create a passage object
+ * @param {string} text - Passage text
+ * @param {number} offset - Global offset of the passage in the document
+ * @param {Object} infons - Passage infons, e.g. { type: 'title' }
+ * @param {number} index - Position of the passage in the document
+ * @returns {Object} Passage with label, offset, text and infons
+ */
+export const createPassage = (text, offset, infons = {}, index = 0) => ({
+  label: getPassageLabel(infons, index),
+  offset,
+  text,
+  infons
+});
+
+/**
+ * Build the combined document text by placing each passage at its global offset
+ * @param {Array} passages - Passages with offset and text
+ * @returns {string} Text in which global offsets can be used directly
+ */
+export const buildPassageText = (passages) => {
+  let text = '';
+  for (const passage of passages) {
+    if (passage.offset > text.length) {
+      text += ' '.repeat(passage.offset - text.length);
+    }
+    text += passage.text;
+  }
+  return text;
+};
+
+/**
+ * Split a document into the title and abstract of the PubTator format. The first passage
+ * becomes the title and everything after it the abstract, so offsets stay valid.
+ * @param {Object} doc - Document object
+ * @returns {Object} Title and abstract text
+ */
+export const getTitleAndAbstract = (doc) => {
+  const [first] = doc.passages;
+  if (!first) return { title: '', abstract: '' };
+
+  const combinedText = buildPassageText(doc.passages);
+  const titleEnd = first.offset + first.text.length;
+  // PubTator puts one separator between title and abstract; a passage that follows the title
+  // without a gap starts right at its end, so its first character isn't cut off
+  const abstractStart = Math.min(doc.passages[1]?.offset ?? titleEnd + 1, titleEnd + 1);
+  return {
+    title: combinedText.substring(0, titleEnd),
+    abstract: combinedText.substring(abstractStart)
+  };
+};
+
+/**
+ * Get the spans an annotation covers: its fragments if it is discontinuous, otherwise its start-end span.
+ * Fragments that no longer reach from start to end (e.g. after the offsets were edited) are ignored.
+ * @param {Object} annotation - Annotation object
+ * @returns {Array} Fragments as { start, end }
+ */
+export const getAnnotationFragments = (annotation) => {
+  const { fragments } = annotation;
+  if (fragments && fragments.length > 1 &&
+    Math.min(...fragments.map(fragment => fragment.start)) === annotation.start &&
+    Math.max(...fragments.map(fragment => fragment.end)) === annotation.end) {
+    return fragments;
+  }
+  return [{ start: annotation.start, end: annotation.end }];
+};
+
+/**
+ * Check whether an annotation is made of several fragments
+ * @param {Object} annotation - Annotation object
+ * @returns {boolean} True if the annotation is discontinuous
+ */
+export const isDiscontinuous = (annotation) => getAnnotationFragments(annotation).length > 1;
+
+/**
+ * Split a normalized ID field into its IDs; several IDs are separated by ";"
+ * @param {string} normalizedId - Normalized ID field of an annotation
+ * @returns {Array} IDs, without PubTator's "-" placeholder
+ */
+export const splitNormalizedIds = (normalizedId) => {
+  if (!normalizedId || normalizedId === '-') return [];
+  return normalizedId.split(';').map(id => id.trim()).filter(Boolean);
+};
+
+/**
+ * Join IDs into a normalized ID field
+ * @param {Array} ids - IDs
+ * @returns {string|null} IDs separated by ";", or null if there are none
+ */
+export const joinNormalizedIds = (ids) => (ids.length > 0 ? ids.join(';') : null);
+
+/**
+ * Get the text of a set of fragments, joined with single spaces (as BRAT does)
+ * @param {string} text - Combined document text
+ * @param {Array} fragments - Fragments as { start, end }
+ * @returns {string} Fragment text
+ */
+export const getFragmentText = (text, fragments) => {
+  return fragments.map(fragment => text.substring(fragment.start, fragment.end)).join(' ');
+};
+
+/**
+ * Turn a list of selected ranges into annotation offsets, merging ranges that touch or overlap
+ * @param {string} text - Combined document text
+ * @param {Array} ranges - Ranges as { start, end }
+ * @returns {Object} start, end, text, and fragments (null if the ranges form one span)
+ */
+export const createFragmentSpan = (text, ranges) => {
+  const fragments = [];
+  for (const range of [...ranges].sort((a, b) => a.start - b.start)) {
+    const last = fragments[fragments.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      fragments.push({ start: range.start, end: range.end });
+    }
+  }
+
+  return {
+    start: fragments[0].start,
+    end: fragments[fragments.length - 1].end,
+    text: getFragmentText(text, fragments),
+    fragments: fragments.length > 1 ? fragments : null
+  };
+};
@@ -0,0 +1,64 @@
+import { splitNormalizedIds } from './documentUtils';
+
+/**
+ * Normalized ID format rules by entity type. A rule is { pattern, multiple }: every ID of an annotation
+ * of that type must match the regular expression pattern (an empty pattern accepts any ID), and
+ * several ";"-separated IDs are only allowed if multiple is set. PubTator's "-" means no ID and always passes.
+ */
+export const DEFAULT_ID_RULES = {
+  Gene: { pattern: '^\\d+$', multiple: true },
+  Species: { pattern: '^\\d+$', multiple: true },
+  Disease: { pattern: '^(MESH:[CD]\\d+|OMIM:\\d+)$', multiple: true },
+  Chemical: { pattern: '^(MESH:[CD]\\d+|CHEBI:\\d+)$', multiple: true },
+  CellLine: { pattern: '^CVCL[_:][A-Z0-9]{4}$', multiple: true },
+  // tmVar IDs are ";"-separated parts such as tmVar:p|SUB|V|600|E;HGVS:p.V600E;CorrespondingGene:673;RS#:113488022
+  Mutation: { pattern: '^((tmVar|HGVS|VariantGroup|CorrespondingGene|CorrespondingSpecies|RS#|CA#):\\S+|rs\\d+|[cgp]\\|\\S+)$', multiple: true }
+};
+
+// Regular expressions of the patterns checked so far (null for invalid ones)
+const compiledPatterns = new Map();
+
+/**
+ * Check whether a rule's pattern is a valid regular expression
+ * @param {string} pattern - Pattern of a rule
+ * @returns {string|null} Error message, or null if the pattern is valid
+ */
+export const getPatternError = (pattern) => {
+  try {
+    new RegExp(pattern);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+};
+
+/**
+ * Check one ID against a rule
+ * @param {string} id - Single ID
+ * @param {Object} rule - Rule as { pattern, multiple }, or undefined for none
+ * @returns {string|null} Error message, or null if the ID is fine (or the rule's pattern is invalid)
+ */
+export const getIdError = (id, rule) => {
+  if (!rule?.pattern) return null;
+  if (!compiledPatterns.has(rule.pattern)) {
+    compiledPatterns.set(rule.pattern, getPatternError(rule.pattern) ? null : new RegExp(rule.pattern));
+  }
+  const regex = compiledPatterns.get(rule.pattern);
+  return !regex || regex.test(id) ? null : `"${id}" doesn't match ${rule.pattern}`;
+};
+
+/**
+ * Check a normalized ID field against a rule
+ * @param {string} normalizedId - Normalized ID field of an annotation
+ * @param {Object} rule - Rule as { pattern, multiple }, or undefined for none
+ * @returns {Array} Error messages, empty if the field is fine
+ */
+export const validateNormalizedId = (normalizedId, rule) => {
+  if (!rule) return [];
+  const ids = splitNormalizedIds(normalizedId);
+  const errors = ids.map(id => getIdError(id, rule)).filter(Boolean);
+  if (!rule.multiple && ids.length > 1) {
+    errors.unshift('Only one ID is allowed');
+  }
+  return errors;
+};
@@ -1,85 +1,498 @@
+import {
+  parseBiocXml,
+  generateBiocXml,
+  parseBiocJson,
+  generateBiocJson,
+  parsePubtator3Json,
+  generatePubtator3Json
+} from './biocUtils';
+import { parseBrat, generateBrat } from './bratUtils';
+import { buildPassageText, createPassage, getTitleAndAbstract, isDiscontinuous } from './documentUtils';
+import { REVIEW_SIDECAR_SUFFIX, applyReviewSidecar, generateReviewSidecar } from './reviewUtils';
+
+// Title and abstract lines: PMID|t|text and PMID|a|text; the text itself may contain pipes
+const TITLE_PATTERN = /^([^|\t]*)\|t\|(.*)$/;
+const ABSTRACT_PATTERN = /^([^|\t]*)\|a\|(.*)$/;
+
 /**
- * Parse PubTator content into structured documents
+ * Parse PubTator content into structured documents.
+ * Besides the documents, the parser records how each document was laid out in the file
+ * (blank lines, unrecognized lines and the original text of every line), so that
+ * saving an untouched file gives back exactly the same bytes.
  * @param {string} content - The PubTator format content
- * @returns {Array} Array of parsed document objects
+ * @returns {Object} Parsed documents, entity types, relation types, file layout and warnings for lines that weren't understood
  */
 export const parsePubtator = (content) => {
-  const lines = content.split('\n').filter(line => line.trim() !== '');
+  const lineEnding = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(lineEnding);
+  const endsWithNewline = lines[lines.length - 1] === '';
+  if (endsWithNewline) {
+    lines.pop();
+  }
+
   const docs = [];
   let currentDoc = null;
   const entityTypes = new Set();
+  const relationTypes = new Set();
+  const leadingLines = [];
+  const warnings = [];
+
+  // Lines that aren't part of the model are kept verbatim in the layout of the document they appear in
+  const keepRawLine = (line, lineNumber, message = null) => {
+    if (message) {
+      warnings.push({ lineNumber, line, message });
+    }
+    if (currentDoc) {
+      currentDoc.pubtatorLayout.push({ kind: 'raw', raw: line });
+    } else {
+      leadingLines.push(line);
+    }
+  };
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+    const titleMatch = line.match(TITLE_PATTERN);
+    const abstractMatch = line.match(ABSTRACT_PATTERN);
 
-  for (const line of lines) {
-    if (line.includes('|t|')) {
+    if (titleMatch) {
       // Title line
       if (currentDoc) {
         docs.push(currentDoc);
       }
-      const [id, _, title] = line.split('|');
-      currentDoc = { id, title, abstract: '', annotations: [] };
-    } else if (line.includes('|a|')) {
+      const [, id, title] = titleMatch;
+      currentDoc = {
+        id,
+        passages: [createPassage(title, 0, { type: 'title' }, 0)],
+        annotations: [],
+        relations: [],
+        pubtatorLayout: [{ kind: 'title', raw: line }]
+      };
+    } else if (abstractMatch && currentDoc && currentDoc.passages.length === 1) {
       // Abstract line
-      const [_, __, abstract] = line.split('|');
-      currentDoc.abstract = abstract;
-    } else if (line.trim() !== '') {
-      // Annotation line
+      // The abstract follows the title after a single space
+      const [, , abstract] = abstractMatch;
+      const title = currentDoc.passages[0];
+      currentDoc.passages.push(createPassage(abstract, title.offset + title.text.length + 1, { type: 'abstract' }, 1));
+      currentDoc.pubtatorLayout.push({ kind: 'abstract', raw: line });
+    } else if (line.trim() === '') {
+      keepRawLine(line, lineNumber);
+    } else if (!currentDoc) {
+      keepRawLine(line, lineNumber, 'Line appears before the first title line');
+    } else {
       const parts = line.split('\t');
-      if (parts.length >= 5) {
+      if (isRelationLine(parts)) {
+        // Relation line: PMID, relation type, first and second concept ID, then any extra columns
+        const [id, type, arg1, arg2, ...extraColumns] = parts;
+
+        // Track relation type
+        relationTypes.add(type);
+
+        const relation = {
+          id,
+          type,
+          arg1,
+          arg2,
+          extraColumns
+        };
+        relation.pubtatorSource = { raw: line, formatted: formatRelationLine(relation, currentDoc.id) };
+        currentDoc.relations.push(relation);
+        currentDoc.pubtatorLayout.push({ kind: 'relation', source: relation.pubtatorSource });
+      } else if (isAnnotationLine(parts)) {
+        // Annotation line: PMID, start, end, text, type, then the optional normalized ID and any extra columns
         const [id, start, end, text, type] = parts;
-        const normalizedId = parts.length >= 6 ? parts[5] : null;
+        const normalizedId = parts.length >= 6 && parts[5] !== '' ? parts[5] : null;
         
         // Track entity type
         entityTypes.add(type);
         
-        currentDoc.annotations.push({
+        const annotation = {
           id,
           start: parseInt(start),
           end: parseInt(end),
           text,
           type,
-          normalizedId
-        });
+          normalizedId,
+          extraColumns: parts.slice(6)
+        };
+        annotation.pubtatorSource = { raw: line, formatted: formatAnnotationLine(annotation) };
+        currentDoc.annotations.push(annotation);
+        currentDoc.pubtatorLayout.push({ kind: 'annotation', source: annotation.pubtatorSource });
+      } else if (abstractMatch) {
+        keepRawLine(line, lineNumber, 'Second abstract line for the same document');
+      } else {
+        keepRawLine(line, lineNumber, `Unrecognized line with ${parts.length} tab-separated column${parts.length === 1 ? '' : 's'}`);
       }
     }
-  }
+  });
 
   if (currentDoc) {
     docs.push(currentDoc);
   }
   
-  return { docs, entityTypes: [...entityTypes] };
+  return {
+    docs,
+    entityTypes: [...entityTypes],
+    relationTypes: [...relationTypes],
+    fileLayout: { lineEnding, endsWithNewline, leadingLines },
+    warnings
+  };
+};
+
+/**
+ * Check whether a tab-separated line is a relation line rather than an annotation line.
+ * Relation lines (e.g. `PMID\tCID\tD0001\tC0002`) have a relation type where annotation lines have their
+ * numeric start offset. The third column can't tell them apart, since concept IDs such as NCBI Gene IDs are numeric too.
+ * @param {Array} parts - The tab-separated columns of the line
+ * @returns {boolean} True if the line describes a relation
+ */
+const isRelationLine = (parts) => {
+  return parts.length >= 4 && !/^\d+$/.test(parts[1]);
+};
+
+/**
+ * Check whether a tab-separated line is an annotation line (PMID, start, end, text, type, ...)
+ * @param {Array} parts - The tab-separated columns of the line
+ * @returns {boolean} True if the line describes an annotation
+ */
+const isAnnotationLine = (parts) => {
+  return parts.length >= 5 && /^\d+$/.test(parts[1]) && /^\d+$/.test(parts[2]);
+};
+
+/**
+ * Format a relation as a PubTator relation line
+ * @param {Object} relation - Relation object with type, arg1, arg2 and optional extra columns
+ * @param {string} docId - The document ID
+ * @returns {string} Tab-separated relation line
+ */
+const formatRelationLine = (relation, docId) => {
+  const columns = [docId, relation.type, relation.arg1, relation.arg2, ...(relation.extraColumns || [])];
+  return columns.join('\t');
+};
+
+/**
+ * Format an annotation as a PubTator annotation line
+ * @param {Object} anno - Annotation object
+ * @returns {string} Tab-separated annotation line
+ */
+const formatAnnotationLine = (anno) => {
+  let annoLine = `${anno.id}\t${anno.start}\t${anno.end}\t${anno.text}\t${anno.type}`;
+  const extraColumns = anno.extraColumns || [];
+
+  // Add normalized ID if it exists, or as an empty column if extra columns follow
+  if (anno.normalizedId || extraColumns.length > 0) {
+    annoLine += `\t${anno.normalizedId || ''}`;
+  }
+
+  return [annoLine, ...extraColumns].join('\t');
+};
+
+// Use the original line while the parsed fields are unchanged, so untouched lines keep their exact bytes
+const formatSourceLine = (item, formatted) => {
+  return item.pubtatorSource && item.pubtatorSource.formatted === formatted ? item.pubtatorSource.raw : formatted;
+};
+
+/**
+ * Lay out the lines of a document that was loaded from PubTator, following the original line order.
+ * Annotations and relations added since loading go after the last line of their kind.
+ */
+const generateDocumentLinesFromLayout = (doc) => {
+  const annotationsBySource = new Map();
+  const newAnnotations = [];
+  for (const anno of doc.annotations) {
+    if (anno.pubtatorSource && !annotationsBySource.has(anno.pubtatorSource)) {
+      annotationsBySource.set(anno.pubtatorSource, anno);
+    } else {
+      newAnnotations.push(anno);
+    }
+  }
+
+  const relationsBySource = new Map();
+  const newRelations = [];
+  for (const relation of doc.relations || []) {
+    if (relation.pubtatorSource && !relationsBySource.has(relation.pubtatorSource)) {
+      relationsBySource.set(relation.pubtatorSource, relation);
+    } else {
+      newRelations.push(relation);
+    }
+  }
+
+  const layout = doc.pubtatorLayout;
+  const lastIndexOf = (kinds) => layout.reduce((last, entry, i) => (kinds.includes(entry.kind) ? i : last), -1);
+  const annotationInsertIndex = lastIndexOf(['title', 'abstract', 'annotation']);
+  const relationInsertIndex = Math.max(lastIndexOf(['relation']), annotationInsertIndex);
+
+  const lines = [];
+  layout.forEach((entry, i) => {
+    if (entry.kind === 'annotation') {
+      const anno = annotationsBySource.get(entry.source);
+      if (anno) lines.push(formatSourceLine(anno, formatAnnotationLine(anno)));
+    } else if (entry.kind === 'relation') {
+      const relation = relationsBySource.get(entry.source);
+      if (relation) lines.push(formatSourceLine(relation, formatRelationLine(relation, doc.id)));
+    } else {
+      lines.push(entry.raw);
+    }
+
+    if (i === annotationInsertIndex) {
+      lines.push(...newAnnotations.map(formatAnnotationLine));
+    }
+    if (i === relationInsertIndex) {
+      lines.push(...newRelations.map(relation => formatRelationLine(relation, doc.id)));
+    }
+  });
+
+  return lines;
 };
 
 /**
  * Generate PubTator format content from structured documents
  * @param {Array} documents - Array of document objects
+ * @param {Object} fileLayout - Line ending and surrounding lines of the loaded PubTator file, if any
  * @returns {string} PubTator format content
  */
-export const generateExportContent = (documents) => {
-  let content = '';
+export const generateExportContent = (documents, fileLayout = null) => {
+  const { lineEnding = '\n', endsWithNewline = true, leadingLines = [] } = fileLayout || {};
+  const lines = [...leadingLines];
   
   for (const doc of documents) {
+    if (doc.pubtatorLayout) {
+      lines.push(...generateDocumentLinesFromLayout(doc));
+      continue;
+    }
+
+    // PubTator has no notion of sections, so further passages are folded into the abstract
+    const { title, abstract } = getTitleAndAbstract(doc);
+
     // Title line
-    content += `${doc.id}|t|${doc.title}\n`;
+    lines.push(`${doc.id}|t|${title}`);
     
     // Abstract line
-    content += `${doc.id}|a|${doc.abstract}\n`;
+    lines.push(`${doc.id}|a|${abstract}`);
     
     // Annotation lines
     for (const anno of doc.annotations) {
-      let annoLine = `${anno.id}\t${anno.start}\t${anno.end}\t${anno.text}\t${anno.type}`;
-      
-      // Add normalized ID if it exists
-      if (anno.normalizedId) {
-        annoLine += `\t${anno.normalizedId}`;
-      }
-      
-      content += annoLine + '\n';
+      lines.push(formatAnnotationLine(anno));
+    }
+
+    // Relation lines
+    for (const relation of doc.relations || []) {
+      lines.push(formatRelationLine(relation, doc.id));
     }
     
     // Empty line between documents
-    content += '\n';
+    lines.push('');
   }
   
-  return content;
+  return lines.join(lineEnding) + (endsWithNewline && lines.length > 0 ? lineEnding : '');
+};
+
+/**
+ * File formats the editor can load and save
+ */
+export const FILE_FORMATS = {
+  pubtator: { label: 'PubTator', extension: '.txt', mimeType: 'text/plain', accept: ['.txt', '.tsv', '.pubtator'] },
+  'bioc-xml': { label: 'BioC XML', extension: '.xml', mimeType: 'application/xml', accept: ['.xml'], supportsFragments: true, storesReview: true },
+  'bioc-json': { label: 'BioC JSON', extension: '.json', mimeType: 'application/json', accept: ['.json'], supportsFragments: true, storesReview: true },
+  'pubtator3-json': { label: 'PubTator3 JSON', extension: '.json', mimeType: 'application/json', accept: ['.json', '.biocjson'], supportsFragments: true, storesReview: true },
+  brat: { label: 'BRAT standoff', extension: '.ann', mimeType: 'text/plain', accept: ['.txt', '.ann'], multiFile: true, supportsFragments: true }
+};
+
+/**
+ * Guess the file format from a filename
+ * @param {string} filename - Name of the loaded file
+ * @returns {string} Key into FILE_FORMATS
+ */
+export const getFormatFromFilename = (filename) => {
+  const lowerName = filename.toLowerCase();
+  if (lowerName.endsWith('.xml')) return 'bioc-xml';
+  if (lowerName.endsWith('.biocjson')) return 'pubtator3-json';
+  if (lowerName.endsWith('.json')) return 'bioc-json';
+  return 'pubtator';
+};
+
+/**
+ * Detect the file format from the file content, falling back to the filename
+ * when the content doesn't give it away
+ * @param {string} content - File content
+ * @param {string} filename - Name of the loaded file
+ * @returns {string} Key into FILE_FORMATS
+ */
+export const detectFormat = (content, filename = '') => {
+  const trimmed = content.trimStart();
+
+  if (trimmed.startsWith('<')) {
+    return 'bioc-xml';
+  }
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      // A BioC collection has a "documents" array; PubTator3 wraps its documents differently
+      return parsed && Array.isArray(parsed.documents) ? 'bioc-json' : 'pubtator3-json';
+    } catch {
+      // Several JSON documents, one per line, as in PubTator Central exports
+      return 'pubtator3-json';
+    }
+  }
+
+  // PubTator text starts with a title line
+  if (/^[^\n|]+\|t\|/.test(trimmed)) {
+    return 'pubtator';
+  }
+
+  return getFormatFromFilename(filename);
+};
+
+/**
+ * Parse file content in the given format into structured documents
+ * @param {string} content - File content
+ * @param {string} format - Key into FILE_FORMATS
+ * @returns {Object} Parsed documents, entity types, relation types, file-level metadata (BioC collection or PubTator file layout) and warnings
+ */
+export const parseDocuments = (content, format) => {
+  if (format === 'bioc-xml') {
+    return parseBiocXml(content);
+  }
+  if (format === 'bioc-json') {
+    return parseBiocJson(content);
+  }
+  if (format === 'pubtator3-json') {
+    return parsePubtator3Json(content);
+  }
+  const { fileLayout, ...parsed } = parsePubtator(content);
+  return { ...parsed, collection: fileLayout };
+};
+
+/**
+ * Generate file content for structured documents in the given format
+ * @param {Array} documents - Array of document objects
+ * @param {string} format - Key into FILE_FORMATS
+ * @param {Object} collectionInfo - File-level metadata from the loaded file (BioC collection or PubTator file layout), if any
+ * @returns {string} File content
+ */
+export const generateContent = (documents, format, collectionInfo = null) => {
+  if (format === 'bioc-xml') {
+    return generateBiocXml(documents, collectionInfo || {});
+  }
+  if (format === 'bioc-json') {
+    return generateBiocJson(documents, collectionInfo || {});
+  }
+  if (format === 'pubtator3-json') {
+    return generatePubtator3Json(documents, collectionInfo || {});
+  }
+  // Only a layout recorded from a PubTator file applies here
+  return generateExportContent(documents, collectionInfo?.lineEnding ? collectionInfo : null);
+};
+
+/**
+ * Replace the extension of a filename with the one of the given format
+ * @param {string} filename - Original filename
+ * @param {string} format - Key into FILE_FORMATS
+ * @returns {string} Filename with the format's extension
+ */
+export const getExportFilename = (filename, format) => {
+  const { extension, accept } = FILE_FORMATS[format];
+  if (accept.some(ext => filename.toLowerCase().endsWith(ext))) {
+    return filename;
+  }
+  const baseName = filename.includes('.') ? filename.substring(0, filename.lastIndexOf('.')) : filename;
+  return baseName + extension;
+};
+
+/**
+ * Parse one or more loaded files. A selection with several files, or with .ann files,
+ * is read as a BRAT standoff set; a single file is parsed in the format detected from its content.
+ * A review sidecar file (*.review.json) loaded along with them restores the documents' review statuses.
+ * @param {Array} files - Array of { name, content } objects
+ * @returns {Object} Parsed documents, entity types, relation types, collection metadata, the format used
+ *   and the IDs of reviewed documents from the sidecar that weren't found
+ */
+export const parseFiles = (files) => {
+  const sidecar = files.find(file => file.name.toLowerCase().endsWith(REVIEW_SIDECAR_SUFFIX));
+  const dataFiles = files.filter(file => file !== sidecar);
+  if (dataFiles.length === 0) {
+    throw new Error('A review file can only be loaded together with the annotation file it belongs to');
+  }
+
+  let parsed;
+  const isBrat = dataFiles.length > 1 || dataFiles.some(file => file.name.toLowerCase().endsWith('.ann'));
+  if (isBrat) {
+    parsed = { ...parseBrat(dataFiles), format: 'brat' };
+  } else {
+    const [file] = dataFiles;
+    const format = detectFormat(file.content, file.name);
+    parsed = { ...parseDocuments(file.content, format), format };
+  }
+
+  if (!sidecar) return parsed;
+
+  const { documents, unknownIds } = applyReviewSidecar(parsed.docs, sidecar.content);
+  return { ...parsed, docs: documents, unknownReviewIds: unknownIds };
+};
+
+/**
+ * Replace discontinuous annotations by single spans from their first to their last fragment,
+ * for formats that only know one span per annotation
+ * @param {Array} documents - Array of document objects
+ * @returns {Object} documents with flattened annotations, and the number of annotations that were flattened
+ */
+const flattenFragments = (documents) => {
+  let count = 0;
+  const flattened = documents.map(doc => {
+    if (!doc.annotations.some(isDiscontinuous)) return doc;
+
+    const text = buildPassageText(doc.passages);
+    return {
+      ...doc,
+      annotations: doc.annotations.map(anno => {
+        if (!isDiscontinuous(anno)) return anno;
+        count++;
+        return { ...anno, text: text.substring(anno.start, anno.end), fragments: null };
+      })
+    };
+  });
+  return { documents: flattened, count };
+};
+
+/**
+ * Generate the file(s) to save for structured documents in the given format
+ * @param {Array} documents - Array of document objects
+ * @param {string} format - Key into FILE_FORMATS
+ * @param {Object} collectionInfo - File-level metadata from the loaded file (BioC collection or PubTator file layout), if any
+ * @param {string} filename - Name of the loaded file, used for single-file formats
+ * @returns {Object} files (array of { name, content }, followed by a review sidecar for formats without
+ *   document metadata) and warnings about content the format can't express
+ */
+export const generateFiles = (documents, format, collectionInfo, filename) => {
+  const result = generateFormatFiles(documents, format, collectionInfo, filename);
+
+  // Formats without document metadata get the review statuses in a file of their own
+  const reviewSidecar = FILE_FORMATS[format].storesReview ? null : generateReviewSidecar(documents);
+  if (reviewSidecar) {
+    const baseName = filename.includes('.') ? filename.substring(0, filename.lastIndexOf('.')) : filename;
+    result.files.push({ name: baseName + REVIEW_SIDECAR_SUFFIX, content: reviewSidecar });
+  }
+  return result;
+};
+
+// Generate the annotation file(s) themselves
+const generateFormatFiles = (documents, format, collectionInfo, filename) => {
+  if (format === 'brat') {
+    return generateBrat(documents);
+  }
+
+  const warnings = [];
+  let documentsToSave = documents;
+  if (!FILE_FORMATS[format].supportsFragments) {
+    const { documents: flattened, count } = flattenFragments(documents);
+    if (count > 0) {
+      warnings.push(`${count} discontinuous annotation${count === 1 ? '' : 's'} can't be represented and will be saved as a single span from the first to the last fragment`);
+      documentsToSave = flattened;
+    }
+  }
+
+  return {
+    files: [{ name: getExportFilename(filename, format), content: generateContent(documentsToSave, format, collectionInfo) }],
+    warnings
+  };
 };
@@ -0,0 +1,104 @@
+/**
+ * Review statuses a document can have. Documents without a review are untouched.
+ */
+export const REVIEW_STATUSES = {
+  untouched: { label: 'Untouched', color: 'bg-gray-300', badge: 'bg-gray-100 text-gray-700' },
+  in_progress: { label: 'In progress', color: 'bg-yellow-400', badge: 'bg-yellow-100 text-yellow-800' },
+  done: { label: 'Done', color: 'bg-green-500', badge: 'bg-green-100 text-green-800' },
+  flagged: { label: 'Flagged', color: 'bg-red-500', badge: 'bg-red-100 text-red-800' }
+};
+
+// Document infons the review is kept in by BioC-based formats
+const STATUS_INFON = 'review_status';
+const NOTE_INFON = 'review_note';
+
+// Suffix of the file that carries the reviews for formats without document metadata
+export const REVIEW_SIDECAR_SUFFIX = '.review.json';
+
+/**
+ * Get the review status of a document
+ * @param {Object} doc - Document object
+ * @returns {string} Key into REVIEW_STATUSES
+ */
+export const getReviewStatus = (doc) => {
+  return REVIEW_STATUSES[doc.review?.status] ? doc.review.status : 'untouched';
+};
+
+/**
+ * Check whether a document carries any review information worth saving
+ * @param {Object} doc - Document object
+ * @returns {boolean} True if the document has a status other than untouched or a note
+ */
+export const hasReview = (doc) => getReviewStatus(doc) !== 'untouched' || Boolean(doc.review?.note);
+
+/**
+ * Take the review out of BioC document infons
+ * @param {Object} infons - Document infons
+ * @returns {Object} { review, infons }, with review null if the infons had none
+ */
+export const readReviewInfons = (infons = {}) => {
+  if (infons[STATUS_INFON] === undefined && infons[NOTE_INFON] === undefined) {
+    return { review: null, infons };
+  }
+
+  const { [STATUS_INFON]: status, [NOTE_INFON]: note, ...rest } = infons;
+  return {
+    review: { status: REVIEW_STATUSES[status] ? status : 'untouched', note: note || '' },
+    infons: rest
+  };
+};
+
+/**
+ * Put a document's review into BioC document infons
+ * @param {Object} infons - Document infons
+ * @param {Object} doc - Document object
+ * @returns {Object} Infons with the review added, if there is one
+ */
+export const writeReviewInfons = (infons, doc) => {
+  if (!hasReview(doc)) return infons;
+
+  const updated = { ...infons, [STATUS_INFON]: getReviewStatus(doc) };
+  if (doc.review.note) {
+    updated[NOTE_INFON] = doc.review.note;
+  }
+  return updated;
+};
+
+/**
+ * Create the review sidecar file content
+ * @param {Array} documents - Array of document objects
+ * @returns {string|null} JSON mapping document IDs to { status, note }, or null if nothing was reviewed
+ */
+export const generateReviewSidecar = (documents) => {
+  const reviewed = documents.filter(hasReview);
+  if (reviewed.length === 0) return null;
+
+  const reviews = Object.fromEntries(reviewed.map(doc => [
+    doc.id,
+    { status: getReviewStatus(doc), note: doc.review.note || '' }
+  ]));
+  return JSON.stringify({ reviews }, null, 2) + '\n';
+};
+
+/**
+ * Apply the reviews from a sidecar file to the documents they name
+ * @param {Array} documents - Array of document objects
+ * @param {string} content - Sidecar file content
+ * @returns {Object} documents with the reviews applied, and unknownIds of reviewed documents that aren't loaded
+ */
+export const applyReviewSidecar = (documents, content) => {
+  const { reviews = {} } = JSON.parse(content);
+  const documentIds = new Set(documents.map(doc => doc.id));
+
+  return {
+    documents: documents.map(doc => {
+      const review = reviews[doc.id];
+      if (!review) return doc;
+      return {
+        ...doc,
+        review: { status: REVIEW_STATUSES[review.status] ? review.status : 'untouched', note: review.note || '' }
+      };
+    }),
+    unknownIds: Object.keys(reviews).filter(id => !documentIds.has(id))
+  };
+};
@@ -0,0 +1,83 @@
+import { buildPassageText, getAnnotationFragments } from './documentUtils';
+
+// Characters of context kept on each side of a match
+const CONTEXT_LENGTH = 40;
+
+/**
+ * Escape special regex characters
+ * @param {string} string - Literal text
+ * @returns {string} Text that matches itself when used in a RegExp
+ */
+export const escapeRegExp = (string) => {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Build a pattern that finds a literal term
+ * @param {string} term - Text to look for
+ * @param {Object} options - caseSensitive (default false) and wholeWord (default true, the term may not
+ *   be directly preceded or followed by a letter or digit)
+ * @returns {RegExp} Global pattern
+ */
+export const createTermPattern = (term, { caseSensitive = false, wholeWord = true } = {}) => {
+  const escaped = escapeRegExp(term);
+  const source = wholeWord ? `(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])` : escaped;
+  return new RegExp(source, caseSensitive ? 'gu' : 'giu');
+};
+
+/**
+ * Decide whether an annotated string is worth looking for elsewhere: single characters
+ * only count when they are digits, and strings longer than 50 characters are left out
+ * @param {string} text - Annotated text
+ * @returns {boolean} True if other occurrences of the text should be suggested
+ */
+export const isSuggestibleText = (text) => {
+  if (text.length < 1 || text.length > 50) return false;
+  return text.length >= 2 || /\d/.test(text);
+};
+
+/**
+ * Find every match of a pattern in every document
+ * @param {Array} documents - Array of document objects
+ * @param {RegExp} pattern - Pattern to search for (the global flag is added if missing)
+ * @returns {Array} Matches as { docIndex, docId, start, end, text, before, after, annotations, exactAnnotation },
+ *   where annotations are the annotations overlapping the match and exactAnnotation one with exactly its span
+ */
+export const findCorpusMatches = (documents, pattern) => {
+  const regex = pattern.global ? new RegExp(pattern.source, pattern.flags) : new RegExp(pattern.source, `${pattern.flags}g`);
+  const matches = [];
+
+  documents.forEach((doc, docIndex) => {
+    const text = buildPassageText(doc.passages);
+    regex.lastIndex = 0;
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+      // Skip empty matches, which would otherwise never advance
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+
+      const start = match.index;
+      const end = start + match[0].length;
+      const annotations = doc.annotations.filter(anno =>
+        getAnnotationFragments(anno).some(fragment => fragment.start < end && fragment.end > start)
+      );
+
+      matches.push({
+        docIndex,
+        docId: doc.id,
+        start,
+        end,
+        text: match[0],
+        before: text.substring(Math.max(0, start - CONTEXT_LENGTH), start),
+        after: text.substring(end, end + CONTEXT_LENGTH),
+        annotations,
+        exactAnnotation: annotations.find(anno => anno.start === start && anno.end === end) || null
+      });
+    }
+  });
+
+  return matches;
+};
@@ -0,0 +1,163 @@
+// Mentions listed per type
+const TOP_MENTIONS = 10;
+
+// Histogram bars for the annotations-per-document distribution
+const MAX_HISTOGRAM_BINS = 20;
+
+// Placeholder PubTator uses for a missing normalized ID
+const hasNormalizedId = (annotation) => Boolean(annotation.normalizedId) && annotation.normalizedId !== '-';
+
+/**
+ * Pick the most frequent mentions
+ * @param {Array} mentions - Mentions as { text, count }
+ * @returns {Array} Up to TOP_MENTIONS mentions, most frequent first
+ */
+const topMentions = (mentions) => {
+  return [...mentions]
+    .sort((a, b) => b.count - a.count || a.text.localeCompare(b.text))
+    .slice(0, TOP_MENTIONS);
+};
+
+/**
+ * Group per-document counts into histogram bins
+ * @param {Array} values - Annotation count of each document
+ * @returns {Array} Bins as { from, to, documents } (from and to inclusive)
+ */
+const createHistogram = (values) => {
+  if (values.length === 0) return [];
+
+  const max = values.reduce((highest, value) => Math.max(highest, value), 0);
+  const width = Math.max(1, Math.ceil((max + 1) / MAX_HISTOGRAM_BINS));
+  const bins = [];
+  for (let from = 0; from <= max; from += width) {
+    bins.push({ from, to: from + width - 1, documents: 0 });
+  }
+  values.forEach(value => bins[Math.floor(value / width)].documents++);
+  return bins;
+};
+
+/**
+ * Compute statistics for all documents
+ * @param {Array} documents - Array of document objects
+ * @returns {Object} { documents, annotations, relations, withNormalizedId, normalizedShare, types,
+ *   perDocument, histogram, perDocumentSummary, emptyDocuments }, where types lists per entity type
+ *   { type, annotations, withNormalizedId, normalizedShare, uniqueConcepts, uniqueMentions, topMentions }
+ */
+export const computeCorpusStats = (documents) => {
+  const byType = new Map();
+  let annotationCount = 0;
+  let relationCount = 0;
+  let withNormalizedId = 0;
+
+  const perDocument = documents.map(doc => {
+    annotationCount += doc.annotations.length;
+    relationCount += doc.relations.length;
+
+    for (const annotation of doc.annotations) {
+      if (!byType.has(annotation.type)) {
+        byType.set(annotation.type, { annotations: 0, withNormalizedId: 0, concepts: new Set(), mentions: new Map() });
+      }
+      const typeStats = byType.get(annotation.type);
+      typeStats.annotations++;
+      if (hasNormalizedId(annotation)) {
+        typeStats.withNormalizedId++;
+        typeStats.concepts.add(annotation.normalizedId);
+        withNormalizedId++;
+      }
+      // Mentions are counted case-insensitively but shown as first seen
+      const mentionKey = annotation.text.toLowerCase();
+      const mention = typeStats.mentions.get(mentionKey) || { text: annotation.text, count: 0 };
+      mention.count++;
+      typeStats.mentions.set(mentionKey, mention);
+    }
+
+    return { id: doc.id, annotations: doc.annotations.length, relations: doc.relations.length };
+  });
+
+  const types = [...byType.entries()]
+    .map(([type, typeStats]) => ({
+      type,
+      annotations: typeStats.annotations,
+      withNormalizedId: typeStats.withNormalizedId,
+      normalizedShare: typeStats.withNormalizedId / typeStats.annotations,
+      uniqueConcepts: typeStats.concepts.size,
+      uniqueMentions: typeStats.mentions.size,
+      topMentions: topMentions(typeStats.mentions.values())
+    }))
+    .sort((a, b) => b.annotations - a.annotations);
+
+  const counts = perDocument.map(doc => doc.annotations);
+  const sorted = [...counts].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return {
+    documents: documents.length,
+    annotations: annotationCount,
+    relations: relationCount,
+    withNormalizedId,
+    normalizedShare: annotationCount > 0 ? withNormalizedId / annotationCount : 0,
+    types,
+    perDocument,
+    histogram: createHistogram(counts),
+    perDocumentSummary: {
+      min: sorted.length > 0 ? sorted[0] : 0,
+      max: sorted.length > 0 ? sorted[sorted.length - 1] : 0,
+      mean: sorted.length > 0 ? annotationCount / sorted.length : 0,
+      median: sorted.length === 0 ? 0 : sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+    },
+    emptyDocuments: perDocument.filter(doc => doc.annotations === 0).map(doc => doc.id)
+  };
+};
+
+// Quote a CSV field when needed
+const csvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format rows as CSV lines
+ * @param {Array} rows - Arrays of field values
+ * @returns {string} CSV lines, without a trailing newline
+ */
+export const csvRows = (rows) => rows.map(row => row.map(csvField).join(',')).join('\n');
+
+/**
+ * Format statistics as CSV, with one blank-line separated table per section
+ * @param {Object} stats - Statistics from computeCorpusStats
+ * @returns {string} CSV content
+ */
+export const statsToCsv = (stats) => {
+  const summary = [
+    ['metric', 'value'],
+    ['documents', stats.documents],
+    ['annotations', stats.annotations],
+    ['relations', stats.relations],
+    ['annotations_with_normalized_id', stats.withNormalizedId],
+    ['normalized_id_share', stats.normalizedShare.toFixed(4)],
+    ['annotations_per_document_min', stats.perDocumentSummary.min],
+    ['annotations_per_document_median', stats.perDocumentSummary.median],
+    ['annotations_per_document_mean', stats.perDocumentSummary.mean.toFixed(2)],
+    ['annotations_per_document_max', stats.perDocumentSummary.max],
+    ['documents_without_annotations', stats.emptyDocuments.length]
+  ];
+
+  const types = [
+    ['type', 'annotations', 'with_normalized_id', 'normalized_id_share', 'unique_concepts', 'unique_mentions'],
+    ...stats.types.map(type => [
+      type.type, type.annotations, type.withNormalizedId, type.normalizedShare.toFixed(4), type.uniqueConcepts, type.uniqueMentions
+    ])
+  ];
+
+  const mentions = [
+    ['type', 'mention', 'count'],
+    ...stats.types.flatMap(type => type.topMentions.map(mention => [type.type, mention.text, mention.count]))
+  ];
+
+  const documents = [
+    ['document_id', 'annotations', 'relations'],
+    ...stats.perDocument.map(doc => [doc.id, doc.annotations, doc.relations])
+  ];
+
+  return [summary, types, mentions, documents].map(csvRows).join('\n\n') + '\n';
+};
@@ -0,0 +1,127 @@
+/**
+ * Browser storage for work in progress: an autosaved session and named snapshots, kept in IndexedDB.
+ * A saved state is { documents, knownEntityTypes, knownRelationTypes, currentDocIndex,
+ * originalFilename, exportFormat, collectionInfo, idRules, savedAt }.
+ */
+
+const DB_NAME = 'pubtator-annotator';
+const DB_VERSION = 1;
+const SESSION_STORE = 'session';
+const SNAPSHOT_STORE = 'snapshots';
+const SESSION_KEY = 'current';
+
+let databasePromise = null;
+
+/**
+ * Check whether IndexedDB can be used in this browser
+ * @returns {boolean} True if IndexedDB is available
+ */
+export const isStorageAvailable = () => typeof indexedDB !== 'undefined';
+
+// Open the database once and reuse the connection
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SESSION_STORE)) {
+          db.createObjectStore(SESSION_STORE);
+        }
+        if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+          db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'name' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return databasePromise;
+};
+
+// Run a single request against an object store and resolve with its result once the transaction completes
+const runRequest = async (storeName, mode, makeRequest) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Autosave the current session, replacing the previous one
+ * @param {Object} state - Session state to save
+ * @returns {Promise<void>}
+ */
+export const saveSession = async (state) => {
+  await runRequest(SESSION_STORE, 'readwrite', store => store.put({ ...state, savedAt: Date.now() }, SESSION_KEY));
+};
+
+/**
+ * Load the autosaved session
+ * @returns {Promise<Object|null>} Saved session state, or null if there is none
+ */
+export const loadSession = async () => {
+  const session = await runRequest(SESSION_STORE, 'readonly', store => store.get(SESSION_KEY));
+  return session ?? null;
+};
+
+/**
+ * Remove the autosaved session
+ * @returns {Promise<void>}
+ */
+export const clearSession = async () => {
+  await runRequest(SESSION_STORE, 'readwrite', store => store.delete(SESSION_KEY));
+};
+
+/**
+ * Save a named snapshot, replacing any snapshot with the same name
+ * @param {string} name - Snapshot name
+ * @param {Object} state - Session state to save
+ * @returns {Promise<void>}
+ */
+export const saveSnapshot = async (name, state) => {
+  await runRequest(SNAPSHOT_STORE, 'readwrite', store => store.put({ ...state, name, savedAt: Date.now() }));
+};
+
+/**
+ * List the saved snapshots, newest first
+ * @returns {Promise<Array>} Snapshot summaries as { name, savedAt, originalFilename, documentCount, annotationCount }
+ */
+export const listSnapshots = async () => {
+  const snapshots = await runRequest(SNAPSHOT_STORE, 'readonly', store => store.getAll());
+  return snapshots
+    .map(snapshot => ({
+      name: snapshot.name,
+      savedAt: snapshot.savedAt,
+      originalFilename: snapshot.originalFilename,
+      documentCount: snapshot.documents.length,
+      annotationCount: snapshot.documents.reduce((count, doc) => count + doc.annotations.length, 0)
+    }))
+    .sort((a, b) => b.savedAt - a.savedAt);
+};
+
+/**
+ * Load a named snapshot
+ * @param {string} name - Snapshot name
+ * @returns {Promise<Object|null>} Snapshot state, or null if it doesn't exist
+ */
+export const loadSnapshot = async (name) => {
+  const snapshot = await runRequest(SNAPSHOT_STORE, 'readonly', store => store.get(name));
+  return snapshot ?? null;
+};
+
+/**
+ * Delete a named snapshot
+ * @param {string} name - Snapshot name
+ * @returns {Promise<void>}
+ */
+export const deleteSnapshot = async (name) => {
+  await runRequest(SNAPSHOT_STORE, 'readwrite', store => store.delete(name));
+};
@@ -0,0 +1,161 @@
+import { buildPassageText, getAnnotationFragments, getFragmentText } from './documentUtils';
+import { validateNormalizedId } from './idFormatUtils';
+
+/**
+ * Kinds of problems the validator reports
+ */
+export const ISSUE_KINDS = {
+  mismatch: 'Text does not match offsets',
+  outOfRange: 'Offsets out of range',
+  zeroLength: 'Zero-length annotation',
+  duplicate: 'Duplicate annotation',
+  idFormat: 'Normalized ID does not fit its type'
+};
+
+// How far (in characters) to look around the original offsets when relocating an annotation
+const SEARCH_DISTANCE = 200;
+
+/**
+ * Find the occurrence of a string closest to a position
+ * @param {string} text - Text to search in
+ * @param {string} needle - String to look for
+ * @param {number} around - Position to stay close to
+ * @param {number} maxDistance - Maximum distance from the position
+ * @returns {number|null} Start of the closest occurrence, or null if there is none in range
+ */
+export const findNearestOccurrence = (text, needle, around, maxDistance = SEARCH_DISTANCE) => {
+  if (!needle) return null;
+
+  let best = null;
+  let position = text.indexOf(needle);
+  while (position !== -1) {
+    const distance = Math.abs(position - around);
+    if (distance <= maxDistance && (best === null || distance < Math.abs(best - around))) {
+      best = position;
+    }
+    position = text.indexOf(needle, position + 1);
+  }
+  return best;
+};
+
+/**
+ * Check the annotations of every document against the document text and, if rules are given,
+ * their normalized IDs against the ID format rules of their types
+ * @param {Array} documents - Array of document objects
+ * @param {Object} idRules - Optional ID format rules by entity type (see idFormatUtils)
+ * @returns {Array} Issues as { docIndex, docId, annotationIndex, annotation, kind, actualText, relocatedStart },
+ *   with idErrors listing the problems of idFormat issues
+ */
+export const validateDocuments = (documents, idRules = null) => {
+  const issues = [];
+
+  documents.forEach((doc, docIndex) => {
+    const text = buildPassageText(doc.passages);
+    const seen = new Set();
+    const annotatedSpans = new Set(doc.annotations.map(annotation => `${annotation.start}-${annotation.end}-${annotation.type}`));
+
+    doc.annotations.forEach((annotation, annotationIndex) => {
+      const { start, end } = annotation;
+      const issue = { docIndex, docId: doc.id, annotationIndex, annotation, actualText: null, relocatedStart: null };
+
+      const idErrors = idRules ? validateNormalizedId(annotation.normalizedId, idRules[annotation.type]) : [];
+      if (idErrors.length > 0) {
+        issues.push({ ...issue, kind: 'idFormat', idErrors });
+      }
+
+      const key = `${start}-${end}-${annotation.type}`;
+      if (seen.has(key)) {
+        issues.push({ ...issue, kind: 'duplicate', actualText: text.substring(start, end) });
+        return;
+      }
+      seen.add(key);
+
+      const inRange = Number.isInteger(start) && Number.isInteger(end) && start >= 0 && end <= text.length && start <= end;
+      // Discontinuous annotations are compared with their fragment texts joined by spaces
+      const fragments = getAnnotationFragments(annotation);
+      const actualText = inRange ? getFragmentText(text, fragments) : null;
+      let kind = null;
+      if (!inRange) {
+        kind = 'outOfRange';
+      } else if (start === end) {
+        kind = 'zeroLength';
+      } else if (actualText !== annotation.text) {
+        kind = 'mismatch';
+      }
+
+      if (kind) {
+        // Fragments can't be moved as a whole, so only continuous annotations are relocated,
+        // and never onto text that is already annotated with the same type
+        let relocatedStart = fragments.length === 1
+          ? findNearestOccurrence(text, annotation.text, Number.isInteger(start) ? start : 0)
+          : null;
+        if (relocatedStart !== null && annotatedSpans.has(`${relocatedStart}-${relocatedStart + annotation.text.length}-${annotation.type}`)) {
+          relocatedStart = null;
+        }
+        issues.push({ ...issue, kind, actualText, relocatedStart });
+      }
+    });
+  });
+
+  return issues;
+};
+
+/**
+ * Turn a validation issue into an annotation change for the chosen repair
+ * @param {Object} issue - Issue from validateDocuments
+ * @param {string} repair - 'relocate' (move to the nearest occurrence of the text),
+ *   'useOffsets' (keep the offsets and take the text from the document), 'clearId' or 'delete'
+ * @returns {Object|null} Change as { docIndex, annotationIndex, annotation }, or null if the repair doesn't apply
+ */
+export const getRepairChange = (issue, repair) => {
+  const { docIndex, annotationIndex, annotation } = issue;
+
+  if (repair === 'delete') {
+    return { docIndex, annotationIndex, annotation: null };
+  }
+
+  if (repair === 'clearId' && issue.kind === 'idFormat') {
+    return { docIndex, annotationIndex, annotation: { ...annotation, normalizedId: null } };
+  }
+
+  if (repair === 'relocate' && issue.relocatedStart !== null) {
+    return {
+      docIndex,
+      annotationIndex,
+      annotation: {
+        ...annotation,
+        start: issue.relocatedStart,
+        end: issue.relocatedStart + annotation.text.length
+      }
+    };
+  }
+
+  if (repair === 'useOffsets' && issue.kind === 'mismatch') {
+    return { docIndex, annotationIndex, annotation: { ...annotation, text: issue.actualText } };
+  }
+
+  return null;
+};
+
+/**
+ * Turn several validation issues into annotation changes for the same repair. Relocations that
+ * would land on the same span with the same type as an earlier one in the batch are left out,
+ * so a batch never creates duplicates.
+ * @param {Array} issues - Issues from validateDocuments
+ * @param {string} repair - Repair, as for getRepairChange
+ * @returns {Array} Changes as { docIndex, annotationIndex, annotation }
+ */
+export const getRepairChanges = (issues, repair) => {
+  const targets = new Set();
+  return issues
+    .map(issue => getRepairChange(issue, repair))
+    .filter(change => {
+      if (!change) return false;
+      if (repair !== 'relocate') return true;
+      const { start, end, type } = change.annotation;
+      const target = `${change.docIndex}-${start}-${end}-${type}`;
+      if (targets.has(target)) return false;
+      targets.add(target);
+      return true;
+    });
+};
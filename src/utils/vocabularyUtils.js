@@ -0,0 +1,382 @@
+import { parseDictionary, splitCsvLine } from './dictionaryUtils';
+import { splitNormalizedIds } from './documentUtils';
+
+/**
+ * Local vocabularies for normalized IDs. A vocabulary is a list of concepts { id, name, synonyms },
+ * loaded for one entity type, that IDs are looked up in and searched by name and synonym.
+ */
+
+/**
+ * Vocabulary file formats, with the prefix IDs of that vocabulary usually carry in annotations
+ */
+export const VOCABULARY_FORMATS = {
+  mesh: { label: 'MeSH (ASCII descriptor or supplementary records)', idPrefix: 'MESH:' },
+  gene_info: { label: 'NCBI Gene (gene_info)', idPrefix: '' },
+  taxonomy: { label: 'NCBI Taxonomy (names.dmp)', idPrefix: '' },
+  cellosaurus: { label: 'Cellosaurus (cellosaurus.txt)', idPrefix: '' },
+  obo: { label: 'OBO ontology', idPrefix: '' },
+  tsv: { label: 'TSV or CSV of ID, name and synonyms', idPrefix: '' }
+};
+
+// Name classes of names.dmp that name the taxon itself (authorities and type material don't)
+const TAXONOMY_NAME_CLASSES = ['synonym', 'equivalent name', 'common name', 'genbank common name', 'acronym', 'genbank acronym'];
+
+// Number of candidates kept per score while searching, before they are ranked
+const CANDIDATES_PER_SCORE = 200;
+
+/**
+ * Parse MeSH ASCII records (d20xx.bin descriptors or c20xx.bin supplementary concepts)
+ * @param {string} content - File content
+ * @returns {Array} Concepts
+ */
+const parseMesh = (content) => {
+  const concepts = [];
+  let record = null;
+
+  const flush = () => {
+    if (record && record.id && record.name) concepts.push(record);
+    record = { id: '', name: '', synonyms: [] };
+  };
+
+  for (const line of content.split(/\r?\n/)) {
+    if (line === '*NEWRECORD') {
+      flush();
+      continue;
+    }
+    const match = record && line.match(/^([A-Z ]+?) = (.*)$/);
+    if (!match) continue;
+
+    const [, field, value] = match;
+    if (field === 'UI') {
+      record.id = value;
+    } else if (field === 'MH' || field === 'NM') {
+      record.name = value;
+    } else if (field === 'ENTRY' || field === 'PRINT ENTRY' || field === 'SY') {
+      // Entry terms carry extra fields after a "|"
+      record.synonyms.push(value.split('|')[0]);
+    }
+  }
+  flush();
+
+  return concepts;
+};
+
+/**
+ * Parse an NCBI gene_info file: the symbol is the name, the other symbols and the
+ * description are synonyms
+ * @param {string} content - File content
+ * @returns {Array} Concepts
+ */
+const parseGeneInfo = (content) => {
+  const concepts = [];
+
+  for (const line of content.split(/\r?\n/)) {
+    if (!line || line.startsWith('#')) continue;
+    const fields = line.split('\t');
+    const [, id, symbol, , synonyms = '-', , , , description = '-'] = fields;
+    const fullName = fields[11] || '-';
+    if (!id || !symbol) continue;
+
+    concepts.push({
+      id,
+      name: symbol,
+      synonyms: [...synonyms.split('|'), description, fullName].filter(name => name && name !== '-')
+    });
+  }
+
+  return concepts;
+};
+
+/**
+ * Parse NCBI Taxonomy names.dmp: the scientific name is the name, other names of the taxon are synonyms
+ * @param {string} content - File content
+ * @returns {Array} Concepts
+ */
+const parseTaxonomyNames = (content) => {
+  const conceptsById = new Map();
+
+  for (const line of content.split(/\r?\n/)) {
+    if (!line) continue;
+    const [id, name, , nameClass] = line.replace(/\t\|$/, '').split('\t|\t');
+    if (!id || !name) continue;
+
+    if (!conceptsById.has(id)) {
+      conceptsById.set(id, { id, name: '', synonyms: [] });
+    }
+    const concept = conceptsById.get(id);
+    if (nameClass === 'scientific name') {
+      concept.name = name;
+    } else if (TAXONOMY_NAME_CLASSES.includes(nameClass)) {
+      concept.synonyms.push(name);
+    }
+  }
+
+  return [...conceptsById.values()].filter(concept => concept.name);
+};
+
+/**
+ * Parse cellosaurus.txt: the accession (CVCL_xxxx) is the ID, the cell line name is the name
+ * @param {string} content - File content
+ * @returns {Array} Concepts
+ */
+const parseCellosaurus = (content) => {
+  const concepts = [];
+  let record = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    const tag = line.substring(0, 2);
+    const value = line.substring(5).trim();
+
+    if (tag === 'ID') {
+      record = { id: '', name: value, synonyms: [] };
+    } else if (!record) {
+      continue;
+    } else if (tag === 'AC') {
+      record.id = value;
+    } else if (tag === 'SY') {
+      record.synonyms.push(...value.split(';').map(name => name.trim()).filter(Boolean));
+    } else if (tag === '//') {
+      if (record.id) concepts.push(record);
+      record = null;
+    }
+  }
+
+  return concepts;
+};
+
+/**
+ * Parse a TSV or CSV vocabulary with the columns ID, name and optionally synonyms separated by "|".
+ * A header row starting with "id" is skipped.
+ * @param {string} content - File content
+ * @param {boolean} isCsv - Whether fields are separated by commas
+ * @returns {Array} Concepts
+ */
+const parseDelimitedVocabulary = (content, isCsv) => {
+  const concepts = [];
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.startsWith('#')) return;
+
+    const fields = isCsv ? splitCsvLine(line) : line.split('\t');
+    const [id = '', name = '', synonyms = ''] = fields.map(field => field.trim());
+    if (index === 0 && id.toLowerCase() === 'id') return;
+    if (!id || !name) return;
+
+    concepts.push({ id, name, synonyms: synonyms.split('|').map(synonym => synonym.trim()).filter(Boolean) });
+  });
+
+  return concepts;
+};
+
+/**
+ * Group OBO terms into concepts; parseDictionary lists a term's name before its synonyms
+ * @param {string} content - OBO file content
+ * @returns {Array} Concepts
+ */
+const parseOboVocabulary = (content) => {
+  const conceptsById = new Map();
+  for (const { term, normalizedId } of parseDictionary(content, '.obo').entries) {
+    if (conceptsById.has(normalizedId)) {
+      conceptsById.get(normalizedId).synonyms.push(term);
+    } else {
+      conceptsById.set(normalizedId, { id: normalizedId, name: term, synonyms: [] });
+    }
+  }
+  return [...conceptsById.values()];
+};
+
+/**
+ * Recognize the format of a vocabulary file from its name and content
+ * @param {string} content - File content
+ * @param {string} filename - Name of the file
+ * @returns {string} Key into VOCABULARY_FORMATS
+ */
+export const detectVocabularyFormat = (content, filename = '') => {
+  const lowerName = filename.toLowerCase();
+  const head = content.substring(0, 4096);
+
+  if (head.startsWith('*NEWRECORD')) return 'mesh';
+  if (/^#tax_id\tGeneID/.test(head) || lowerName.includes('gene_info')) return 'gene_info';
+  if (lowerName.endsWith('names.dmp') || /^\d+\t\|\t[^\n]*\t\|\t[^\n]*\t\|\t[^\n]*\t\|/.test(head)) return 'taxonomy';
+  if (/^AC {3}CVCL_/m.test(head) || lowerName.startsWith('cellosaurus')) return 'cellosaurus';
+  if (lowerName.endsWith('.obo') || /^\[Term\]/m.test(head)) return 'obo';
+  return 'tsv';
+};
+
+/**
+ * Parse a vocabulary file
+ * @param {string} content - File content
+ * @param {string} filename - Name of the file
+ * @returns {Object} { concepts, format } with concepts as { id, name, synonyms }
+ */
+export const parseVocabulary = (content, filename = '') => {
+  const format = detectVocabularyFormat(content, filename);
+  const parsers = {
+    mesh: parseMesh,
+    gene_info: parseGeneInfo,
+    taxonomy: parseTaxonomyNames,
+    cellosaurus: parseCellosaurus,
+    obo: parseOboVocabulary,
+    tsv: (text) => parseDelimitedVocabulary(text, filename.toLowerCase().endsWith('.csv'))
+  };
+  return { concepts: parsers[format](content), format };
+};
+
+/**
+ * Build a searchable vocabulary
+ * @param {Array} concepts - Concepts as { id, name, synonyms }
+ * @param {Object} info - name (usually the filename), format and idPrefix of the vocabulary
+ * @returns {Object} Vocabulary with the concepts by ID and the lowercased names and synonyms to search
+ */
+export const createVocabulary = (concepts, { name = '', format = 'tsv', idPrefix = '' } = {}) => {
+  const conceptsById = new Map();
+  // Parallel arrays keep hundreds of thousands of names compact
+  const searchTexts = [];
+  const searchConcepts = [];
+
+  for (const concept of concepts) {
+    if (conceptsById.has(concept.id)) continue;
+    conceptsById.set(concept.id, concept);
+    for (const text of new Set([concept.name, ...concept.synonyms].map(term => term.toLowerCase()))) {
+      searchTexts.push(text);
+      searchConcepts.push(concept);
+    }
+  }
+
+  return { name, format, idPrefix, conceptsById, searchTexts, searchConcepts };
+};
+
+/**
+ * Format a vocabulary ID the way annotations carry it
+ * @param {Object} vocabulary - Vocabulary from createVocabulary
+ * @param {Object} concept - Concept of the vocabulary
+ * @returns {string} ID with the vocabulary's prefix
+ */
+export const formatConceptId = (vocabulary, concept) => `${vocabulary.idPrefix}${concept.id}`;
+
+/**
+ * Look up one ID in a vocabulary, with or without the vocabulary's prefix
+ * @param {Object} vocabulary - Vocabulary from createVocabulary
+ * @param {string} id - ID as written in an annotation
+ * @returns {Object|null} Concept, or null if the vocabulary doesn't have the ID
+ */
+export const lookupConcept = (vocabulary, id) => {
+  const { idPrefix, conceptsById } = vocabulary;
+  if (conceptsById.has(id)) return conceptsById.get(id);
+  if (idPrefix && id.toLowerCase().startsWith(idPrefix.toLowerCase())) {
+    return conceptsById.get(id.substring(idPrefix.length)) || null;
+  }
+  return null;
+};
+
+/**
+ * Resolve the IDs of a normalized ID field
+ * @param {Object} vocabulary - Vocabulary from createVocabulary, or null
+ * @param {string} normalizedId - Normalized ID field of an annotation
+ * @returns {Array} { id, concept } for every ID; concept is null for IDs the vocabulary lacks,
+ *   and undefined for all IDs without a vocabulary
+ */
+export const resolveNormalizedIds = (vocabulary, normalizedId) => {
+  return splitNormalizedIds(normalizedId).map(id => ({
+    id,
+    concept: vocabulary ? lookupConcept(vocabulary, id) : undefined
+  }));
+};
+
+/**
+ * Describe a normalized ID field with the preferred names of its IDs, e.g. for tooltips
+ * @param {Object} vocabulary - Vocabulary from createVocabulary, or null
+ * @param {string} normalizedId - Normalized ID field of an annotation
+ * @returns {string} IDs followed by their preferred names, or marked as unknown
+ */
+export const describeNormalizedIds = (vocabulary, normalizedId) => {
+  return resolveNormalizedIds(vocabulary, normalizedId)
+    .map(({ id, concept }) => {
+      if (concept === undefined) return id;
+      return concept ? `${id}: ${concept.name}` : `${id} (not in ${vocabulary.name})`;
+    })
+    .join('; ');
+};
+
+/**
+ * Rank a vocabulary name against a search query; lower is better
+ * @param {string} text - Lowercased name or synonym
+ * @param {string} query - Lowercased query
+ * @param {Array} tokens - Words of the query
+ * @returns {number} 0 exact, 1 prefix, 2 word prefix, 3 substring, 4 all words, or -1 for no match
+ */
+const scoreText = (text, query, tokens) => {
+  if (text === query) return 0;
+  const position = text.indexOf(query);
+  if (position === 0) return 1;
+  if (position > 0) return /[\p{L}\p{N}]/u.test(text[position - 1]) ? 3 : 2;
+  if (tokens.length > 1 && tokens.every(token => text.includes(token))) return 4;
+  return -1;
+};
+
+// Whether the characters of the query appear in the text in order, e.g. "brst cncr" in "breast cancer"
+const isSubsequence = (query, text) => {
+  let position = 0;
+  for (const char of text) {
+    if (char === query[position]) position++;
+    if (position === query.length) return true;
+  }
+  return false;
+};
+
+/**
+ * Search a vocabulary by ID, name and synonym. Exact and prefix matches rank first, then word
+ * and substring matches, then names containing all words of the query; only if these find too
+ * few concepts are names containing the query's characters in order considered.
+ * @param {Object} vocabulary - Vocabulary from createVocabulary
+ * @param {string} query - Search text
+ * @param {number} limit - Maximum number of results
+ * @returns {Array} Results as { concept, id, matchedName } where matchedName is the synonym that
+ *   matched, or null if the ID or preferred name did
+ */
+export const searchVocabulary = (vocabulary, query, limit = 10) => {
+  const normalizedQuery = query.trim().toLowerCase().replace(/\s+/g, ' ');
+  if (normalizedQuery.length < 2) return [];
+
+  const { searchTexts, searchConcepts } = vocabulary;
+  const tokens = normalizedQuery.split(' ');
+  const candidatesByScore = [[], [], [], [], [], []];
+
+  const exact = lookupConcept(vocabulary, query.trim());
+  if (exact) candidatesByScore[0].push({ concept: exact, text: exact.name.toLowerCase() });
+
+  for (let i = 0; i < searchTexts.length; i++) {
+    const score = scoreText(searchTexts[i], normalizedQuery, tokens);
+    if (score !== -1 && candidatesByScore[score].length < CANDIDATES_PER_SCORE) {
+      candidatesByScore[score].push({ concept: searchConcepts[i], text: searchTexts[i] });
+    }
+  }
+
+  const conceptCount = new Set(candidatesByScore.flat().map(candidate => candidate.concept)).size;
+  if (conceptCount < limit && normalizedQuery.length >= 3) {
+    const compactQuery = normalizedQuery.replace(/ /g, '');
+    for (let i = 0; i < searchTexts.length && candidatesByScore[5].length < CANDIDATES_PER_SCORE; i++) {
+      if (scoreText(searchTexts[i], normalizedQuery, tokens) === -1 && isSubsequence(compactQuery, searchTexts[i])) {
+        candidatesByScore[5].push({ concept: searchConcepts[i], text: searchTexts[i] });
+      }
+    }
+  }
+
+  // Within a score, shorter names are closer to the query
+  const results = [];
+  const seen = new Set();
+  for (const candidates of candidatesByScore) {
+    candidates.sort((a, b) => a.text.length - b.text.length || a.text.localeCompare(b.text));
+    for (const { concept, text } of candidates) {
+      if (seen.has(concept)) continue;
+      seen.add(concept);
+      results.push({
+        concept,
+        id: formatConceptId(vocabulary, concept),
+        matchedName: text === concept.name.toLowerCase() ? null : concept.synonyms.find(synonym => synonym.toLowerCase() === text) || null
+      });
+      if (results.length === limit) return results;
+    }
+  }
+  return results;
+};